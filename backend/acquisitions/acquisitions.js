@@ -0,0 +1,46 @@
+import { createRepository } from '../storage/index.js';
+
+// Suggestions for books to add to the catalog. A request starts out pending;
+// an admin approves it (which creates the book), marks it ordered once the
+// copy is bought, or rejects it. Users upvote requests to show demand.
+
+export const REQUEST_STATUSES = ['pending', 'approved', 'ordered', 'rejected'];
+
+// The statuses each status may move to
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+  approved: ['ordered'],
+  ordered: [],
+  rejected: []
+};
+
+export const acquisitionRequests = createRepository('acquisitionRequests');
+
+export const canTransition = (from, to) => STATUS_TRANSITIONS[from].includes(to);
+
+// Find a pending request for the same title and author
+export const findPendingRequest = (title, author) => {
+  const wantedTitle = title.toLowerCase();
+  const wantedAuthor = author.toLowerCase();
+  return acquisitionRequests.findOne(request =>
+    request.status === 'pending' &&
+    request.title.toLowerCase() === wantedTitle &&
+    request.author.toLowerCase() === wantedAuthor
+  );
+};
+
+// Present a request with its vote count and whether the actor has voted,
+// without listing who voted
+export const describeRequest = (request, actor) => {
+  const { upvoters, ...rest } = request;
+  return {
+    ...rest,
+    upvotes: upvoters.length,
+    upvoted: upvoters.includes(actor)
+  };
+};
+
+// Most upvoted first, then oldest first
+export const compareRequests = (a, b) => {
+  return b.upvoters.length - a.upvoters.length || a.createdAt.localeCompare(b.createdAt);
+};
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import { createRepository } from '../storage/index.js';
+import { hashToken } from './sessions.js';
+
+// API keys for scripts and integrations.
+// A key looks like bk_<prefix>_<secret>; only its SHA-256 hash is stored,
+// plus the prefix so admins can tell keys apart.
+
+// Scopes in increasing order of privilege - each includes the ones before it
+export const SCOPES = ['read', 'write', 'admin'];
+
+// Only write lastUsedAt to storage this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export const apiKeys = createRepository('apiKeys');
+
+export const hasScope = (granted, required) => {
+  return SCOPES.indexOf(granted) >= SCOPES.indexOf(required);
+};
+
+// Strip the key hash before a key record leaves the server
+export const toPublicKey = (apiKey) => {
+  const { keyHash: _keyHash, ...publicKey } = apiKey;
+  return {
+    ...publicKey,
+    status: getKeyStatus(apiKey)
+  };
+};
+
+export const getKeyStatus = (apiKey) => {
+  if (apiKey.revokedAt) {
+    return 'revoked';
+  }
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+    return 'expired';
+  }
+  return 'active';
+};
+
+// Create a key and return the record together with the plain key,
+// which is only ever shown this once
+export const createApiKey = async ({ name, scope, expiresAt = null, createdBy }) => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('hex');
+  const key = `bk_${prefix}_${secret}`;
+  
+  const apiKey = await apiKeys.create({
+    name,
+    scope,
+    prefix,
+    keyHash: hashToken(key),
+    createdBy,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    revokedAt: null,
+    lastUsedAt: null
+  });
+  
+  return { apiKey, key };
+};
+
+// Look up a presented key. Returns { apiKey } or { error } describing why
+// the key cannot be used
+export const resolveApiKey = async (key) => {
+  const keyHash = hashToken(key);
+  const apiKey = await apiKeys.findOne(apiKey => apiKey.keyHash === keyHash);
+  
+  if (!apiKey) {
+    return { error: 'Invalid API key' };
+  }
+  
+  const status = getKeyStatus(apiKey);
+  if (status !== 'active') {
+    return { error: `API key has ${status === 'revoked' ? 'been revoked' : 'expired'}` };
+  }
+  
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt) >= LAST_USED_RESOLUTION_MS) {
+    return { apiKey: await apiKeys.update(apiKey.id, { lastUsedAt: now.toISOString() }) };
+  }
+  
+  return { apiKey };
+};
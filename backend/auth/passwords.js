@@ -0,0 +1,27 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+// Password hashing with scrypt. Stored format: scrypt$<salt>$<hash>
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+// A well-formed hash no password matches, checked when there's no account
+// so an unknown username takes as long to refuse as a wrong password
+export const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+export const verifyPassword = async (password, stored) => {
+  const [scheme, salt, expected] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+};
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import { createRepository } from '../storage/index.js';
+
+// User accounts and server-side sessions.
+// Clients hold an opaque random token; only its SHA-256 hash is stored.
+
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7;
+
+export const users = createRepository('users');
+export const sessions = createRepository('sessions');
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Strip the password hash before a user leaves the server
+export const toPublicUser = (user) => {
+  const { passwordHash: _passwordHash, ...publicUser } = user;
+  return publicUser;
+};
+
+export const findUserByUsername = (username) => {
+  return users.findOne(user => user.username.toLowerCase() === username.toLowerCase());
+};
+
+// Registrations run one at a time, so two of them can't both pass the
+// username check, or both be the first account, before either is stored
+let registrationQueue = Promise.resolve();
+
+// Create an account from an already hashed password, or resolve to null if
+// the username is taken. The first account becomes the administrator.
+export const registerUser = (username, passwordHash) => {
+  const registration = registrationQueue.then(async () => {
+    if (await findUserByUsername(username)) {
+      return null;
+    }
+    const existingUser = await users.findOne(() => true);
+    return users.create({
+      username,
+      passwordHash,
+      role: existingUser ? 'user' : 'admin',
+      createdAt: new Date().toISOString()
+    });
+  });
+  registrationQueue = registration.catch(() => {});
+  return registration;
+};
+
+// Start a session for a user and return the token to hand to the client
+export const createSession = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  
+  await sessions.create({
+    tokenHash: hashToken(token),
+    userId: user.id,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt.toISOString()
+  });
+  
+  return { token, expiresAt: expiresAt.toISOString() };
+};
+
+// Resolve a token to its user, dropping the session if it has expired
+export const findSessionUser = async (token) => {
+  const tokenHash = hashToken(token);
+  const session = await sessions.findOne(session => session.tokenHash === tokenHash);
+  
+  if (!session) {
+    return null;
+  }
+  
+  if (new Date(session.expiresAt) <= new Date()) {
+    await sessions.remove(session.id);
+    return null;
+  }
+  
+  return users.findById(session.userId);
+};
+
+export const destroySession = async (token) => {
+  const tokenHash = hashToken(token);
+  const session = await sessions.findOne(session => session.tokenHash === tokenHash);
+  if (session) {
+    await sessions.remove(session.id);
+  }
+};
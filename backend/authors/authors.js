@@ -0,0 +1,80 @@
+import { createRepository } from '../storage/index.js';
+
+// Author records. Books reference their authors by ID (authorIds, in credit
+// order) and keep the joined names in `author` for search, sorting, duplicate
+// checks and export.
+
+export const MAX_AUTHORS_PER_BOOK = 10;
+
+// Separates co-authors in a book's author string
+const AUTHOR_SEPARATOR = ' & ';
+
+export const authors = createRepository('authors');
+
+// "Orwell, George" -> "George Orwell"
+export const toDisplayName = (name) => {
+  const text = String(name ?? '').trim().replace(/\s+/g, ' ');
+  const parts = text.split(',').map(part => part.trim());
+  return parts.length === 2 && parts[0] && parts[1] ? `${parts[1]} ${parts[0]}` : text;
+};
+
+// "George Orwell" -> "Orwell, George"
+export const defaultSortName = (name) => {
+  const words = toDisplayName(name).split(' ');
+  return words.length > 1 ? `${words.pop()}, ${words.join(' ')}` : words[0];
+};
+
+// Comparison key, so "Orwell, George" and "george orwell." match
+const nameKey = (name) => toDisplayName(name).toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+
+// Split a free-text author string ("A & B", "A; B" or "A and B") into names
+export const splitAuthorNames = (text) => {
+  return String(text ?? '')
+    .split(/\s*;\s*|\s+&\s+|\s+and\s+/i)
+    .map(toDisplayName)
+    .filter(Boolean);
+};
+
+export const formatAuthorNames = (bookAuthors) => bookAuthors.map(author => author.name).join(AUTHOR_SEPARATOR);
+
+export const findAuthorByName = (name) => {
+  const key = nameKey(name);
+  return authors.findOne(author => nameKey(author.name) === key || nameKey(author.sortName) === key);
+};
+
+export const createAuthor = ({ name, sortName, birthYear = null, deathYear = null, bio = '' }) => {
+  const displayName = toDisplayName(name);
+  return authors.create({
+    name: displayName,
+    sortName: sortName || defaultSortName(displayName),
+    birthYear,
+    deathYear,
+    bio,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+};
+
+// Look up authors by name, creating any that don't exist yet. With
+// create: false, unknown names come back as unsaved { id: null, name }.
+export const resolveAuthorNames = async (names, { create = true } = {}) => {
+  const resolved = [];
+  
+  for (const name of names) {
+    let author = await findAuthorByName(name);
+    if (!author) {
+      author = create ? await createAuthor({ name }) : { id: null, name: toDisplayName(name) };
+    }
+    if (!resolved.some(other => (author.id !== null ? other.id === author.id : other.name === author.name))) {
+      resolved.push(author);
+    }
+  }
+  
+  return resolved;
+};
+
+// Load authors by ID, keeping the given order; missing IDs are skipped
+export const findAuthorsByIds = async (ids) => {
+  const found = await authors.findMany(author => ids.includes(author.id));
+  return ids.map(id => found.find(author => author.id === id)).filter(Boolean);
+};
@@ -0,0 +1,57 @@
+import { createRepository } from '../storage/index.js';
+
+// Physical copies of books and their loans. A copy is on loan while it has
+// a loan without a returnedAt date; loans are kept after return as history.
+
+const LOAN_PERIOD_DAYS = parseInt(process.env.LOAN_PERIOD_DAYS) || 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_RENEWALS = parseInt(process.env.MAX_RENEWALS) || 2;
+
+export const copies = createRepository('copies');
+export const loans = createRepository('loans');
+
+export const normalizeBarcode = (barcode) => String(barcode ?? '').trim().toUpperCase();
+
+export const findCopyByBarcode = (barcode) => {
+  const wanted = normalizeBarcode(barcode);
+  return copies.findOne(copy => copy.barcode === wanted);
+};
+
+export const findActiveLoan = (copyId) => {
+  return loans.findOne(loan => loan.copyId === copyId && !loan.returnedAt);
+};
+
+// Default due date for a loan starting now
+export const defaultDueDate = (from = new Date()) => {
+  return new Date(from.getTime() + LOAN_PERIOD_DAYS * DAY_MS).toISOString();
+};
+
+export const isOverdue = (loan, now = new Date()) => {
+  return !loan.returnedAt && new Date(loan.dueDate) < now;
+};
+
+// Whole days a loan is past its due date
+export const daysOverdue = (loan, now = new Date()) => {
+  return Math.max(0, Math.floor((now - new Date(loan.dueDate)) / DAY_MS));
+};
+
+// Add { total, available } copy counts to each book
+export const withAvailability = async (bookList) => {
+  const bookIds = new Set(bookList.map(book => book.id));
+  const bookCopies = await copies.findMany(copy => bookIds.has(copy.bookId));
+  const loanedCopyIds = new Set(
+    (await loans.findMany(loan => !loan.returnedAt && bookIds.has(loan.bookId))).map(loan => loan.copyId)
+  );
+  
+  return bookList.map(book => {
+    const ownCopies = bookCopies.filter(copy => copy.bookId === book.id);
+    return {
+      ...book,
+      availability: {
+        total: ownCopies.length,
+        available: ownCopies.filter(copy => !loanedCopyIds.has(copy.id)).length
+      }
+    };
+  });
+};
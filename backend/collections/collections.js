@@ -0,0 +1,32 @@
+import { createRepository } from '../storage/index.js';
+
+// Curated, ordered lists of books ("Sprint reading", "Classics"). Each
+// collection belongs to whoever created it; public collections are visible
+// to everyone, private ones only to their owner (and admins).
+
+export const VISIBILITIES = ['public', 'private'];
+export const MAX_COLLECTION_BOOKS = 500;
+
+export const collections = createRepository('collections');
+
+export const canViewCollection = (collection, actor, isAdmin) => {
+  return collection.visibility === 'public' || collection.owner === actor || isAdmin;
+};
+
+export const canChangeCollection = (collection, actor, isAdmin) => {
+  return collection.owner === actor || isAdmin;
+};
+
+// Find one of an owner's collections by name, ignoring case
+export const findOwnCollection = (owner, name) => {
+  const wanted = name.trim().toLowerCase();
+  return collections.findOne(collection =>
+    collection.owner === owner && collection.name.toLowerCase() === wanted
+  );
+};
+
+// Insert a book into a membership list at a position (default: the end)
+export const insertAt = (bookIds, bookId, position = bookIds.length) => {
+  const index = Math.min(Math.max(position, 0), bookIds.length);
+  return [...bookIds.slice(0, index), bookId, ...bookIds.slice(index)];
+};
@@ -0,0 +1,81 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Cover image storage. Every driver stores binary objects under string keys
+// such as "12/medium.jpg" and exposes the same async interface:
+//   save(key, buffer), read(key) (null when missing), removePrefix(prefix)
+// COVER_STORAGE: 'local' (default) or 'memory' (default when
+// STORAGE_DRIVER=memory). COVER_DIR: where the local driver keeps files.
+
+const COVER_STORAGE = process.env.COVER_STORAGE ||
+  (process.env.STORAGE_DRIVER === 'memory' ? 'memory' : 'local');
+const COVER_DIR = process.env.COVER_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'covers');
+
+// Keys come from book IDs and size names, but never let one escape the root
+const resolveKey = (root, key) => {
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+    throw new Error(`Invalid cover key: ${key}`);
+  }
+  return filePath;
+};
+
+export const createLocalCoverStorage = ({ dir }) => ({
+  save: async (key, buffer) => {
+    const filePath = resolveKey(dir, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Write then rename so readers never see a half-written image
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+  },
+  
+  read: async (key) => {
+    try {
+      return await fs.readFile(resolveKey(dir, key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  },
+  
+  removePrefix: async (prefix) => {
+    await fs.rm(resolveKey(dir, prefix), { recursive: true, force: true });
+  }
+});
+
+export const createMemoryCoverStorage = () => {
+  const objects = new Map();
+  
+  return {
+    save: async (key, buffer) => {
+      objects.set(key, Buffer.from(buffer));
+    },
+    
+    read: async (key) => objects.get(key) || null,
+    
+    removePrefix: async (prefix) => {
+      for (const key of objects.keys()) {
+        if (key.startsWith(`${prefix}/`)) {
+          objects.delete(key);
+        }
+      }
+    }
+  };
+};
+
+// Create the cover storage for the configured driver
+export const createCoverStorage = () => {
+  switch (COVER_STORAGE) {
+    case 'memory':
+      return createMemoryCoverStorage();
+    case 'local':
+      return createLocalCoverStorage({ dir: COVER_DIR });
+    default:
+      throw new Error(`Unknown cover storage driver: ${COVER_STORAGE}`);
+  }
+};
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { createCoverStorage } from './coverStorage.js';
+
+// Book cover images. An upload is checked (declared type, size and the
+// decoded image format must agree), then stored as a normalized JPEG
+// original plus a fixed set of thumbnail widths.
+
+export const COVER_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const MAX_COVER_BYTES = parseInt(process.env.MAX_COVER_BYTES) || 5 * 1024 * 1024;
+
+// Thumbnail widths in pixels; 'original' is the upload capped at 1200px wide
+export const COVER_SIZES = {
+  small: 120,
+  medium: 300,
+  large: 600,
+  original: 1200
+};
+
+const MIN_COVER_DIMENSION = 50;
+const SHARP_FORMATS = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+export const coverStorage = createCoverStorage();
+
+// Raised for uploads that are not an acceptable image
+export class CoverError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CoverError';
+  }
+}
+
+const coverKey = (bookId, size) => `${bookId}/${size}.jpg`;
+
+// Check an uploaded image and store it with its thumbnails. Returns the
+// cover details kept on the book; version changes with every upload so
+// cover URLs can be cached forever.
+export const saveCover = async (bookId, buffer, contentType) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new CoverError('The file is not a readable image');
+  }
+  
+  if (SHARP_FORMATS[metadata.format] !== contentType) {
+    throw new CoverError(`The file is ${metadata.format || 'not an image'} but was sent as ${contentType}`);
+  }
+  
+  if (metadata.width < MIN_COVER_DIMENSION || metadata.height < MIN_COVER_DIMENSION) {
+    throw new CoverError(`Covers must be at least ${MIN_COVER_DIMENSION}×${MIN_COVER_DIMENSION} pixels`);
+  }
+  
+  // Render every size before storing any, so an image that only fails to
+  // decode part way through leaves the current cover as it was. The keys
+  // don't change between uploads, so the new files simply replace the old.
+  const images = {};
+  try {
+    for (const [size, width] of Object.entries(COVER_SIZES)) {
+      images[size] = await sharp(buffer)
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 82, mozjpeg: true })
+        .toBuffer();
+    }
+  } catch {
+    throw new CoverError('The image is damaged or incomplete and could not be read');
+  }
+  
+  for (const [size, image] of Object.entries(images)) {
+    await coverStorage.save(coverKey(bookId, size), image);
+  }
+  
+  return {
+    version: crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 12),
+    width: metadata.width,
+    height: metadata.height,
+    uploadedAt: new Date().toISOString()
+  };
+};
+
+export const readCover = (bookId, size) => coverStorage.read(coverKey(bookId, size));
+
+export const removeCover = (bookId) => coverStorage.removePrefix(String(bookId));
@@ -0,0 +1,117 @@
+import { randomBytes } from 'crypto';
+
+// Server-Sent Events fan-out. Every published event gets an increasing id
+// and is written to all connected clients; the most recent events are kept
+// so a client that reconnects with Last-Event-ID can catch up on what it
+// missed instead of reloading everything. Ids are prefixed with a stream id
+// that changes on restart, so ids from an earlier run are never mistaken
+// for current ones.
+
+const DEFAULT_HISTORY_SIZE = 200;
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Time browsers wait before reconnecting after the stream drops
+const RETRY_MS = 3000;
+
+export const createEventHub = ({ historySize = DEFAULT_HISTORY_SIZE } = {}) => {
+  const streamId = randomBytes(4).toString('hex');
+  const clients = new Set();
+  const history = [];
+  let lastId = 0;
+  let heartbeat = null;
+
+  const formatEvent = ({ id, type, data }) => {
+    return `id: ${streamId}-${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  };
+
+  // Events after the given Last-Event-ID, or null when they are no longer
+  // all in the history or the id comes from another stream
+  const eventsSince = (eventId) => {
+    const [stream, sequence] = eventId.split('-');
+    if (stream !== streamId || !/^\d+$/.test(sequence)) {
+      return null;
+    }
+
+    const id = parseInt(sequence);
+    if (id > lastId) {
+      return null;
+    }
+    if (id === lastId) {
+      return [];
+    }
+    if (history.length === 0 || history[0].id > id + 1) {
+      return null;
+    }
+    return history.filter(event => event.id > id);
+  };
+
+  // Comment lines keep proxies from closing idle streams
+  const startHeartbeat = () => {
+    if (heartbeat) {
+      return;
+    }
+    heartbeat = setInterval(() => {
+      for (const res of clients) {
+        res.write(': heartbeat\n\n');
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+  };
+
+  const stopHeartbeat = () => {
+    if (heartbeat && clients.size === 0) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  };
+
+  return {
+    publish(type, data) {
+      const event = { id: ++lastId, type, data };
+      history.push(event);
+      if (history.length > historySize) {
+        history.shift();
+      }
+
+      const message = formatEvent(event);
+      for (const res of clients) {
+        res.write(message);
+      }
+      return event;
+    },
+
+    // Turn a request into an event stream. A client resuming with a
+    // Last-Event-ID header gets the events it missed, or a "resync" event
+    // when they can't be replayed and it should reload its data.
+    connect(req, res) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      const resumeFrom = req.get('Last-Event-ID');
+      if (resumeFrom !== undefined) {
+        const missed = eventsSince(resumeFrom);
+        if (missed) {
+          missed.forEach(event => res.write(formatEvent(event)));
+        } else {
+          res.write(formatEvent({ id: lastId, type: 'resync', data: {} }));
+        }
+      } else {
+        // Tell a fresh client where the stream starts, so it can resume from here
+        res.write(formatEvent({ id: lastId, type: 'ready', data: {} }));
+      }
+
+      clients.add(res);
+      startHeartbeat();
+
+      req.on('close', () => {
+        clients.delete(res);
+        stopHeartbeat();
+      });
+    }
+  };
+};
@@ -0,0 +1,128 @@
+import { splitAuthorNames } from '../authors/authors.js';
+import { escapeFormula } from '../import/csv.js';
+
+// Serializers for catalog exports. Each format writes a header, one chunk
+// per book and a footer, so a large export can be streamed record by record.
+
+const csvColumns = ['id', 'title', 'author', 'genre', 'tags', 'publicationYear', 'isbn', 'description', 'createdAt', 'updatedAt'];
+
+// Lists (tags) go in a single cell, separated by semicolons. Cells that
+// would run as spreadsheet formulas are escaped first.
+const escapeCsv = (value) => {
+  const text = escapeFormula(value === undefined || value === null ? ''
+    : Array.isArray(value) ? value.join('; ') : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Braces and backslashes would break a BibTeX value
+const escapeBibtex = (value) => {
+  return String(value ?? '')
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/([{}&%$#_])/g, '\\$1')
+    .replace(/~/g, '\\textasciitilde{}')
+    .replace(/\^/g, '\\textasciicircum{}');
+};
+
+const escapeXml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Citation key such as orwell1949-3, from the first author's surname
+const bibtexKey = (book) => {
+  const [firstAuthor = ''] = splitAuthorNames(book.author);
+  const surname = firstAuthor.split(/[\s,]+/).filter(Boolean).pop() || 'book';
+  return `${surname.toLowerCase().replace(/[^a-z0-9]/g, '')}${book.publicationYear}-${book.id}`;
+};
+
+const marcDatafield = (tag, ind1, ind2, subfields) => {
+  const content = subfields
+    .map(([code, value]) => `      <subfield code="${code}">${escapeXml(value)}</subfield>`)
+    .join('\n');
+  return `    <datafield tag="${tag}" ind1="${ind1}" ind2="${ind2}">\n${content}\n    </datafield>`;
+};
+
+export const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => `${csvColumns.join(',')}\r\n`,
+    record: (book) => `${csvColumns.map(column => escapeCsv(book[column])).join(',')}\r\n`,
+    footer: () => ''
+  },
+
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    header: () => '[',
+    record: (book, index) => `${index === 0 ? '\n' : ',\n'}  ${JSON.stringify(book)}`,
+    footer: (count) => (count === 0 ? ']\n' : '\n]\n')
+  },
+
+  bibtex: {
+    contentType: 'application/x-bibtex; charset=utf-8',
+    extension: 'bib',
+    header: () => '',
+    record: (book) => [
+      `@book{${bibtexKey(book)},`,
+      `  title = {${escapeBibtex(book.title)}},`,
+      `  author = {${splitAuthorNames(book.author).map(escapeBibtex).join(' and ')}},`,
+      `  year = {${book.publicationYear}},`,
+      ...(book.isbn ? [`  isbn = {${book.isbn}},`] : []),
+      `  keywords = {${escapeBibtex([book.genre, ...(book.tags || [])].join(', '))}},`,
+      `  abstract = {${escapeBibtex(book.description)}}`,
+      '}',
+      '',
+      ''
+    ].join('\n'),
+    footer: () => ''
+  },
+
+  // A MARCXML subset: control number, main entry (first author), title,
+  // publication date, summary, tags as uncontrolled index terms, genre/form
+  // term and added entries for co-authors
+  marcxml: {
+    contentType: 'application/marcxml+xml; charset=utf-8',
+    extension: 'xml',
+    header: () => '<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="http://www.loc.gov/MARC21/slim">\n',
+    record: (book) => [
+      '  <record>',
+      '    <leader>00000nam a2200000 i 4500</leader>',
+      `    <controlfield tag="001">${book.id}</controlfield>`,
+      ...(book.isbn ? [marcDatafield('020', ' ', ' ', [['a', book.isbn]])] : []),
+      marcDatafield('100', '1', ' ', [['a', splitAuthorNames(book.author)[0] || book.author]]),
+      marcDatafield('245', '1', '0', [['a', book.title]]),
+      marcDatafield('264', ' ', '1', [['c', book.publicationYear]]),
+      marcDatafield('520', ' ', ' ', [['a', book.description]]),
+      ...(book.tags || []).map(tag => marcDatafield('653', ' ', ' ', [['a', tag]])),
+      marcDatafield('655', ' ', '7', [['a', book.genre], ['2', 'local']]),
+      ...splitAuthorNames(book.author).slice(1).map(name => marcDatafield('700', '1', ' ', [['a', name]])),
+      '  </record>',
+      ''
+    ].join('\n'),
+    footer: () => '</collection>\n'
+  }
+};
+
+// Write the books to an HTTP response, pausing whenever the socket's
+// buffer is full
+export const streamExport = async (res, format, books) => {
+  const serializer = EXPORT_FORMATS[format];
+
+  const write = (chunk) => {
+    if (chunk && !res.write(chunk)) {
+      return new Promise(resolve => res.once('drain', resolve));
+    }
+  };
+
+  await write(serializer.header());
+  for (const [index, book] of books.entries()) {
+    await write(serializer.record(book, index));
+  }
+  await write(serializer.footer(books.length));
+  res.end();
+};
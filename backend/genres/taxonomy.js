@@ -0,0 +1,64 @@
+import { createRepository } from '../storage/index.js';
+
+// Genre taxonomy. Books store the genre's name; a genre may sit under a
+// parent genre (e.g. Dystopian Fiction under Science Fiction).
+
+const now = new Date().toISOString();
+
+// Initial genres, used the first time the storage backend is empty
+const seedGenres = [
+  { id: 1, name: 'Fiction', parentId: null },
+  { id: 2, name: 'Non-Fiction', parentId: null },
+  { id: 3, name: 'Mystery', parentId: null },
+  { id: 4, name: 'Romance', parentId: null },
+  { id: 5, name: 'Science Fiction', parentId: null },
+  { id: 6, name: 'Fantasy', parentId: null },
+  { id: 7, name: 'Biography', parentId: null },
+  { id: 8, name: 'History', parentId: null },
+  { id: 9, name: 'Dystopian Fiction', parentId: 5 },
+  { id: 10, name: 'Other', parentId: null }
+].map(genre => ({ ...genre, createdAt: now, updatedAt: now }));
+
+export const genres = createRepository('genres', { seed: seedGenres });
+
+export const findGenreByName = (name) => {
+  const wanted = String(name ?? '').trim().toLowerCase();
+  return genres.findOne(genre => genre.name.toLowerCase() === wanted);
+};
+
+// Whether a genre is the given ancestor or sits anywhere below it
+export const isWithinGenre = (genreId, ancestorId, allGenres) => {
+  const byId = new Map(allGenres.map(genre => [genre.id, genre]));
+  const seen = new Set();
+  let current = byId.get(genreId);
+  
+  while (current && !seen.has(current.id)) {
+    if (current.id === ancestorId) {
+      return true;
+    }
+    seen.add(current.id);
+    current = byId.get(current.parentId);
+  }
+  return false;
+};
+
+// Order genres depth-first (parents before their children, siblings by name)
+// and annotate each with its depth in the hierarchy
+export const toGenreTree = (allGenres) => {
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+  const ids = new Set(allGenres.map(genre => genre.id));
+  const ordered = [];
+  
+  const visit = (parentId, depth) => {
+    allGenres
+      .filter(genre => (depth === 0 ? !ids.has(genre.parentId) : genre.parentId === parentId))
+      .sort(byName)
+      .forEach(genre => {
+        ordered.push({ ...genre, depth });
+        visit(genre.id, depth + 1);
+      });
+  };
+  
+  visit(null, 0);
+  return ordered;
+};
@@ -0,0 +1,60 @@
+import { createRepository } from '../storage/index.js';
+
+// Revision history for books. Every create, update, delete and revert is
+// stored with who made it, a field-level diff and a full snapshot of the
+// resulting book so it can be restored later.
+
+// Bookkeeping fields that are not part of a book's content
+const IGNORED_FIELDS = ['id', 'version', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+export const revisions = createRepository('revisions');
+
+// List the fields that differ between two versions of a book
+export const diffBooks = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .map(field => ({
+      field,
+      from: before?.[field] ?? null,
+      to: after?.[field] ?? null
+    }));
+};
+
+// Content of a book, without its bookkeeping fields
+export const bookContent = (book) => {
+  return Object.fromEntries(
+    Object.entries(book).filter(([field]) => !IGNORED_FIELDS.includes(field))
+  );
+};
+
+// Called with every recorded revision and the book it produced, so other
+// parts of the app (such as live update events) can follow catalog changes
+const revisionListeners = [];
+
+export const onRevision = (listener) => {
+  revisionListeners.push(listener);
+};
+
+export const recordRevision = async ({ bookId, action, actor, before = null, after = null, revertedFrom = null }) => {
+  const revision = await revisions.create({
+    bookId,
+    action,
+    actor,
+    changes: diffBooks(before, after),
+    snapshot: after ? bookContent(after) : null,
+    revertedFrom,
+    createdAt: new Date().toISOString()
+  });
+  
+  revisionListeners.forEach(listener => listener(revision, after));
+  return revision;
+};
+
+// Newest revision first
+export const getBookHistory = async (bookId) => {
+  const bookRevisions = await revisions.findMany(revision => revision.bookId === parseInt(bookId));
+  return bookRevisions.sort((a, b) => b.id - a.id);
+};
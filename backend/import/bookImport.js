@@ -0,0 +1,81 @@
+import { parseCsv, unescapeFormula, CsvParseError } from './csv.js';
+
+// Turning uploaded CSV or JSON into plain book records ready for validation
+
+export const IMPORT_FORMATS = ['csv', 'json'];
+
+// Spreadsheet column names we understand, keyed by their normalized form
+const HEADER_ALIASES = {
+  title: 'title',
+  author: 'author',
+  authors: 'author',
+  genre: 'genre',
+  publicationyear: 'publicationYear',
+  year: 'publicationYear',
+  published: 'publicationYear',
+  description: 'description',
+  summary: 'description',
+  isbn: 'isbn',
+  isbn10: 'isbn',
+  isbn13: 'isbn',
+  tags: 'tags',
+  tag: 'tags',
+  keywords: 'tags',
+  labels: 'tags'
+};
+
+export const mapHeader = (header) => {
+  return HEADER_ALIASES[header.toLowerCase().replace(/[^a-z]/g, '')] || null;
+};
+
+export class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+  }
+}
+
+// Work out the upload format from the explicit ?format= or the content type.
+// A format given more than once is no format at all.
+export const detectFormat = (req) => {
+  if (req.query.format) {
+    return typeof req.query.format === 'string' ? req.query.format.toLowerCase() : null;
+  }
+  if (req.is('text/csv')) {
+    return 'csv';
+  }
+  if (req.is('application/json')) {
+    return 'json';
+  }
+  return null;
+};
+
+// Extract the list of raw records from a request body
+export const readImportRecords = (format, body) => {
+  if (format === 'csv') {
+    if (typeof body !== 'string') {
+      throw new ImportFormatError('CSV imports must be sent as text/csv');
+    }
+    try {
+      // Undo the formula escaping of our own CSV exports
+      return parseCsv(body, mapHeader).map(record => Object.fromEntries(
+        Object.entries(record).map(([field, value]) => [field, unescapeFormula(value)])
+      ));
+    } catch (error) {
+      if (error instanceof CsvParseError) {
+        throw new ImportFormatError(`Invalid CSV: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  if (format === 'json') {
+    const records = Array.isArray(body) ? body : body && body.books;
+    if (!Array.isArray(records)) {
+      throw new ImportFormatError('JSON imports must be an array of books or an object with a "books" array');
+    }
+    return records.map(record => (record && typeof record === 'object' && !Array.isArray(record) ? record : {}));
+  }
+
+  throw new ImportFormatError(`Unsupported import format, expected one of: ${IMPORT_FORMATS.join(', ')}`);
+};
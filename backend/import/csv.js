@@ -0,0 +1,110 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and
+// newlines inside quotes are supported. The first row is the header.
+
+export class CsvParseError extends Error {
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.name = 'CsvParseError';
+    this.line = line;
+  }
+}
+
+// Spreadsheet apps run a cell starting with =, +, -, @, a tab or a carriage
+// return as a formula (CSV injection). Exports put an apostrophe in front of
+// such cells so they show as text, and imports take it off again.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+export const escapeFormula = (text) => (FORMULA_START.test(text) ? `'${text}` : text);
+
+export const unescapeFormula = (text) => {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+};
+
+// Split CSV text into an array of rows, each an array of field strings
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let quoteStartLine = 1;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      if (field !== '') {
+        throw new CsvParseError('Unexpected quote inside an unquoted field', line);
+      }
+      inQuotes = true;
+      quoteStartLine = line;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new CsvParseError('Unterminated quoted field', quoteStartLine);
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Parse CSV text into objects keyed by the (mapped) header names
+export const parseCsv = (text, mapHeader = (header) => header) => {
+  const [headerRow, ...dataRows] = parseCsvRows(text);
+
+  if (!headerRow) {
+    return [];
+  }
+
+  const headers = headerRow.map(header => mapHeader(header.trim()));
+
+  return dataRows.map(fields => {
+    const record = {};
+    headers.forEach((header, index) => {
+      if (header) {
+        record[header] = fields[index] !== undefined ? fields[index] : '';
+      }
+    });
+    return record;
+  });
+};
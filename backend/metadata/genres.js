@@ -0,0 +1,29 @@
+// Map free-form subject headings from bibliographic providers onto the
+// catalog's genres. The first rule that matches any subject wins.
+
+const GENRE_RULES = [
+  { genre: 'Dystopian Fiction', pattern: /dystopi/i },
+  { genre: 'Science Fiction', pattern: /science fiction|sci-fi/i },
+  { genre: 'Fantasy', pattern: /fantasy/i },
+  { genre: 'Mystery', pattern: /mystery|detective|crime|thriller/i },
+  { genre: 'Romance', pattern: /romance|love stories/i },
+  { genre: 'Biography', pattern: /biography|autobiography|memoir/i },
+  { genre: 'History', pattern: /^history|history$|historical studies/i },
+  { genre: 'Fiction', pattern: /fiction|novel/i },
+  { genre: 'Non-Fiction', pattern: /nonfiction|non-fiction/i }
+];
+
+export const mapSubjectsToGenre = (subjects = []) => {
+  for (const rule of GENRE_RULES) {
+    if (subjects.some(subject => rule.pattern.test(subject))) {
+      return rule.genre;
+    }
+  }
+  return subjects.length > 0 ? 'Other' : null;
+};
+
+// Pull a four-digit year out of strings like "June 8, 1949" or "1949-06-08"
+export const extractYear = (value) => {
+  const match = String(value ?? '').match(/\b(1\d{3}|20\d{2})\b/);
+  return match ? parseInt(match[1]) : null;
+};
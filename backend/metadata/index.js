@@ -0,0 +1,41 @@
+import { createFixtureProvider } from './providers/fixtureProvider.js';
+import { createOpenLibraryProvider } from './providers/openLibraryProvider.js';
+import { createGoogleBooksProvider } from './providers/googleBooksProvider.js';
+import { toIsbn13 } from '../utils/isbn.js';
+
+// Bibliographic metadata lookup.
+// METADATA_PROVIDER: 'fixture' (default, offline), 'openlibrary' or 'googlebooks'
+
+export { ProviderError } from './providers/http.js';
+
+const PROVIDERS = {
+  fixture: createFixtureProvider,
+  openlibrary: createOpenLibraryProvider,
+  googlebooks: createGoogleBooksProvider
+};
+
+export const createMetadataProvider = (name = process.env.METADATA_PROVIDER || 'fixture') => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown metadata provider: ${name}`);
+  }
+  return factory();
+};
+
+// Trim proposals down to what the book form accepts: descriptions are
+// capped at the validation limit and ISBNs are normalized to ISBN-13
+const normalizeCandidate = (candidate) => ({
+  ...candidate,
+  title: candidate.title ? candidate.title.slice(0, 200) : null,
+  author: candidate.author ? candidate.author.slice(0, 100) : null,
+  description: candidate.description ? candidate.description.slice(0, 1000) : null,
+  isbn: candidate.isbn ? toIsbn13(candidate.isbn) : null
+});
+
+// Look up by ISBN when one is given, otherwise search by title
+export const lookupMetadata = async (provider, { isbn, title }) => {
+  const candidates = isbn
+    ? await provider.lookupByIsbn(toIsbn13(isbn))
+    : await provider.searchByTitle(title);
+  return candidates.map(normalizeCandidate);
+};
@@ -0,0 +1,38 @@
+import fs from 'fs';
+import { mapSubjectsToGenre, extractYear } from '../genres.js';
+
+// Offline provider backed by a local JSON file, for development and tests.
+// Set METADATA_FIXTURES to use a file other than metadata/fixtures.json.
+
+const DEFAULT_FIXTURES = new URL('../fixtures.json', import.meta.url);
+
+export const createFixtureProvider = ({ file = process.env.METADATA_FIXTURES || DEFAULT_FIXTURES } = {}) => {
+  const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const toCandidate = (record) => ({
+    title: record.title,
+    author: record.author,
+    genre: mapSubjectsToGenre(record.subjects),
+    publicationYear: extractYear(record.publishDate),
+    description: record.description || null,
+    isbn: record.isbn || null,
+    source: 'fixture'
+  });
+
+  return {
+    name: 'fixture',
+
+    lookupByIsbn: async (isbn) => {
+      return records.filter(record => record.isbn === isbn).map(toCandidate);
+    },
+
+    searchByTitle: async (title) => {
+      const needle = title.toLowerCase();
+      return records
+        .filter(record => record.title.toLowerCase().includes(needle))
+        .map(toCandidate);
+    }
+  };
+};
+
+export default createFixtureProvider;
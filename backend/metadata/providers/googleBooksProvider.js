@@ -0,0 +1,39 @@
+import { fetchJson } from './http.js';
+import { mapSubjectsToGenre, extractYear } from '../genres.js';
+
+// Google Books adapter (https://developers.google.com/books/docs/v1/using)
+// GOOGLE_BOOKS_API_KEY is optional but raises the rate limit
+
+const BASE_URL = 'https://www.googleapis.com/books/v1';
+const MAX_RESULTS = 5;
+
+export const createGoogleBooksProvider = ({ baseUrl = BASE_URL, apiKey = process.env.GOOGLE_BOOKS_API_KEY } = {}) => {
+  const search = async (q) => {
+    const keyParam = apiKey ? `&key=${encodeURIComponent(apiKey)}` : '';
+    const data = await fetchJson(`${baseUrl}/volumes?q=${encodeURIComponent(q)}&maxResults=${MAX_RESULTS}${keyParam}`);
+
+    return ((data && data.items) || []).map(({ volumeInfo: info = {} }) => {
+      const identifiers = info.industryIdentifiers || [];
+      const isbn13 = identifiers.find(identifier => identifier.type === 'ISBN_13');
+      const isbn10 = identifiers.find(identifier => identifier.type === 'ISBN_10');
+
+      return {
+        title: info.subtitle ? `${info.title}: ${info.subtitle}` : info.title,
+        author: (info.authors || []).join(', ') || null,
+        genre: mapSubjectsToGenre(info.categories || []),
+        publicationYear: extractYear(info.publishedDate),
+        description: info.description || null,
+        isbn: (isbn13 || isbn10 || {}).identifier || null,
+        source: 'googlebooks'
+      };
+    });
+  };
+
+  return {
+    name: 'googlebooks',
+    lookupByIsbn: (isbn) => search(`isbn:${isbn}`),
+    searchByTitle: (title) => search(`intitle:${title}`)
+  };
+};
+
+export default createGoogleBooksProvider;
@@ -0,0 +1,30 @@
+// Shared fetch helper for the online providers
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+export class ProviderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderError';
+  }
+}
+
+export const fetchJson = async (url) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new ProviderError(`Could not reach ${new URL(url).host}: ${error.message}`);
+  }
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new ProviderError(`${new URL(url).host} responded with status ${response.status}`);
+  }
+  return response.json();
+};
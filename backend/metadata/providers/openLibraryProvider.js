@@ -0,0 +1,57 @@
+import { fetchJson } from './http.js';
+import { mapSubjectsToGenre, extractYear } from '../genres.js';
+
+// Open Library adapter (https://openlibrary.org/developers/api)
+
+const BASE_URL = 'https://openlibrary.org';
+const MAX_RESULTS = 5;
+
+export const createOpenLibraryProvider = ({ baseUrl = BASE_URL } = {}) => {
+  // Works carry the description, editions don't always
+  const fetchWorkDescription = async (workKey) => {
+    if (!workKey) {
+      return null;
+    }
+    const work = await fetchJson(`${baseUrl}${workKey}.json`);
+    const description = work && work.description;
+    return typeof description === 'object' ? description.value : description || null;
+  };
+
+  return {
+    name: 'openlibrary',
+
+    lookupByIsbn: async (isbn) => {
+      const data = await fetchJson(`${baseUrl}/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`);
+      const book = data && data[`ISBN:${isbn}`];
+      if (!book) {
+        return [];
+      }
+
+      const workKey = book.works && book.works[0] && book.works[0].key;
+      return [{
+        title: book.title,
+        author: (book.authors || []).map(author => author.name).join(', ') || null,
+        genre: mapSubjectsToGenre((book.subjects || []).map(subject => subject.name)),
+        publicationYear: extractYear(book.publish_date),
+        description: (book.notes && (book.notes.value || book.notes)) || await fetchWorkDescription(workKey),
+        isbn,
+        source: 'openlibrary'
+      }];
+    },
+
+    searchByTitle: async (title) => {
+      const data = await fetchJson(`${baseUrl}/search.json?title=${encodeURIComponent(title)}&limit=${MAX_RESULTS}`);
+      return ((data && data.docs) || []).map(doc => ({
+        title: doc.title,
+        author: (doc.author_name || []).join(', ') || null,
+        genre: mapSubjectsToGenre(doc.subject || []),
+        publicationYear: doc.first_publish_year || null,
+        description: null,
+        isbn: (doc.isbn || [])[0] || null,
+        source: 'openlibrary'
+      }));
+    }
+  };
+};
+
+export default createOpenLibraryProvider;
@@ -0,0 +1,96 @@
+import { findSessionUser, toPublicUser } from '../auth/sessions.js';
+import { resolveApiKey, hasScope, toPublicKey } from '../auth/apiKeys.js';
+
+// Pull a bearer token out of the Authorization header
+export const getBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Attach req.user when a valid session token is supplied, and req.apiKey
+// when an X-API-Key header is supplied. A bad API key is rejected outright.
+export const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (token) {
+      const user = await findSessionUser(token);
+      if (user) {
+        req.user = toPublicUser(user);
+      }
+    }
+    
+    const key = req.get('X-API-Key');
+    if (key) {
+      const { apiKey, error } = await resolveApiKey(key);
+      if (error) {
+        return res.status(401).json({
+          success: false,
+          message: error
+        });
+      }
+      req.apiKey = toPublicKey(apiKey);
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject requests without a signed-in user
+export const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+  next();
+};
+
+// Scope granted to the current request: admins and API keys carry their own,
+// other signed-in users may read and write
+export const getGrantedScope = (req) => {
+  if (req.user) {
+    return req.user.role === 'admin' ? 'admin' : 'write';
+  }
+  if (req.apiKey) {
+    return req.apiKey.scope;
+  }
+  return null;
+};
+
+// Who is making the request, for audit fields such as createdBy
+export const describeActor = (req) => {
+  if (req.user) {
+    return `user:${req.user.username}`;
+  }
+  if (req.apiKey) {
+    return `apiKey:${req.apiKey.name} (${req.apiKey.prefix})`;
+  }
+  return 'anonymous';
+};
+
+// Reject requests whose credentials don't carry the required scope
+export const requireScope = (scope) => (req, res, next) => {
+  const granted = getGrantedScope(req);
+  
+  if (!granted) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required: sign in or provide an API key in the X-API-Key header'
+    });
+  }
+  
+  if (!hasScope(granted, scope)) {
+    return res.status(403).json({
+      success: false,
+      message: req.user
+        ? `This action requires ${scope} permission`
+        : `This API key has ${granted} scope, but ${scope} is required`
+    });
+  }
+  
+  next();
+};
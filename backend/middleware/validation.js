@@ -0,0 +1,39 @@
+import { query, validationResult } from 'express-validator';
+
+// A query parameter given more than once (?genre=a&genre=b) arrives as an
+// array; refuse that for parameters that take a single value
+export const singleQueryValues = (fields) => query(fields)
+  .optional()
+  .isString()
+  .withMessage((value, { path }) => `${path} may only be given once`);
+
+// Error handling middleware
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Like handleValidationErrors for partial updates: only the fields the
+// request changes (req.patchedFields) have to pass, so a value stored before
+// a rule was tightened doesn't block edits to other fields
+export const handlePatchValidationErrors = (req, res, next) => {
+  const errors = validationResult(req).array()
+    .filter(error => req.patchedFields.includes(error.path));
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+  next();
+};
+
+export default handleValidationErrors;
@@ -0,0 +1,38 @@
+import { createRepository } from '../storage/index.js';
+
+// Reader reviews of books: a 1-5 star rating with optional text. Admins can
+// hide a review (the moderation flag); hidden reviews are left out of the
+// book's average rating and only shown to admins.
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+export const reviews = createRepository('reviews');
+
+export const isVisibleReview = (review) => !review.hidden;
+
+// Average of the given ratings to one decimal place, or null without any
+export const averageRating = (ratings) => {
+  if (ratings.length === 0) {
+    return null;
+  }
+  const total = ratings.reduce((sum, rating) => sum + rating, 0);
+  return Math.round((total / ratings.length) * 10) / 10;
+};
+
+// Add averageRating and reviewCount (visible reviews only) to each book
+export const withRatings = async (bookList) => {
+  const bookIds = new Set(bookList.map(book => book.id));
+  const bookReviews = await reviews.findMany(review => bookIds.has(review.bookId) && isVisibleReview(review));
+  
+  return bookList.map(book => {
+    const ratings = bookReviews
+      .filter(review => review.bookId === book.id)
+      .map(review => review.rating);
+    return {
+      ...book,
+      averageRating: averageRating(ratings),
+      reviewCount: ratings.length
+    };
+  });
+};
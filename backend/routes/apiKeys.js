@@ -0,0 +1,118 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { requireScope, describeActor } from '../middleware/auth.js';
+import { SCOPES, apiKeys, createApiKey, toPublicKey } from '../auth/apiKeys.js';
+
+const router = express.Router();
+
+// Key management is limited to admins
+router.use(requireScope('admin'));
+
+// Validation middleware
+const apiKeyValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('scope')
+    .isIn(SCOPES)
+    .withMessage(`Scope must be one of: ${SCOPES.join(', ')}`),
+  
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future')
+];
+
+// GET /api/keys - List API keys
+router.get('/', async (req, res) => {
+  try {
+    const allKeys = await apiKeys.findAll();
+    res.json({
+      success: true,
+      data: allKeys.map(toPublicKey),
+      count: allKeys.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve API keys',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/keys - Create an API key (the key itself is only returned here)
+router.post('/', apiKeyValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, scope, expiresAt } = req.body;
+    
+    const { apiKey, key } = await createApiKey({
+      name,
+      scope,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      createdBy: describeActor(req)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store the key now, it will not be shown again.',
+      data: {
+        ...toPublicKey(apiKey),
+        key
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/keys/:id - Revoke an API key (kept for auditing)
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await apiKeys.findById(req.params.id);
+    
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+    
+    if (apiKey.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'API key has already been revoked'
+      });
+    }
+    
+    const revokedKey = await apiKeys.update(apiKey.id, {
+      revokedAt: new Date().toISOString(),
+      revokedBy: describeActor(req)
+    });
+    
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: toPublicKey(revokedKey)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,138 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { requireAuth, getBearerToken } from '../middleware/auth.js';
+import { hashPassword, verifyPassword, DUMMY_PASSWORD_HASH } from '../auth/passwords.js';
+import {
+  registerUser,
+  createSession,
+  destroySession,
+  findUserByUsername,
+  toPublicUser
+} from '../auth/sessions.js';
+
+const router = express.Router();
+
+// Validation middleware
+const registerValidation = [
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required')
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[A-Za-z0-9_.-]+$/)
+    .withMessage('Username may only contain letters, numbers, dots, dashes and underscores'),
+  
+  body('password')
+    .isString()
+    .withMessage('Password is required')
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be between 8 and 128 characters')
+];
+
+const loginValidation = [
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required'),
+  
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+// POST /api/auth/register - Create an account and sign in
+router.post('/register', registerValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    // Hash first: the slow part stays outside the registration queue
+    const user = await registerUser(username, await hashPassword(password));
+    
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        message: 'That username is already taken'
+      });
+    }
+    
+    const session = await createSession(user);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: {
+        user: toPublicUser(user),
+        ...session
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create account',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/auth/login - Exchange credentials for a session token
+router.post('/login', loginValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = await findUserByUsername(username);
+    const passwordMatches = await verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    
+    if (!user || !passwordMatches) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+    
+    const session = await createSession(user);
+    
+    res.json({
+      success: true,
+      message: 'Signed in successfully',
+      data: {
+        user: toPublicUser(user),
+        ...session
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign in',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/auth/logout - End the current session
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await destroySession(getBearerToken(req));
+    res.json({
+      success: true,
+      message: 'Signed out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/auth/me - Get the signed-in user
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { handleValidationErrors, singleQueryValues } from '../middleware/validation.js';
+import { requireScope } from '../middleware/auth.js';
+import { createMetadataProvider, lookupMetadata, ProviderError } from '../metadata/index.js';
+import { isValidIsbn } from '../utils/isbn.js';
+import { findGenreByName } from '../genres/taxonomy.js';
+
+const router = express.Router();
+const provider = createMetadataProvider();
+
+// Validation middleware
+const lookupValidation = [
+  singleQueryValues(['isbn', 'title']),
+  
+  query('isbn')
+    .optional({ values: 'falsy' })
+    .custom(isValidIsbn)
+    .withMessage('ISBN must be a valid ISBN-10 or ISBN-13'),
+  
+  query('title')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title must be at most 200 characters'),
+  
+  query()
+    .custom((value, { req }) => Boolean(req.query.isbn || req.query.title))
+    .withMessage('Provide an isbn or a title to look up')
+];
+
+// GET /api/metadata/lookup?isbn=... or ?title=... - Proposed book details
+router.get('/lookup', requireScope('write'), lookupValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { isbn, title } = req.query;
+    const found = await lookupMetadata(provider, { isbn, title });
+    
+    // Only propose genres that exist in the current taxonomy
+    const candidates = await Promise.all(found.map(async candidate => ({
+      ...candidate,
+      genre: (await findGenreByName(candidate.genre))?.name ?? null
+    })));
+    
+    res.json({
+      success: true,
+      data: {
+        provider: provider.name,
+        candidates
+      },
+      count: candidates.length
+    });
+  } catch (error) {
+    if (error instanceof ProviderError) {
+      return res.status(502).json({
+        success: false,
+        message: 'Metadata provider is unavailable',
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Metadata lookup failed',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,86 @@
+import { tokenize, DEFAULT_FIELD_WEIGHTS } from './searchIndex.js';
+
+// Evaluates a parsed search query (see queryParser.js) against a list of
+// books, using the inverted index for term scoring.
+// Each node evaluates to a score, or null when the book does not match.
+
+export const executeQuery = (ast, books, index) => {
+  // Term scores are computed once per node, not once per book
+  const termScores = new Map();
+
+  const scoresFor = (node) => {
+    if (!termScores.has(node)) {
+      const fields = node.field ? [node.field] : null;
+      const exact = node.type === 'phrase';
+      termScores.set(node, tokenize(node.value).map(token => index.scoreTerm(token, { fields, exact })));
+    }
+    return termScores.get(node);
+  };
+
+  // Every token must match; a value like "sci-fi" becomes two tokens
+  const scoreTokens = (node, book) => {
+    const perToken = scoresFor(node);
+    if (perToken.length === 0) {
+      return null;
+    }
+    let total = 0;
+    for (const scores of perToken) {
+      if (!scores.has(book.id)) {
+        return null;
+      }
+      total += scores.get(book.id);
+    }
+    return total;
+  };
+
+  // Phrases additionally require the tokens to appear next to each other
+  const containsPhrase = (node, book) => {
+    const phrase = ` ${tokenize(node.value).join(' ')} `;
+    const fields = node.field ? [node.field] : Object.keys(DEFAULT_FIELD_WEIGHTS);
+    return fields.some(field => ` ${tokenize(book[field]).join(' ')} `.includes(phrase));
+  };
+
+  const evaluate = (node, book) => {
+    switch (node.type) {
+      case 'term':
+        return scoreTokens(node, book);
+      case 'phrase': {
+        const score = scoreTokens(node, book);
+        return score !== null && containsPhrase(node, book) ? score : null;
+      }
+      case 'year':
+        return book.publicationYear >= node.min && book.publicationYear <= node.max ? 0 : null;
+      case 'tag':
+        return (book.tags || []).includes(node.value) ? 0 : null;
+      case 'not':
+        return evaluate(node.node, book) === null ? 0 : null;
+      case 'and': {
+        let total = 0;
+        for (const child of node.nodes) {
+          const score = evaluate(child, book);
+          if (score === null) {
+            return null;
+          }
+          total += score;
+        }
+        return total;
+      }
+      case 'or': {
+        const scores = node.nodes
+          .map(child => evaluate(child, book))
+          .filter(score => score !== null);
+        return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) : null;
+      }
+      default:
+        throw new Error(`Unknown query node: ${node.type}`);
+    }
+  };
+
+  return books
+    .map(book => ({ book, score: evaluate(ast, book) }))
+    .filter(result => result.score !== null)
+    .map(({ book, score }) => ({ ...book, score: Math.round(score * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score || a.id - b.id);
+};
+
+export default executeQuery;
@@ -0,0 +1,256 @@
+// Parser for the structured search syntax, e.g.
+//   author:orwell genre:"Dystopian Fiction" year:>1940 -animal
+//
+// Supported:
+//   word              free text, matched by prefix against every field
+//   "some phrase"     exact phrase
+//   field:value       restrict to title, author, genre, description or isbn
+//   tag:book-club     books carrying exactly that tag (tag:"signed copy")
+//   0-451-52493-4     anything that looks like an ISBN matches by ISBN-13
+//   year:1949 year:>1940 year:<=1950 year:1940..1950
+//   -term             exclude matches
+//   a OR b            either side may match (terms are otherwise ANDed)
+//   ( ... )           grouping
+
+import { cleanIsbn, toIsbn13 } from '../utils/isbn.js';
+import { normalizeTag } from '../utils/tags.js';
+
+export const SEARCH_FIELDS = ['title', 'author', 'genre', 'description', 'isbn'];
+const RANGE_FIELDS = ['year'];
+const TAG_FIELD = 'tag';
+
+// Raised for malformed queries; carries the offending token and its position
+export class QueryParseError extends Error {
+  constructor(message, token, position) {
+    super(message);
+    this.name = 'QueryParseError';
+    this.token = token;
+    this.position = position;
+  }
+}
+
+const isBoundary = (char) => char === undefined || /[\s()"]/.test(char);
+
+// Split the raw query into tokens, remembering where each one started
+const lex = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  const readPhrase = (start) => {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) {
+      throw new QueryParseError('Unterminated quoted phrase', input.slice(start), start);
+    }
+    return { text: input.slice(start + 1, end), end: end + 1 };
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, text: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '-' && !isBoundary(input[i + 1])) {
+      tokens.push({ type: 'not', text: '-', position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const { text, end } = readPhrase(i);
+      tokens.push({ type: 'term', value: text, phrase: true, text: input.slice(i, end), position: i });
+      i = end;
+      continue;
+    }
+
+    // Plain word, possibly a field qualifier followed by its value
+    const start = i;
+    while (!isBoundary(input[i])) {
+      i++;
+    }
+    const word = input.slice(start, i);
+    const colon = word.indexOf(':');
+
+    if (colon === -1) {
+      if (word === 'OR' || word === 'AND') {
+        tokens.push({ type: word.toLowerCase(), text: word, position: start });
+      } else {
+        tokens.push({ type: 'term', value: word, phrase: false, text: word, position: start });
+      }
+      continue;
+    }
+
+    const field = word.slice(0, colon).toLowerCase();
+    let value = word.slice(colon + 1);
+    let phrase = false;
+
+    if (!value && input[i] === '"') {
+      const quoted = readPhrase(i);
+      value = quoted.text;
+      phrase = true;
+      i = quoted.end;
+    }
+
+    tokens.push({
+      type: 'term',
+      field,
+      value,
+      phrase,
+      text: input.slice(start, i),
+      position: start
+    });
+  }
+
+  return tokens;
+};
+
+// Turn a year qualifier value into an inclusive { min, max } range
+const parseYearRange = (token) => {
+  const value = token.value;
+  let match;
+
+  if ((match = value.match(/^(\d{1,4})\.\.(\d{1,4})$/))) {
+    return { min: parseInt(match[1]), max: parseInt(match[2]) };
+  }
+  if ((match = value.match(/^(>=|<=|>|<)?(\d{1,4})$/))) {
+    const year = parseInt(match[2]);
+    switch (match[1]) {
+      case '>': return { min: year + 1, max: Infinity };
+      case '>=': return { min: year, max: Infinity };
+      case '<': return { min: -Infinity, max: year - 1 };
+      case '<=': return { min: -Infinity, max: year };
+      default: return { min: year, max: year };
+    }
+  }
+
+  throw new QueryParseError(
+    'Invalid year filter, expected e.g. year:1949, year:>1940 or year:1940..1950',
+    token.text,
+    token.position
+  );
+};
+
+// Build the node for a single term token
+const termNode = (token) => {
+  if (token.field !== undefined) {
+    if (RANGE_FIELDS.includes(token.field)) {
+      return { type: 'year', ...parseYearRange(token) };
+    }
+    if (!SEARCH_FIELDS.includes(token.field) && token.field !== TAG_FIELD) {
+      throw new QueryParseError(
+        `Unknown field "${token.field}", expected one of: ${[...SEARCH_FIELDS, ...RANGE_FIELDS, TAG_FIELD].join(', ')}`,
+        token.text,
+        token.position
+      );
+    }
+  }
+  if (!token.value.trim()) {
+    throw new QueryParseError('Missing value', token.text, token.position);
+  }
+
+  if (token.field === TAG_FIELD) {
+    return { type: 'tag', value: normalizeTag(token.value) };
+  }
+
+  // ISBNs are indexed in ISBN-13 form, so hyphenated or ISBN-10 input is
+  // converted before matching
+  const isbn13 = toIsbn13(token.value);
+  if (isbn13 && (!token.field || token.field === 'isbn')) {
+    return { type: 'term', field: 'isbn', value: isbn13 };
+  }
+  if (token.field === 'isbn') {
+    return { type: 'term', field: 'isbn', value: cleanIsbn(token.value) };
+  }
+
+  return {
+    type: token.phrase ? 'phrase' : 'term',
+    field: token.field || null,
+    value: token.value
+  };
+};
+
+// Recursive descent: or -> and ('OR' and)*, and -> unary+, unary -> '-' unary | primary
+export const parseQuery = (input) => {
+  const tokens = lex(input);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const endOfInput = () => new QueryParseError('Unexpected end of query', '', input.length);
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw endOfInput();
+    }
+    if (token.type === '(') {
+      index++;
+      const node = parseOr();
+      const closing = peek();
+      if (!closing || closing.type !== ')') {
+        throw new QueryParseError('Missing closing parenthesis', token.text, token.position);
+      }
+      index++;
+      return node;
+    }
+    if (token.type === 'term') {
+      index++;
+      return termNode(token);
+    }
+    throw new QueryParseError(`Unexpected "${token.text}"`, token.text, token.position);
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token && token.type === 'not') {
+      index++;
+      return { type: 'not', node: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    const nodes = [parseUnary()];
+    for (;;) {
+      const token = peek();
+      if (!token || token.type === 'or' || token.type === ')') {
+        break;
+      }
+      if (token.type === 'and') {
+        index++;
+        continue;
+      }
+      nodes.push(parseUnary());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  };
+
+  const parseOr = () => {
+    const nodes = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      index++;
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+  };
+
+  if (tokens.length === 0) {
+    throw new QueryParseError('Search query is required', '', 0);
+  }
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw new QueryParseError(`Unexpected "${token.text}"`, token.text, token.position);
+  }
+  return ast;
+};
+
+export default parseQuery;
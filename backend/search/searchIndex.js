@@ -0,0 +1,148 @@
+// Inverted index for ranked full-text search over books.
+// Maps each token to the documents (and fields) it appears in, and keeps a
+// sorted vocabulary so prefix queries can find every token they extend.
+
+// Relative importance of a match in each field
+export const DEFAULT_FIELD_WEIGHTS = {
+  title: 3,
+  author: 2,
+  genre: 1.5,
+  description: 1,
+  isbn: 3,
+  tags: 2
+};
+
+// Prefix matches count for less than whole-token matches
+const PREFIX_MATCH_FACTOR = 0.5;
+
+// Split text into lowercase, accent-free alphanumeric tokens
+export const tokenize = (text) => {
+  if (text === undefined || text === null) {
+    return [];
+  }
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+// Find the position of a token in a sorted array (or where it would go)
+const lowerBound = (sorted, value) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < value) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+export const createSearchIndex = ({ fieldWeights = DEFAULT_FIELD_WEIGHTS } = {}) => {
+  // token -> Map(docId -> Map(field -> term frequency))
+  const postings = new Map();
+  // docId -> Set of tokens, so a document can be removed cleanly
+  const docTokens = new Map();
+  // Sorted list of every indexed token, for prefix lookups
+  const vocabulary = [];
+
+  const addToken = (token, docId, field) => {
+    let docs = postings.get(token);
+    if (!docs) {
+      docs = new Map();
+      postings.set(token, docs);
+      vocabulary.splice(lowerBound(vocabulary, token), 0, token);
+    }
+    let fields = docs.get(docId);
+    if (!fields) {
+      fields = new Map();
+      docs.set(docId, fields);
+    }
+    fields.set(field, (fields.get(field) || 0) + 1);
+  };
+
+  const remove = (docId) => {
+    const tokens = docTokens.get(docId);
+    if (!tokens) {
+      return;
+    }
+    tokens.forEach(token => {
+      const docs = postings.get(token);
+      docs.delete(docId);
+      if (docs.size === 0) {
+        postings.delete(token);
+        vocabulary.splice(lowerBound(vocabulary, token), 1);
+      }
+    });
+    docTokens.delete(docId);
+  };
+
+  const add = (doc) => {
+    remove(doc.id);
+    const tokens = new Set();
+    Object.keys(fieldWeights).forEach(field => {
+      tokenize(doc[field]).forEach(token => {
+        addToken(token, doc.id, field);
+        tokens.add(token);
+      });
+    });
+    docTokens.set(doc.id, tokens);
+  };
+
+  // Every indexed token that starts with the given prefix
+  const expandPrefix = (prefix) => {
+    const matches = [];
+    for (let i = lowerBound(vocabulary, prefix); i < vocabulary.length; i++) {
+      if (!vocabulary[i].startsWith(prefix)) {
+        break;
+      }
+      matches.push(vocabulary[i]);
+    }
+    return matches;
+  };
+
+  // Score every document against a single query term, optionally counting
+  // only matches in some fields; exact: true disables prefix expansion
+  const scoreTerm = (term, { fields = null, exact = false } = {}) => {
+    const scores = new Map();
+    const totalDocs = docTokens.size;
+
+    const tokens = exact ? (postings.has(term) ? [term] : []) : expandPrefix(term);
+
+    tokens.forEach(token => {
+      const docs = postings.get(token);
+      const idf = Math.log(1 + totalDocs / docs.size);
+      const matchFactor = token === term ? 1 : PREFIX_MATCH_FACTOR;
+
+      docs.forEach((docFields, docId) => {
+        let tokenScore = 0;
+        docFields.forEach((frequency, field) => {
+          if (!fields || fields.includes(field)) {
+            tokenScore += fieldWeights[field] * frequency * idf * matchFactor;
+          }
+        });
+        // Keep the best-matching token for this term, don't sum expansions
+        if (tokenScore > 0) {
+          scores.set(docId, Math.max(scores.get(docId) || 0, tokenScore));
+        }
+      });
+    });
+
+    return scores;
+  };
+
+  return {
+    add,
+    remove,
+    scoreTerm,
+    expandPrefix,
+    size: () => docTokens.size
+  };
+};
+
+export default createSearchIndex;
@@ -2,23 +2,121 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
+import { createRepository, flushRepositories, storageErrors, VersionConflictError } from './storage/index.js';
+import { handleValidationErrors, handlePatchValidationErrors, singleQueryValues } from './middleware/validation.js';
+import { authenticate, requireScope, getGrantedScope, describeActor } from './middleware/auth.js';
+import { hasScope } from './auth/apiKeys.js';
+import authRoutes from './routes/auth.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import metadataRoutes from './routes/metadata.js';
+import {
+  SORT_FIELDS,
+  SORT_ORDERS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  buildBookFilter,
+  sortBooks,
+  paginate
+} from './utils/listQuery.js';
+import { createSearchIndex } from './search/searchIndex.js';
+import { parseQuery, QueryParseError } from './search/queryParser.js';
+import { executeQuery } from './search/executeQuery.js';
+import { revisions, recordRevision, getBookHistory, onRevision } from './history/revisions.js';
+import { createEventHub } from './events/eventHub.js';
+import { detectFormat, readImportRecords, ImportFormatError } from './import/bookImport.js';
+import { EXPORT_FORMATS, streamExport } from './export/formats.js';
+import { isValidIsbn, toIsbn13, toIsbn10 } from './utils/isbn.js';
+import { genres, findGenreByName, isWithinGenre, toGenreTree } from './genres/taxonomy.js';
+import { MAX_TAGS, MAX_TAG_LENGTH, normalizeTag, isTagList, parseTags } from './utils/tags.js';
+import { toETag, expectedVersion } from './utils/preconditions.js';
+import {
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_TYPE,
+  PatchError,
+  applyMergePatch,
+  applyJsonPatch,
+  patchedMembers
+} from './utils/patch.js';
+import {
+  MAX_AUTHORS_PER_BOOK,
+  authors,
+  createAuthor,
+  defaultSortName,
+  findAuthorByName,
+  findAuthorsByIds,
+  formatAuthorNames,
+  resolveAuthorNames,
+  splitAuthorNames,
+  toDisplayName
+} from './authors/authors.js';
+import {
+  MAX_RENEWALS,
+  copies,
+  loans,
+  normalizeBarcode,
+  findCopyByBarcode,
+  findActiveLoan,
+  defaultDueDate,
+  isOverdue,
+  daysOverdue,
+  withAvailability
+} from './circulation/circulation.js';
+import {
+  REQUEST_STATUSES,
+  acquisitionRequests,
+  canTransition,
+  findPendingRequest,
+  describeRequest,
+  compareRequests
+} from './acquisitions/acquisitions.js';
+import { MIN_RATING, MAX_RATING, reviews, isVisibleReview, withRatings } from './reviews/reviews.js';
+import {
+  VISIBILITIES,
+  MAX_COLLECTION_BOOKS,
+  collections,
+  canViewCollection,
+  canChangeCollection,
+  findOwnCollection,
+  insertAt
+} from './collections/collections.js';
+import {
+  COVER_TYPES,
+  MAX_COVER_BYTES,
+  COVER_SIZES,
+  CoverError,
+  saveCover,
+  readCover,
+  removeCover
+} from './covers/covers.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Bulk imports and batches may be much larger than a regular request body
+const IMPORT_SIZE_LIMIT = '5mb';
+const MAX_IMPORT_ROWS = 5000;
+const MAX_BATCH_OPERATIONS = 500;
+
 // Middleware
 app.use(helmet());
 app.use(cors({
   origin: ['http://localhost:5173', 'http://localhost:5174', 'http://localhost:5175'],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Content-Disposition', 'X-Total-Count', 'ETag']
 }));
 app.use(morgan('combined'));
+app.use('/api/books/import',
+  express.json({ limit: IMPORT_SIZE_LIMIT }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_SIZE_LIMIT })
+);
+app.use('/api/books/batch', express.json({ limit: IMPORT_SIZE_LIMIT }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(authenticate);
 
-// In-memory data storage (replace with database in production)
-let books = [
+// Initial catalog, used the first time a storage backend is empty
+const seedBooks = [
   {
     id: 1,
     title: "The Great Gatsby",
@@ -49,247 +147,3764 @@ let books = [
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   }
-];
+];
+
+// Book storage (driver selected by STORAGE_DRIVER, see storage/index.js)
+// Deleted books stay in storage with a deletedAt timestamp until purged.
+// Every change bumps a book's version, which is also its ETag.
+const books = createRepository('books', { seed: seedBooks, versioned: true });
+
+// How long deleted books are kept in the trash before being purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const isActiveBook = (book) => !book.deletedAt;
+
+// Books stored before authors became records only carry an author string;
+// link them to author records, creating those as needed
+for (const legacyBook of await books.findMany(book => !book.authorIds)) {
+  const bookAuthors = await resolveAuthorNames(splitAuthorNames(legacyBook.author));
+  await books.update(legacyBook.id, {
+    author: formatAuthorNames(bookAuthors),
+    authorIds: bookAuthors.map(author => author.id)
+  });
+}
+
+// Full-text search index, rebuilt from storage on startup and kept in sync
+// by the create, update, delete and restore routes
+const searchIndex = createSearchIndex();
+(await books.findMany(isActiveBook)).forEach(book => searchIndex.add(book));
+
+// Live catalog updates for open clients (GET /api/events). Every book change
+// records a revision, so events are published from there: creates and
+// restores as book.created, edits and reverts as book.updated, and moves to
+// the trash as book.deleted. Purges only touch books already in the trash.
+// Books are sent as the listing shows them, with ratings and availability,
+// so clients can replace their copy outright; events wait on one another
+// so they still go out in order.
+const bookEvents = createEventHub();
+const BOOK_EVENT_TYPES = {
+  create: 'book.created',
+  restore: 'book.created',
+  update: 'book.updated',
+  revert: 'book.updated',
+  delete: 'book.deleted'
+};
+let bookEventQueue = Promise.resolve();
+
+onRevision((revision, book) => {
+  const type = BOOK_EVENT_TYPES[revision.action];
+  if (!type) {
+    return;
+  }
+  
+  bookEventQueue = bookEventQueue.then(async () => {
+    const [detailedBook] = type === 'book.deleted' ? [null] : await withAvailability(await withRatings([book]));
+    bookEvents.publish(type, {
+      bookId: revision.bookId,
+      book: detailedBook,
+      actor: revision.actor,
+      at: revision.createdAt
+    });
+  }).catch(error => console.error('Failed to publish book event:', error));
+});
+
+// The fields bookValidation checks, which are also the ones PATCH may change
+const BOOK_FIELDS = ['title', 'author', 'authorIds', 'genre', 'publicationYear', 'description', 'isbn', 'tags'];
+
+// Bodies accepted by PATCH /api/books/:id (plain JSON is read as a merge patch)
+const PATCH_TYPES = ['application/json', MERGE_PATCH_TYPE, JSON_PATCH_TYPE];
+
+// Operations accepted by POST /api/books/batch
+const BATCH_OPERATIONS = ['create', 'update', 'delete'];
+
+// Validation middleware
+const bookValidation = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  // Authors are given either as authorIds or, for older clients and imports,
+  // as an author string ("A & B") that is matched against author records
+  body('author')
+    .if((value, { req }) => !req.body.authorIds)
+    .trim()
+    .notEmpty()
+    .withMessage('Author is required')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Author must be between 1 and 100 characters'),
+  
+  body('authorIds')
+    .optional({ values: 'null' })
+    .isArray({ min: 1, max: MAX_AUTHORS_PER_BOOK })
+    .withMessage(`A book must have between 1 and ${MAX_AUTHORS_PER_BOOK} authors`)
+    .bail()
+    .custom(ids => ids.every(id => Number.isInteger(id) && id > 0))
+    .withMessage('Author IDs must be positive integers')
+    .bail()
+    .custom(async ids => {
+      const found = await findAuthorsByIds([...new Set(ids)]);
+      if (found.length !== new Set(ids).size) {
+        throw new Error('One or more authors were not found');
+      }
+    }),
+  
+  body('genre')
+    .trim()
+    .notEmpty()
+    .withMessage('Genre is required')
+    .custom(async value => {
+      if (!(await findGenreByName(value))) {
+        throw new Error('Invalid genre');
+      }
+    })
+    .customSanitizer(async value => (await findGenreByName(value))?.name ?? value),
+  
+  body('publicationYear')
+    .isInt({ min: 1000, max: new Date().getFullYear() })
+    .withMessage(`Publication year must be between 1000 and ${new Date().getFullYear()}`),
+  
+  body('description')
+    .trim()
+    .notEmpty()
+    .withMessage('Description is required')
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Description must be between 1 and 1000 characters'),
+  
+  body('isbn')
+    .optional({ values: 'falsy' })
+    .custom(isValidIsbn)
+    .withMessage('ISBN must be a valid ISBN-10 or ISBN-13 (check digit mismatch or wrong length)')
+    .customSanitizer(toIsbn13),
+  
+  body('tags')
+    .optional({ values: 'null' })
+    .custom(isTagList)
+    .withMessage('Tags must be a list of strings')
+    .customSanitizer(parseTags)
+    .custom(tags => tags.length <= MAX_TAGS)
+    .withMessage(`A book can have at most ${MAX_TAGS} tags`)
+    .custom(tags => tags.every(tag => tag.length <= MAX_TAG_LENGTH))
+    .withMessage(`Tags must be at most ${MAX_TAG_LENGTH} characters`)
+];
+
+// Validation for adding tags to a book
+const addTagsValidation = [
+  body('tags')
+    .custom(isTagList)
+    .withMessage('Tags must be a list of strings')
+    .customSanitizer(parseTags)
+    .custom(tags => tags.length > 0)
+    .withMessage('At least one tag is required')
+    .custom(tags => tags.every(tag => tag.length <= MAX_TAG_LENGTH))
+    .withMessage(`Tags must be at most ${MAX_TAG_LENGTH} characters`)
+];
+
+// Tag listing validation
+const tagListValidation = [
+  singleQueryValues(['q', 'limit']),
+  
+  query('q')
+    .optional()
+    .customSanitizer(normalizeTag),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+    .toInt()
+];
+
+// Genre validation
+const genreValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  
+  body('parentId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Parent ID must be a positive integer')
+    .toInt()
+];
+
+// Genre removal validation
+const genreRemovalValidation = [
+  query('reassignTo')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('reassignTo must name a genre')
+];
+
+// Author validation
+const authorValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('sortName')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Sort name must be at most 100 characters'),
+  
+  body(['birthYear', 'deathYear'])
+    .optional({ values: 'falsy' })
+    .isInt({ min: -3000, max: new Date().getFullYear() })
+    .withMessage(`Birth and death years must be whole years up to ${new Date().getFullYear()}`)
+    .toInt(),
+  
+  body('deathYear')
+    .optional({ values: 'falsy' })
+    .custom((deathYear, { req }) => !req.body.birthYear || parseInt(deathYear) >= parseInt(req.body.birthYear))
+    .withMessage('Death year cannot be before birth year'),
+  
+  body('bio')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Bio must be at most 2000 characters')
+];
+
+// Author listing validation
+const authorListValidation = [
+  singleQueryValues('q'),
+  
+  query('q')
+    .optional()
+    .trim()
+];
+
+// Author merge validation
+const authorMergeValidation = [
+  body('sourceIds')
+    .isArray({ min: 1 })
+    .withMessage('sourceIds must list the duplicate authors to merge')
+    .bail()
+    .custom(ids => ids.every(id => Number.isInteger(id) && id > 0))
+    .withMessage('Author IDs must be positive integers')
+];
+
+// Copy validation
+const copyValidation = [
+  body('barcode')
+    .trim()
+    .notEmpty()
+    .withMessage('Barcode is required')
+    .isLength({ max: 50 })
+    .withMessage('Barcode must be at most 50 characters')
+    .matches(/^[A-Za-z0-9-]+$/)
+    .withMessage('Barcode may only contain letters, digits and hyphens')
+    .customSanitizer(normalizeBarcode),
+  
+  body('location')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location must be at most 100 characters')
+];
+
+// A future due date, for check-outs and renewals
+const dueDateValidation = body('dueDate')
+  .optional({ values: 'falsy' })
+  .isISO8601()
+  .withMessage('Due date must be an ISO 8601 date')
+  .custom(value => new Date(value) > new Date())
+  .withMessage('Due date must be in the future');
+
+// Circulation validation
+const checkinValidation = [
+  body('barcode')
+    .trim()
+    .notEmpty()
+    .withMessage('Barcode is required')
+];
+
+const checkoutValidation = [
+  ...checkinValidation,
+  
+  body('borrower')
+    .trim()
+    .notEmpty()
+    .withMessage('Borrower is required')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Borrower must be between 1 and 100 characters'),
+  
+  dueDateValidation
+];
+
+const renewValidation = [
+  ...checkinValidation,
+  dueDateValidation
+];
+
+// Loan listing validation
+const loanListValidation = [
+  singleQueryValues(['status', 'borrower']),
+  
+  query('status')
+    .optional()
+    .isIn(['active', 'overdue', 'returned'])
+    .withMessage('Status must be one of: active, overdue, returned'),
+  
+  query('borrower')
+    .optional()
+    .trim()
+];
+
+// Acquisition request validation
+const acquisitionRequestValidation = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  body('author')
+    .trim()
+    .notEmpty()
+    .withMessage('Author is required')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Author must be between 1 and 100 characters'),
+  
+  body('reason')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be at most 1000 characters')
+];
+
+// Acquisition request listing validation
+const requestListValidation = [
+  singleQueryValues(['status']),
+  
+  query('status')
+    .optional()
+    .isIn(REQUEST_STATUSES)
+    .withMessage(`Status must be one of: ${REQUEST_STATUSES.join(', ')}`)
+];
+
+// Validation for ordering or rejecting a request
+const requestDecisionValidation = [
+  body('note')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters')
+];
+
+// Review validation
+const reviewValidation = [
+  body('rating')
+    .isInt({ min: MIN_RATING, max: MAX_RATING })
+    .withMessage(`Rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}`)
+    .toInt(),
+  
+  body('reviewer')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reviewer name must be at most 100 characters'),
+  
+  body('text')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review text must be at most 2000 characters')
+];
+
+// Review moderation validation
+const moderationValidation = [
+  body('hidden')
+    .isBoolean()
+    .withMessage('hidden must be true or false')
+    .toBoolean()
+];
+
+// Collection validation
+const collectionValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  
+  body('visibility')
+    .optional()
+    .isIn(VISIBILITIES)
+    .withMessage(`Visibility must be one of: ${VISIBILITIES.join(', ')}`)
+];
+
+// Validation for a collection's ordered book IDs
+const collectionBooksValidation = [
+  body('bookIds')
+    .optional({ values: 'null' })
+    .isArray({ max: MAX_COLLECTION_BOOKS })
+    .withMessage(`bookIds must be a list of at most ${MAX_COLLECTION_BOOKS} book IDs`)
+    .bail()
+    .custom(ids => ids.every(id => Number.isInteger(id) && id > 0))
+    .withMessage('Book IDs must be positive integers')
+    .bail()
+    .custom(ids => new Set(ids).size === ids.length)
+    .withMessage('A book can only appear once in a collection')
+    .bail()
+    .custom(async ids => {
+      const wanted = new Set(ids);
+      const found = await books.findMany(book => isActiveBook(book) && wanted.has(book.id));
+      if (found.length !== wanted.size) {
+        throw new Error('One or more books were not found');
+      }
+    })
+];
+
+// Validation for adding a book to a collection
+const addCollectionBookValidation = [
+  body('bookId')
+    .isInt({ min: 1 })
+    .withMessage('bookId must be a book ID')
+    .toInt(),
+  
+  body('position')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Position must be a whole number from 0')
+    .toInt()
+];
+
+// Revert request validation
+const revertValidation = [
+  body('revisionId')
+    .isInt({ min: 1 })
+    .withMessage('Revision ID is required')
+    .toInt()
+];
+
+// Batch validation (each operation's own fields are checked when it's planned)
+const batchValidation = [
+  body('operations')
+    .isArray({ min: 1, max: MAX_BATCH_OPERATIONS })
+    .withMessage(`Operations must be a list of 1 to ${MAX_BATCH_OPERATIONS} operations`),
+  body('operations.*.op')
+    .isIn(BATCH_OPERATIONS)
+    .withMessage(`Each operation must be one of: ${BATCH_OPERATIONS.join(', ')}`),
+  body('operations.*.version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Versions must be positive integers')
+    .toInt(),
+  body('atomic')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Atomic must be true or false')
+];
+
+// Export format validation
+const exportValidation = [
+  singleQueryValues(['format', 'q']),
+  
+  query('format')
+    .optional()
+    .isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+  
+  query('q')
+    .optional()
+    .trim()
+];
+
+// Listing query validation (pagination, sorting and filters)
+const listQueryValidation = [
+  singleQueryValues(['page', 'limit', 'sort', 'order', 'genre', 'author', 'authorId', 'yearFrom', 'yearTo']),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+    .toInt(),
+  
+  query('sort')
+    .optional()
+    .isIn(SORT_FIELDS)
+    .withMessage(`Sort must be one of: ${SORT_FIELDS.join(', ')}`),
+  
+  query('order')
+    .optional()
+    .isIn(SORT_ORDERS)
+    .withMessage('Order must be either asc or desc'),
+  
+  query('genre')
+    .optional()
+    .trim(),
+  
+  query('author')
+    .optional()
+    .trim(),
+  
+  query('tags')
+    .optional()
+    .customSanitizer(parseTags),
+  
+  query('authorId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Author ID must be a positive integer')
+    .toInt(),
+  
+  query(['yearFrom', 'yearTo'])
+    .optional()
+    .isInt()
+    .withMessage('Year filters must be whole numbers')
+    .toInt()
+];
+
+// Helper function to find a book that is not in the trash
+const findActiveBook = async (id) => {
+  const book = await books.findById(id);
+  return book && isActiveBook(book) ? book : null;
+};
+
+// Helper function to refuse a conditional request (If-Match) made against an
+// outdated version, returning the current book so the client can merge
+const sendVersionConflict = (res, currentBook) => {
+  res.set('ETag', toETag(currentBook.version));
+  res.status(412).json({
+    success: false,
+    message: 'This book was changed by someone else since you loaded it',
+    data: currentBook
+  });
+};
+
+// Helper function to decide whether two books are the same edition: the same
+// ISBN, or the same title and author unless both carry different ISBNs
+const isSameBook = (a, b) => {
+  if (a.isbn && b.isbn) {
+    return a.isbn === b.isbn;
+  }
+  return a.title.toLowerCase() === b.title.toLowerCase() &&
+    a.author.toLowerCase() === b.author.toLowerCase();
+};
+
+// Helper function to find another book that duplicates the given fields
+const findDuplicateBook = (fields, excludeId) => {
+  return books.findOne(book =>
+    isActiveBook(book) &&
+    book.id !== excludeId &&
+    isSameBook(book, fields)
+  );
+};
+
+// Helper function to explain why a book counts as a duplicate
+const duplicateBookMessage = (existingBook, fields) => {
+  return existingBook.isbn && existingBook.isbn === fields.isbn
+    ? 'A book with this ISBN already exists'
+    : 'A book with this title and author already exists';
+};
+
+// Helper function to pick the editable fields out of a validated request body.
+// Authors named in an author string that have no record yet get a null ID
+// until the book is saved (see withSavedAuthors)
+const bookFieldsFrom = async ({ title, author, authorIds, genre, publicationYear, description, isbn, tags }) => {
+  const bookAuthors = authorIds
+    ? await findAuthorsByIds([...new Set(authorIds)])
+    : await resolveAuthorNames(splitAuthorNames(author), { create: false });
+  
+  return {
+    title: title.trim(),
+    author: formatAuthorNames(bookAuthors),
+    authorIds: bookAuthors.map(bookAuthor => bookAuthor.id),
+    genre: genre.trim(),
+    publicationYear: parseInt(publicationYear),
+    description: description.trim(),
+    isbn: isbn || null,
+    tags: tags || []
+  };
+};
+
+// Helper function to create any author records a book's fields still lack
+const withSavedAuthors = async (fields) => {
+  if (!fields.authorIds.includes(null)) {
+    return fields;
+  }
+  const bookAuthors = await resolveAuthorNames(splitAuthorNames(fields.author));
+  return {
+    ...fields,
+    author: formatAuthorNames(bookAuthors),
+    authorIds: bookAuthors.map(author => author.id)
+  };
+};
+
+// Helper function to apply a merge patch or JSON Patch to a book's editable
+// fields, for PATCH and batch updates. Returns the patched fields and the
+// names of the fields the patch touched; throws a PatchError for a malformed
+// patch or one that touches anything else.
+const patchBookFields = (book, patch, type) => {
+  const current = Object.fromEntries(
+    BOOK_FIELDS.filter(field => book[field] !== undefined && book[field] !== null).map(field => [field, book[field]])
+  );
+  const patched = type === JSON_PATCH_TYPE ? applyJsonPatch(current, patch) : applyMergePatch(current, patch);
+  const members = patchedMembers(patch, type);
+  const readOnly = members.filter(member => !BOOK_FIELDS.includes(member));
+  
+  if (readOnly.length > 0) {
+    throw new PatchError(`These fields can't be changed: ${readOnly.join(', ')}`);
+  }
+  
+  if (members.length === 0) {
+    throw new PatchError('The patch does not change any fields');
+  }
+  
+  // The author string and author IDs are two forms of the same credits:
+  // a new author string replaces the IDs, and either changes both
+  const changesAuthors = members.includes('author') || members.includes('authorIds');
+  if (members.includes('author') && !members.includes('authorIds')) {
+    delete patched.authorIds;
+  }
+  
+  return {
+    patched,
+    patchedFields: changesAuthors ? [...new Set([...members, 'author', 'authorIds'])] : members
+  };
+};
+
+// Helper function to save validated changes to a book (PUT and PATCH), unless
+// If-Match names an older version or the result would duplicate another book
+const saveBookChanges = async (req, res, book, changes) => {
+  const version = expectedVersion(req, book);
+  
+  if (version === null) {
+    return sendVersionConflict(res, book);
+  }
+  
+  // Check if another book duplicates the changed book (excluding itself)
+  const changedBook = { ...book, ...changes };
+  const existingBook = await findDuplicateBook(changedBook, book.id);
+  
+  if (existingBook) {
+    return res.status(409).json({
+      success: false,
+      message: duplicateBookMessage(existingBook, changedBook)
+    });
+  }
+  
+  const updatedBook = await books.update(book.id, {
+    ...(changes.authorIds ? await withSavedAuthors(changes) : changes),
+    updatedAt: new Date().toISOString()
+  }, { expectedVersion: version });
+  searchIndex.add(updatedBook);
+  await recordRevision({
+    bookId: book.id,
+    action: 'update',
+    actor: describeActor(req),
+    before: book,
+    after: updatedBook
+  });
+  
+  res.set('ETag', toETag(updatedBook.version));
+  res.json({
+    success: true,
+    message: 'Book updated successfully',
+    data: updatedBook
+  });
+};
+
+// Helper function to store a new book, index it and record its first revision
+const createBook = async (fields, actor) => {
+  const newBook = await books.create({
+    ...(await withSavedAuthors(fields)),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+  searchIndex.add(newBook);
+  await recordRevision({
+    bookId: newBook.id,
+    action: 'create',
+    actor,
+    after: newBook
+  });
+  return newBook;
+};
+
+// Helper function to check one batch operation without changing anything.
+// Returns { plan } with what to write, or { failure } with why it can't be
+// done. planned holds the operations accepted so far, so a batch can't touch
+// the same book twice or create the same book twice.
+const planBatchOperation = async (req, operation, planned) => {
+  const { op, id, data, patch, version } = operation;
+  const fail = (message, extra) => ({ failure: { message, ...extra } });
+  const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+  
+  // Run the same validation chain as POST /api/books against the fields,
+  // only counting errors in fieldNames when given
+  const validate = async (fields, fieldNames) => {
+    const opReq = { body: { ...fields } };
+    await Promise.all(bookValidation.map(chain => chain.run(opReq)));
+    const errors = validationResult(opReq).array()
+      .filter(error => !fieldNames || fieldNames.includes(error.path));
+    return { body: opReq.body, errors };
+  };
+  
+  // Another book, stored or earlier in this batch, that the result duplicates
+  const duplicateMessage = async (result, excludeId) => {
+    if (planned.some(other => other.result && isSameBook(other.result, result))) {
+      return 'Duplicate of a book earlier in this batch';
+    }
+    const existingBook = await findDuplicateBook(result, excludeId);
+    return existingBook ? duplicateBookMessage(existingBook, result) : null;
+  };
+  
+  if (op === 'create') {
+    if (!isObject(data)) {
+      return fail('A create needs the new book as data');
+    }
+    
+    const { body: validated, errors } = await validate(data);
+    if (errors.length > 0) {
+      return fail('Validation failed', { errors });
+    }
+    
+    const fields = await bookFieldsFrom(validated);
+    const duplicate = await duplicateMessage(fields);
+    if (duplicate) {
+      return fail(duplicate);
+    }
+    return { plan: { op, fields, result: fields } };
+  }
+  
+  const book = id === undefined || id === null ? null : await findActiveBook(id);
+  
+  if (!book) {
+    return fail('Book not found');
+  }
+  
+  if (planned.some(other => other.before?.id === book.id)) {
+    return fail('This book already has an operation earlier in this batch');
+  }
+  
+  if (version !== undefined && version !== book.version) {
+    return fail('This book was changed by someone else since you loaded it', { book });
+  }
+  
+  if (op === 'delete') {
+    if (!isAdminRequest(req)) {
+      return fail('Deleting books requires admin scope');
+    }
+    
+    const onLoan = await loans.findOne(loan => loan.bookId === book.id && !loan.returnedAt);
+    if (onLoan) {
+      return fail('Copies of this book are on loan; check them in before deleting it');
+    }
+    return { plan: { op, before: book } };
+  }
+  
+  // An update takes a merge patch as data or a JSON Patch as patch
+  if ((data === undefined) === (patch === undefined) || (data !== undefined && !isObject(data))) {
+    return fail('An update needs either a merge patch object as data or a JSON Patch as patch');
+  }
+  
+  let patched, patchedFields;
+  try {
+    ({ patched, patchedFields } = patchBookFields(book, data ?? patch, data ? MERGE_PATCH_TYPE : JSON_PATCH_TYPE));
+  } catch (error) {
+    if (error instanceof PatchError) {
+      return fail(error.message);
+    }
+    throw error;
+  }
+  
+  const { body: validated, errors } = await validate(patched, patchedFields);
+  if (errors.length > 0) {
+    return fail('Validation failed', { errors });
+  }
+  
+  const fields = await bookFieldsFrom(validated);
+  const changes = Object.fromEntries(
+    Object.entries(fields).filter(([field]) => patchedFields.includes(field))
+  );
+  const result = { ...book, ...changes };
+  const duplicate = await duplicateMessage(result, book.id);
+  if (duplicate) {
+    return fail(duplicate);
+  }
+  return { plan: { op, before: book, changes, result } };
+};
+
+// Helper function to write a planned batch operation, returning the stored
+// book. Updates and deletes only go ahead if the book is still the version
+// that was planned against (otherwise a VersionConflictError is thrown).
+// The search index and revision history are brought up to date separately,
+// once the batch is known to stand.
+const writeBatchOperation = async (plan, actor) => {
+  const now = new Date().toISOString();
+  
+  if (plan.op === 'create') {
+    return books.create({
+      ...(await withSavedAuthors(plan.fields)),
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+  
+  const changes = plan.op === 'delete'
+    ? { deletedAt: now, deletedBy: actor }
+    : { ...(plan.changes.authorIds ? await withSavedAuthors(plan.changes) : plan.changes), updatedAt: now };
+  return books.update(plan.before.id, changes, { expectedVersion: plan.before.version });
+};
+
+// Helper function to take back a written batch operation, for all-or-nothing
+// batches. Updated and deleted books get their earlier fields back (as a new
+// version); author records created along the way are kept.
+const undoBatchOperation = async (plan, book) => {
+  if (plan.op === 'create') {
+    return books.remove(book.id);
+  }
+  
+  const changedFields = plan.op === 'delete' ? ['deletedAt', 'deletedBy'] : [...Object.keys(plan.changes), 'updatedAt'];
+  return books.update(book.id, Object.fromEntries(
+    changedFields.map(field => [field, plan.before[field] ?? null])
+  ));
+};
+
+// Helper function to save a book's new cover details (null when removed),
+// keeping the revision history in step
+const updateBookCover = async (book, cover, actor) => {
+  const updatedBook = await books.update(book.id, {
+    cover,
+    updatedAt: new Date().toISOString()
+  });
+  await recordRevision({
+    bookId: book.id,
+    action: 'update',
+    actor,
+    before: book,
+    after: updatedBook
+  });
+  return updatedBook;
+};
+
+// Helper function to move every stored book (including the trash) from one
+// genre name to another, recording a revision for each
+const reassignBookGenre = async (fromName, toName, actor) => {
+  const affectedBooks = await books.findMany(book => book.genre === fromName);
+  
+  for (const book of affectedBooks) {
+    const updatedBook = await books.update(book.id, {
+      genre: toName,
+      updatedAt: new Date().toISOString()
+    });
+    if (isActiveBook(updatedBook)) {
+      searchIndex.add(updatedBook);
+    }
+    await recordRevision({
+      bookId: book.id,
+      action: 'update',
+      actor,
+      before: book,
+      after: updatedBook
+    });
+  }
+  
+  return affectedBooks.length;
+};
+
+// Helper function to save a book's new tag list, keeping the search index
+// and revision history in step
+const updateBookTags = async (book, tags, actor) => {
+  const updatedBook = await books.update(book.id, {
+    tags,
+    updatedAt: new Date().toISOString()
+  });
+  searchIndex.add(updatedBook);
+  await recordRevision({
+    bookId: book.id,
+    action: 'update',
+    actor,
+    before: book,
+    after: updatedBook
+  });
+  return updatedBook;
+};
+
+// Helper function to rewrite the author credits of every stored book
+// (including the trash) that credits one of the given authors; mapIds turns
+// a book's old author IDs into its new ones. Records a revision for each book
+// whose content changed.
+const updateAuthorCredits = async (authorIds, mapIds, actor) => {
+  const affectedBooks = await books.findMany(book =>
+    (book.authorIds || []).some(id => authorIds.includes(id))
+  );
+  
+  for (const book of affectedBooks) {
+    const bookAuthors = await findAuthorsByIds([...new Set(mapIds(book.authorIds))]);
+    const updatedBook = await books.update(book.id, {
+      author: formatAuthorNames(bookAuthors),
+      authorIds: bookAuthors.map(author => author.id),
+      updatedAt: new Date().toISOString()
+    });
+    if (isActiveBook(updatedBook)) {
+      searchIndex.add(updatedBook);
+    }
+    await recordRevision({
+      bookId: book.id,
+      action: 'update',
+      actor,
+      before: book,
+      after: updatedBook
+    });
+  }
+  
+  return affectedBooks.length;
+};
+
+// Helper function to tell whether the request carries admin scope
+const isAdminRequest = (req) => hasScope(getGrantedScope(req), 'admin');
+
+// Helper function to find a review of a given book
+const findBookReview = async (bookId, reviewId) => {
+  const review = await reviews.findById(reviewId);
+  return review && review.bookId === parseInt(bookId) ? review : null;
+};
+
+// Reviews may be changed by whoever wrote them, or by an admin
+const canChangeReview = (req, review) => {
+  return review.createdBy === describeActor(req) || isAdminRequest(req);
+};
+
+// Helper function to find the collection named in the route, if the
+// requester may see it (private collections of others look missing)
+const findVisibleCollection = async (req) => {
+  const collection = await collections.findById(req.params.id);
+  return collection && canViewCollection(collection, describeActor(req), isAdminRequest(req))
+    ? collection
+    : null;
+};
+
+// Helper function to collect the IDs of books not in the trash
+const activeBookIds = async () => new Set((await books.findMany(isActiveBook)).map(book => book.id));
+
+// Helper function to present a collection with its size (not counting books
+// in the trash) and whether the requester may change it
+const describeCollection = (collection, req, activeIds) => {
+  return {
+    ...collection,
+    bookCount: collection.bookIds.filter(bookId => activeIds.has(bookId)).length,
+    editable: canChangeCollection(collection, describeActor(req), isAdminRequest(req))
+  };
+};
+
+// Helper function to add a copy's loan status and current loan
+const copyWithStatus = async (copy) => {
+  const loan = await findActiveLoan(copy.id);
+  return {
+    ...copy,
+    status: loan ? 'on-loan' : 'available',
+    loan: loan ? { id: loan.id, borrower: loan.borrower, dueDate: loan.dueDate, overdue: isOverdue(loan) } : null
+  };
+};
+
+// Helper function to add book details and overdue state to loans
+const describeLoans = async (loanList, now = new Date()) => {
+  const bookIds = new Set(loanList.map(loan => loan.bookId));
+  const loanBooks = await books.findMany(book => bookIds.has(book.id));
+  
+  return loanList.map(loan => {
+    const book = loanBooks.find(other => other.id === loan.bookId);
+    return {
+      ...loan,
+      book: book ? { id: book.id, title: book.title, author: book.author } : null,
+      overdue: isOverdue(loan, now),
+      daysOverdue: daysOverdue(loan, now)
+    };
+  });
+};
+
+// Helper function to check a proposed parent for a genre, returning an error
+// message if the parent is missing or would create a cycle
+const checkGenreParent = async (parentId, genreId) => {
+  if (parentId === undefined || parentId === null) {
+    return null;
+  }
+  
+  const allGenres = await genres.findAll();
+  
+  if (!allGenres.some(genre => genre.id === parentId)) {
+    return 'Parent genre not found';
+  }
+  if (genreId !== undefined && isWithinGenre(parentId, genreId, allGenres)) {
+    return 'A genre cannot be placed under itself or one of its subgenres';
+  }
+  return null;
+};
+
+// Helper function to report a search syntax error, pointing at the bad token
+const sendQueryParseError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    message: `Invalid search query at position ${error.position + 1} ("${error.token}"): ${error.message}`,
+    errors: [{
+      type: 'query',
+      msg: error.message,
+      value: error.token,
+      position: error.position
+    }]
+  });
+};
+
+// Routes
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  // Changes that couldn't be written to disk are only held in memory
+  const [storageError] = storageErrors();
+  if (storageError) {
+    return res.status(503).json({
+      success: false,
+      message: 'Recent changes could not be saved to disk',
+      error: process.env.NODE_ENV === 'development' ? storageError.message : 'Storage write failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Book Management API is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// GET /api/isbn/:isbn - Validate an ISBN and convert between ISBN-10 and ISBN-13
+app.get('/api/isbn/:isbn', (req, res) => {
+  const isbn13 = toIsbn13(req.params.isbn);
+  
+  if (!isbn13) {
+    return res.status(400).json({
+      success: false,
+      message: 'Not a valid ISBN-10 or ISBN-13'
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: {
+      isbn13,
+      isbn10: toIsbn10(isbn13)
+    }
+  });
+});
+
+// Authentication routes (register, login, logout, me)
+app.use('/api/auth', authRoutes);
+
+// API key management (admin only)
+app.use('/api/keys', apiKeyRoutes);
+
+// Bibliographic metadata lookup for pre-filling the book form
+app.use('/api/metadata', metadataRoutes);
+
+// GET /api/events - Stream of book.created, book.updated and book.deleted
+// events (Server-Sent Events). Send Last-Event-ID to resume after a dropped
+// connection; a resync event means the missed events are gone and the
+// client should reload.
+app.get('/api/events', requireScope('read'), (req, res) => {
+  bookEvents.connect(req, res);
+});
+
+// GET /api/authors - List authors by sort name, with how many books credit each
+// ?q= narrows to authors whose name or sort name contains the text
+app.get('/api/authors', requireScope('read'), authorListValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const search = (req.query.q || '').toLowerCase();
+    const matchingAuthors = await authors.findMany(author =>
+      author.name.toLowerCase().includes(search) || author.sortName.toLowerCase().includes(search)
+    );
+    const activeBooks = await books.findMany(isActiveBook);
+    
+    const data = matchingAuthors
+      .sort((a, b) => a.sortName.localeCompare(b.sortName, undefined, { sensitivity: 'base' }))
+      .map(author => ({
+        ...author,
+        bookCount: activeBooks.filter(book => (book.authorIds || []).includes(author.id)).length
+      }));
+    
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve authors',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/authors/:id - Get an author with all of their books
+app.get('/api/authors/:id', requireScope('read'), async (req, res) => {
+  try {
+    const author = await authors.findById(req.params.id);
+    
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found'
+      });
+    }
+    
+    const authorBooks = sortBooks(
+      await books.findMany(book => isActiveBook(book) && (book.authorIds || []).includes(author.id)),
+      'publicationYear'
+    );
+    
+    res.json({
+      success: true,
+      data: {
+        ...author,
+        bookCount: authorBooks.length,
+        books: authorBooks
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve author',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/authors - Create an author
+app.post('/api/authors', requireScope('write'), authorValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, sortName, birthYear, deathYear, bio } = req.body;
+    
+    if (await findAuthorByName(name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'An author with this name already exists'
+      });
+    }
+    
+    const newAuthor = await createAuthor({
+      name,
+      sortName,
+      birthYear: birthYear || null,
+      deathYear: deathYear || null,
+      bio: bio || ''
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Author created successfully',
+      data: newAuthor
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create author',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/authors/:id - Update an author
+// A new name is carried over to the author string of every book they wrote
+app.put('/api/authors/:id', requireScope('write'), authorValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const author = await authors.findById(req.params.id);
+    
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found'
+      });
+    }
+    
+    const { sortName, birthYear, deathYear, bio } = req.body;
+    const name = toDisplayName(req.body.name);
+    const existingAuthor = await findAuthorByName(name);
+    
+    if (existingAuthor && existingAuthor.id !== author.id) {
+      return res.status(409).json({
+        success: false,
+        message: 'An author with this name already exists; merge them instead'
+      });
+    }
+    
+    const updatedAuthor = await authors.update(author.id, {
+      name,
+      sortName: sortName || defaultSortName(name),
+      birthYear: birthYear || null,
+      deathYear: deathYear || null,
+      bio: bio || '',
+      updatedAt: new Date().toISOString()
+    });
+    const booksUpdated = name !== author.name
+      ? await updateAuthorCredits([author.id], ids => ids, describeActor(req))
+      : 0;
+    
+    res.json({
+      success: true,
+      message: 'Author updated successfully',
+      data: updatedAuthor,
+      booksUpdated
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update author',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/authors/:id - Delete an author no book credits
+app.delete('/api/authors/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const author = await authors.findById(req.params.id);
+    
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found'
+      });
+    }
+    
+    const creditedBooks = await books.findMany(book => (book.authorIds || []).includes(author.id));
+    
+    if (creditedBooks.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${creditedBooks.length} book(s) (including the trash) still credit this author`,
+        bookCount: creditedBooks.length
+      });
+    }
+    
+    await authors.remove(author.id);
+    
+    res.json({
+      success: true,
+      message: 'Author deleted successfully',
+      data: author
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete author',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/authors/:id/merge - Merge duplicate authors into this one
+// ({ "sourceIds": [4, 7] }). Their books are credited to this author, any
+// details this author lacks are taken from them, and they are deleted.
+app.post('/api/authors/:id/merge', requireScope('admin'), authorMergeValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const author = await authors.findById(req.params.id);
+    
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found'
+      });
+    }
+    
+    const sourceIds = [...new Set(req.body.sourceIds)];
+    
+    if (sourceIds.includes(author.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An author cannot be merged into itself'
+      });
+    }
+    
+    const sources = await findAuthorsByIds(sourceIds);
+    
+    if (sources.length !== sourceIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more authors to merge were not found'
+      });
+    }
+    
+    const mergedAuthor = await authors.update(author.id, {
+      birthYear: author.birthYear ?? sources.find(source => source.birthYear)?.birthYear ?? null,
+      deathYear: author.deathYear ?? sources.find(source => source.deathYear)?.deathYear ?? null,
+      bio: author.bio || sources.find(source => source.bio)?.bio || '',
+      updatedAt: new Date().toISOString()
+    });
+    const booksUpdated = await updateAuthorCredits(
+      sourceIds,
+      ids => ids.map(id => (sourceIds.includes(id) ? author.id : id)),
+      describeActor(req)
+    );
+    for (const source of sources) {
+      await authors.remove(source.id);
+    }
+    
+    res.json({
+      success: true,
+      message: `Merged ${sources.length} author(s) into ${author.name}; ${booksUpdated} book(s) updated`,
+      data: mergedAuthor,
+      merged: sources,
+      booksUpdated
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge authors',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/genres - List genres in hierarchy order, with how many books use each
+app.get('/api/genres', requireScope('read'), async (req, res) => {
+  try {
+    const allGenres = await genres.findAll();
+    const activeBooks = await books.findMany(isActiveBook);
+    
+    const data = toGenreTree(allGenres).map(genre => ({
+      ...genre,
+      bookCount: activeBooks.filter(book => book.genre === genre.name).length
+    }));
+    
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve genres',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/genres/:id - Get a specific genre
+app.get('/api/genres/:id', requireScope('read'), async (req, res) => {
+  try {
+    const genre = await genres.findById(req.params.id);
+    
+    if (!genre) {
+      return res.status(404).json({
+        success: false,
+        message: 'Genre not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: genre
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve genre',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/genres - Create a genre, optionally under a parent genre
+app.post('/api/genres', requireScope('admin'), genreValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, parentId = null } = req.body;
+    
+    if (await findGenreByName(name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A genre with this name already exists'
+      });
+    }
+    
+    const parentError = await checkGenreParent(parentId);
+    
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        message: parentError
+      });
+    }
+    
+    const newGenre = await genres.create({
+      name,
+      parentId,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Genre created successfully',
+      data: newGenre
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create genre',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/genres/:id - Rename or move a genre
+// Renaming updates every book filed under the old name
+app.put('/api/genres/:id', requireScope('admin'), genreValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const genre = await genres.findById(req.params.id);
+    
+    if (!genre) {
+      return res.status(404).json({
+        success: false,
+        message: 'Genre not found'
+      });
+    }
+    
+    // Leaving parentId out keeps the genre where it is; null moves it to the top
+    const { name } = req.body;
+    const parentId = 'parentId' in req.body ? req.body.parentId : genre.parentId ?? null;
+    const existingGenre = await findGenreByName(name);
+    
+    if (existingGenre && existingGenre.id !== genre.id) {
+      return res.status(409).json({
+        success: false,
+        message: 'A genre with this name already exists'
+      });
+    }
+    
+    const parentError = await checkGenreParent(parentId, genre.id);
+    
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        message: parentError
+      });
+    }
+    
+    const updatedGenre = await genres.update(genre.id, {
+      name,
+      parentId,
+      updatedAt: new Date().toISOString()
+    });
+    const booksUpdated = name !== genre.name
+      ? await reassignBookGenre(genre.name, name, describeActor(req))
+      : 0;
+    
+    res.json({
+      success: true,
+      message: booksUpdated > 0
+        ? `Genre updated successfully; ${booksUpdated} book(s) moved to the new name`
+        : 'Genre updated successfully',
+      data: updatedGenre,
+      booksUpdated
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update genre',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/genres/:id - Remove a genre
+// A genre still used by books (including the trash) can only be removed with
+// ?reassignTo=<genre name>, which first moves those books to that genre
+app.delete('/api/genres/:id', requireScope('admin'), genreRemovalValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const genre = await genres.findById(req.params.id);
+    
+    if (!genre) {
+      return res.status(404).json({
+        success: false,
+        message: 'Genre not found'
+      });
+    }
+    
+    const subgenres = await genres.findMany(other => other.parentId === genre.id);
+    
+    if (subgenres.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Genre has ${subgenres.length} subgenre(s); move or remove them first`
+      });
+    }
+    
+    const { reassignTo } = req.query;
+    const bookCount = (await books.findMany(book => book.genre === genre.name)).length;
+    let target = null;
+    
+    if (reassignTo) {
+      target = await findGenreByName(reassignTo);
+      
+      if (!target || target.id === genre.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'reassignTo must name a different existing genre'
+        });
+      }
+    } else if (bookCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${bookCount} book(s) still use this genre; pass reassignTo to move them to another genre`,
+        bookCount
+      });
+    }
+    
+    const booksUpdated = target
+      ? await reassignBookGenre(genre.name, target.name, describeActor(req))
+      : 0;
+    await genres.remove(genre.id);
+    
+    res.json({
+      success: true,
+      message: booksUpdated > 0
+        ? `Genre removed; ${booksUpdated} book(s) moved to ${target.name}`
+        : 'Genre removed successfully',
+      data: genre,
+      booksUpdated
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove genre',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/tags - List tags in use with how many books carry each, most used
+// first; ?q= narrows to tags starting with a prefix (for autocomplete)
+app.get('/api/tags', requireScope('read'), tagListValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { q = '', limit } = req.query;
+    const counts = new Map();
+    
+    (await books.findMany(isActiveBook)).forEach(book => {
+      (book.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    
+    const data = [...counts]
+      .filter(([name]) => name.startsWith(q))
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, limit);
+    
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve tags',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/books - Get books (paginated, sortable and filterable)
+app.get('/api/books', requireScope('read'), listQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = DEFAULT_LIMIT,
+      sort = 'createdAt',
+      order = 'asc'
+    } = req.query;
+    
+    const filter = buildBookFilter(req.query);
+    const matchingBooks = await withRatings(await books.findMany(book => isActiveBook(book) && filter(book)));
+    const { data, pagination } = paginate(sortBooks(matchingBooks, sort, order), page, limit);
+    
+    res.json({
+      success: true,
+      data: await withAvailability(data),
+      count: data.length,
+      pagination,
+      sort: { field: sort, order }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve books',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/books/import - Import books from CSV or JSON
+// Every row goes through bookValidation and the duplicate check; with
+// ?dryRun=true nothing is saved and the report shows what would happen
+app.post('/api/books/import', requireScope('write'), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const format = detectFormat(req);
+    
+    let records;
+    try {
+      records = readImportRecords(format, req.body);
+    } catch (error) {
+      if (error instanceof ImportFormatError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    
+    if (records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The import file contains no books'
+      });
+    }
+    
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(413).json({
+        success: false,
+        message: `Imports are limited to ${MAX_IMPORT_ROWS} books at a time`
+      });
+    }
+    
+    const actor = describeActor(req);
+    const acceptedInImport = [];
+    const rows = [];
+    
+    for (const [index, record] of records.entries()) {
+      // Run the same validation chain as POST /api/books against this row
+      const rowReq = { body: { ...record } };
+      await Promise.all(bookValidation.map(chain => chain.run(rowReq)));
+      const errors = validationResult(rowReq);
+      
+      if (!errors.isEmpty()) {
+        rows.push({ row: index + 1, status: 'rejected', input: record, errors: errors.array() });
+        continue;
+      }
+      
+      const fields = await bookFieldsFrom(rowReq.body);
+      
+      if (acceptedInImport.some(accepted => isSameBook(accepted, fields))) {
+        rows.push({ row: index + 1, status: 'skipped', input: record, message: 'Duplicate of an earlier row in this import' });
+        continue;
+      }
+      
+      const existingBook = await findDuplicateBook(fields);
+      if (existingBook) {
+        rows.push({ row: index + 1, status: 'skipped', input: record, message: duplicateBookMessage(existingBook, fields) });
+        continue;
+      }
+      acceptedInImport.push(fields);
+      
+      const book = dryRun ? fields : await createBook(fields, actor);
+      rows.push({ row: index + 1, status: 'created', book });
+    }
+    
+    const summary = {
+      total: rows.length,
+      created: rows.filter(row => row.status === 'created').length,
+      skipped: rows.filter(row => row.status === 'skipped').length,
+      rejected: rows.filter(row => row.status === 'rejected').length
+    };
+    
+    res.status(dryRun || summary.created === 0 ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${summary.created} book(s) would be created`
+        : `Imported ${summary.created} book(s)`,
+      data: { dryRun, format, summary, rows }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Import failed',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/books/batch - Create, update and delete many books at once
+// Body: { "operations": [...], "atomic": false }, where each operation is
+// { "op": "create", "data": {...} }, { "op": "update", "id": 1, "data": {...} }
+// (a merge patch, or "patch": [...] for a JSON Patch) or { "op": "delete", "id": 1 }.
+// Updates and deletes may carry the "version" they were made against.
+// Every operation is checked before anything is written. An atomic batch is
+// all or nothing: one failed operation means no changes are made, and a
+// conflicting write halfway through rolls back the ones before it.
+app.post('/api/books/batch', requireScope('write'), batchValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { operations, atomic = false } = req.body;
+    const actor = describeActor(req);
+    const planned = [];
+    const results = [];
+    
+    for (const [index, operation] of operations.entries()) {
+      const { plan, failure } = await planBatchOperation(req, operation, planned);
+      results.push({ index, op: operation.op, id: operation.id ?? null, ...(plan ? { plan } : { status: 'failed', ...failure }) });
+      if (plan) {
+        planned.push(plan);
+      }
+    }
+    
+    const failedChecks = results.some(result => result.status === 'failed');
+    const written = [];
+    let conflict = null;
+    let writeError = null;
+    
+    // A write that fails for any reason fails its operation; the ones written
+    // before it are still undone (all-or-nothing) or recorded below
+    if (!(atomic && failedChecks)) {
+      for (const result of results.filter(result => result.plan)) {
+        try {
+          written.push({ result, book: await writeBatchOperation(result.plan, actor) });
+        } catch (error) {
+          if (error instanceof VersionConflictError) {
+            conflict = result;
+            Object.assign(result, {
+              status: 'failed',
+              message: 'This book was changed by someone else while the batch was running',
+              book: error.current
+            });
+          } else {
+            console.error('Batch operation failed:', error);
+            writeError = error;
+            Object.assign(result, {
+              status: 'failed',
+              message: 'Failed to save this operation',
+              error: error.message
+            });
+          }
+          if (atomic) {
+            break;
+          }
+        }
+      }
+    }
+    
+    if (atomic && (conflict || writeError)) {
+      for (const { result, book } of [...written].reverse()) {
+        await undoBatchOperation(result.plan, book);
+      }
+      written.length = 0;
+    }
+    
+    for (const { result, book } of written) {
+      const { op, before } = result.plan;
+      if (op === 'delete') {
+        searchIndex.remove(book.id);
+      } else {
+        searchIndex.add(book);
+      }
+      await recordRevision({
+        bookId: book.id,
+        action: op,
+        actor,
+        ...(op !== 'create' && { before }),
+        ...(op !== 'delete' && { after: book })
+      });
+      Object.assign(result, { id: book.id, status: `${op}d`, book });
+    }
+    
+    const notApplied = atomic && (failedChecks || conflict || writeError)
+      ? 'Not applied because another operation in this batch failed'
+      : null;
+    const report = results.map(result => {
+      const { plan: _plan, ...entry } = result;
+      return entry.status ? entry : { ...entry, status: 'skipped', message: notApplied };
+    });
+    
+    const summary = {
+      total: report.length,
+      created: report.filter(result => result.status === 'created').length,
+      updated: report.filter(result => result.status === 'updated').length,
+      deleted: report.filter(result => result.status === 'deleted').length,
+      failed: report.filter(result => result.status === 'failed').length,
+      skipped: report.filter(result => result.status === 'skipped').length
+    };
+    
+    if (notApplied) {
+      return res.status(writeError ? 500 : conflict ? 409 : 400).json({
+        success: false,
+        message: `No changes were made: ${summary.failed} operation(s) failed`,
+        data: { atomic, summary, results: report }
+      });
+    }
+    
+    const applied = summary.created + summary.updated + summary.deleted;
+    res.json({
+      success: true,
+      message: summary.failed > 0
+        ? `Applied ${applied} operation(s); ${summary.failed} failed`
+        : `Applied ${applied} operation(s)`,
+      data: { atomic, summary, results: report }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Batch failed',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/books/export - Download the catalog as CSV, JSON, BibTeX or MARCXML
+// Accepts the same filters and sorting as GET /api/books, plus q for a search
+// query (results are then in relevance order unless sort is given)
+app.get('/api/books/export', requireScope('read'), listQueryValidation, exportValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { format = 'csv', q, sort, order = 'asc' } = req.query;
+    
+    const filter = buildBookFilter(req.query);
+    let exportBooks = await withRatings(await books.findMany(book => isActiveBook(book) && filter(book)));
+    
+    if (q) {
+      let ast;
+      try {
+        ast = parseQuery(q);
+      } catch (error) {
+        if (error instanceof QueryParseError) {
+          return sendQueryParseError(res, error);
+        }
+        throw error;
+      }
+      exportBooks = executeQuery(ast, exportBooks, searchIndex).map(result => {
+        const { score: _score, ...book } = result;
+        return book;
+      });
+    }
+    
+    if (sort || !q) {
+      exportBooks = sortBooks(exportBooks, sort || 'createdAt', order);
+    }
+    
+    const serializer = EXPORT_FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+    
+    res.set({
+      'Content-Type': serializer.contentType,
+      'Content-Disposition': `attachment; filename="books-${date}.${serializer.extension}"`,
+      'X-Total-Count': String(exportBooks.length)
+    });
+    await streamExport(res, format, exportBooks);
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Export failed mid-stream:', error);
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Export failed',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/books/:id - Get a specific book
+app.get('/api/books/:id', requireScope('read'), async (req, res) => {
+  try {
+    const book = await findActiveBook(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    const [detailedBook] = await withAvailability(await withRatings([book]));
+    
+    // Availability and ratings change without a new version, so the response
+    // must not be cached and revalidated against the ETag
+    res.set({
+      'ETag': toETag(book.version),
+      'Cache-Control': 'no-store'
+    });
+    res.json({
+      success: true,
+      data: detailedBook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve book',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/books - Create a new book
+app.post('/api/books', requireScope('write'), bookValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const fields = await bookFieldsFrom(req.body);
+    
+    // Check if the same book (by ISBN, or title and author) already exists
+    const existingBook = await findDuplicateBook(fields);
+    
+    if (existingBook) {
+      return res.status(409).json({
+        success: false,
+        message: duplicateBookMessage(existingBook, fields)
+      });
+    }
+    
+    const newBook = await createBook(fields, describeActor(req));
+    
+    res.set('ETag', toETag(newBook.version));
+    res.status(201).json({
+      success: true,
+      message: 'Book created successfully',
+      data: newBook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create book',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/books/:id - Update a book
+// With If-Match: "<version>", fails with 412 if the book has changed since
+app.put('/api/books/:id', requireScope('write'), bookValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const book = await findActiveBook(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    await saveBookChanges(req, res, book, await bookFieldsFrom(req.body));
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update book',
+      error: error.message
+    });
+  }
+});
+
+// Loads the book named in the route for PATCH and applies the patch to its
+// editable fields. The patched fields end up in req.body so they can go
+// through bookValidation like a PUT, and the names of the fields the patch
+// touched in req.patchedFields.
+const loadBookPatch = async (req, res, next) => {
+  try {
+    const book = await findActiveBook(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    if (!req.is(PATCH_TYPES)) {
+      return res.status(415).json({
+        success: false,
+        message: `Send the patch as ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}`
+      });
+    }
+    
+    const type = req.is(JSON_PATCH_TYPE) ? JSON_PATCH_TYPE : MERGE_PATCH_TYPE;
+    
+    if (type === MERGE_PATCH_TYPE && (typeof req.body !== 'object' || req.body === null || Array.isArray(req.body))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A merge patch must be a JSON object'
+      });
+    }
+    
+    const { patched, patchedFields } = patchBookFields(book, req.body, type);
+    
+    req.book = book;
+    req.patchedFields = patchedFields;
+    req.body = patched;
+    next();
+  } catch (error) {
+    if (error instanceof PatchError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+// PATCH /api/books/:id - Change some of a book's fields, as a JSON Merge Patch
+// (application/merge-patch+json, or plain application/json) or a JSON Patch
+// (application/json-patch+json). The patched fields go through the same
+// validation as PUT; If-Match works as for PUT.
+app.patch('/api/books/:id', requireScope('write'), express.json({ type: PATCH_TYPES }), loadBookPatch, bookValidation, handlePatchValidationErrors, async (req, res) => {
+  try {
+    const fields = await bookFieldsFrom(req.body);
+    const changes = Object.fromEntries(
+      Object.entries(fields).filter(([field]) => req.patchedFields.includes(field))
+    );
+    
+    await saveBookChanges(req, res, req.book, changes);
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update book',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/books/:id/tags - Add tags to a book ({ "tags": ["signed copy"] })
+app.post('/api/books/:id/tags', requireScope('write'), addTagsValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const book = await findActiveBook(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    const currentTags = book.tags || [];
+    const newTags = req.body.tags.filter(tag => !currentTags.includes(tag));
+    
+    if (newTags.length === 0) {
+      return res.json({
+        success: true,
+        message: 'Book already has these tags',
+        data: book
+      });
+    }
+    
+    if (currentTags.length + newTags.length > MAX_TAGS) {
+      return res.status(400).json({
+        success: false,
+        message: `A book can have at most ${MAX_TAGS} tags`
+      });
+    }
+    
+    const updatedBook = await updateBookTags(book, [...currentTags, ...newTags], describeActor(req));
+    
+    res.json({
+      success: true,
+      message: 'Tags added successfully',
+      data: updatedBook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add tags',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/books/:id/tags/:tag - Remove a tag from a book
+app.delete('/api/books/:id/tags/:tag', requireScope('write'), async (req, res) => {
+  try {
+    const book = await findActiveBook(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    const tag = normalizeTag(req.params.tag);
+    const currentTags = book.tags || [];
+    
+    if (!currentTags.includes(tag)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book does not have this tag'
+      });
+    }
+    
+    const updatedBook = await updateBookTags(book, currentTags.filter(other => other !== tag), describeActor(req));
+    
+    res.json({
+      success: true,
+      message: 'Tag removed successfully',
+      data: updatedBook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove tag',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/books/:id - Move a book to the trash
+// With If-Match: "<version>", fails with 412 if the book has changed since
+app.delete('/api/books/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const book = await findActiveBook(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    const version = expectedVersion(req, book);
+    
+    if (version === null) {
+      return sendVersionConflict(res, book);
+    }
+    
+    const onLoan = await loans.findOne(loan => loan.bookId === book.id && !loan.returnedAt);
+    
+    if (onLoan) {
+      return res.status(409).json({
+        success: false,
+        message: 'Copies of this book are on loan; check them in before deleting it'
+      });
+    }
+    
+    const deletedBook = await books.update(book.id, {
+      deletedAt: new Date().toISOString(),
+      deletedBy: describeActor(req)
+    }, { expectedVersion: version });
+    searchIndex.remove(deletedBook.id);
+    await recordRevision({
+      bookId: deletedBook.id,
+      action: 'delete',
+      actor: describeActor(req),
+      before: book
+    });
+    
+    res.json({
+      success: true,
+      message: 'Book moved to trash',
+      data: deletedBook
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete book',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/books/:id/restore - Bring a book back out of the trash
+app.post('/api/books/:id/restore', requireScope('admin'), async (req, res) => {
+  try {
+    const book = await books.findById(req.params.id);
+    
+    if (!book || isActiveBook(book)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found in trash'
+      });
+    }
+    
+    const existingBook = await findDuplicateBook(book, book.id);
+    
+    if (existingBook) {
+      return res.status(409).json({
+        success: false,
+        message: duplicateBookMessage(existingBook, book)
+      });
+    }
+    
+    const restoredBook = await books.update(book.id, {
+      deletedAt: null,
+      deletedBy: null,
+      updatedAt: new Date().toISOString()
+    });
+    searchIndex.add(restoredBook);
+    await recordRevision({
+      bookId: restoredBook.id,
+      action: 'restore',
+      actor: describeActor(req),
+      after: restoredBook
+    });
+    
+    res.json({
+      success: true,
+      message: 'Book restored successfully',
+      data: restoredBook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore book',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/books/:id/history - Get a book's revision history, newest first
+app.get('/api/books/:id/history', requireScope('read'), async (req, res) => {
+  try {
+    const history = await getBookHistory(req.params.id);
+    
+    if (history.length === 0 && !(await books.findById(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: history,
+      count: history.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve book history',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/books/:id/revert - Restore a book to an earlier revision
+app.post('/api/books/:id/revert', requireScope('write'), revertValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const book = await findActiveBook(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    const revision = await revisions.findById(req.body.revisionId);
+    
+    if (!revision || revision.bookId !== book.id || !revision.snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found for this book'
+      });
+    }
+    
+    if (!(await findGenreByName(revision.snapshot.genre))) {
+      return res.status(409).json({
+        success: false,
+        message: `This revision uses the genre "${revision.snapshot.genre}", which no longer exists`
+      });
+    }
+    
+    // Only the latest cover upload's files are kept, so the book keeps its
+    // current cover rather than the revision's cover details
+    const { cover: _cover, ...revisionContent } = revision.snapshot;
+    
+    // Credit the revision's authors under their current names; revisions from
+    // before authors were records only have the author string
+    let snapshot = revisionContent;
+    
+    if (snapshot.authorIds) {
+      const bookAuthors = await findAuthorsByIds(snapshot.authorIds);
+      
+      if (bookAuthors.length !== snapshot.authorIds.length) {
+        return res.status(409).json({
+          success: false,
+          message: 'This revision credits an author that no longer exists'
+        });
+      }
+      snapshot = { ...snapshot, author: formatAuthorNames(bookAuthors) };
+    } else {
+      const bookAuthors = await resolveAuthorNames(splitAuthorNames(snapshot.author), { create: false });
+      snapshot = {
+        ...snapshot,
+        author: formatAuthorNames(bookAuthors),
+        authorIds: bookAuthors.map(author => author.id)
+      };
+    }
+    
+    const existingBook = await findDuplicateBook(snapshot, book.id);
+    
+    if (existingBook) {
+      return res.status(409).json({
+        success: false,
+        message: duplicateBookMessage(existingBook, snapshot)
+      });
+    }
+    
+    const revertedBook = await books.update(book.id, {
+      ...(await withSavedAuthors(snapshot)),
+      updatedAt: new Date().toISOString()
+    });
+    searchIndex.add(revertedBook);
+    await recordRevision({
+      bookId: book.id,
+      action: 'revert',
+      actor: describeActor(req),
+      before: book,
+      after: revertedBook,
+      revertedFrom: revision.id
+    });
+    
+    res.json({
+      success: true,
+      message: 'Book reverted successfully',
+      data: revertedBook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revert book',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/books/:id/cover - Upload a book's cover image
+// The body is the image itself, sent as image/jpeg, image/png or image/webp
+app.put('/api/books/:id/cover', requireScope('write'), express.raw({ type: COVER_TYPES, limit: MAX_COVER_BYTES }), async (req, res) => {
+  try {
+    const contentType = req.is(COVER_TYPES);
+    
+    if (!contentType) {
+      return res.status(415).json({
+        success: false,
+        message: `Covers must be sent as ${COVER_TYPES.join(', ')}`
+      });
+    }
+    
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The cover image is empty'
+      });
+    }
+    
+    const book = await findActiveBook(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    let cover;
+    try {
+      cover = await saveCover(book.id, req.body, contentType);
+    } catch (error) {
+      if (error instanceof CoverError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    
+    const updatedBook = await updateBookCover(book, cover, describeActor(req));
+    
+    res.json({
+      success: true,
+      message: 'Cover uploaded successfully',
+      data: updatedBook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload cover',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/books/:id/cover - Remove a book's cover image
+app.delete('/api/books/:id/cover', requireScope('write'), async (req, res) => {
+  try {
+    const book = await findActiveBook(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    if (!book.cover) {
+      return res.status(404).json({
+        success: false,
+        message: 'This book has no cover'
+      });
+    }
+    
+    await removeCover(book.id);
+    const updatedBook = await updateBookCover(book, null, describeActor(req));
+    
+    res.json({
+      success: true,
+      message: 'Cover removed successfully',
+      data: updatedBook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove cover',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/books/:id/cover/:size - Serve a cover (small, medium, large or original)
+// No credentials needed, so <img> tags can load covers directly. With ?v= set
+// to the book's cover.version the image is cached for good; new uploads get
+// a new version
+app.get('/api/books/:id/cover/:size', async (req, res) => {
+  try {
+    const { size } = req.params;
+    
+    if (!Object.hasOwn(COVER_SIZES, size)) {
+      return res.status(404).json({
+        success: false,
+        message: `Cover size must be one of: ${Object.keys(COVER_SIZES).join(', ')}`
+      });
+    }
+    
+    const book = await findActiveBook(req.params.id);
+    const image = book?.cover ? await readCover(book.id, size) : null;
+    
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cover not found'
+      });
+    }
+    
+    const etag = `"${book.cover.version}-${size}"`;
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Cache-Control': req.query.v === book.cover.version
+        ? 'public, max-age=31536000, immutable'
+        : 'public, max-age=0, must-revalidate',
+      'ETag': etag,
+      // Helmet defaults to same-origin; the frontend runs on another port
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
+    }
+    
+    res.send(image);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve cover',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/books/:id/reviews - List a book's reviews, newest first
+// Hidden reviews are only listed for admins
+app.get('/api/books/:id/reviews', requireScope('read'), async (req, res) => {
+  try {
+    const book = await findActiveBook(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    const showHidden = isAdminRequest(req);
+    const bookReviews = await reviews.findMany(review =>
+      review.bookId === book.id && (showHidden || isVisibleReview(review))
+    );
+    bookReviews.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const [ratedBook] = await withRatings([book]);
+    
+    res.json({
+      success: true,
+      data: bookReviews,
+      count: bookReviews.length,
+      averageRating: ratedBook.averageRating,
+      reviewCount: ratedBook.reviewCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve reviews',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/books/:id/reviews - Review a book (one review per user or key)
+app.post('/api/books/:id/reviews', requireScope('write'), reviewValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const book = await findActiveBook(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    const actor = describeActor(req);
+    
+    if (await reviews.findOne(review => review.bookId === book.id && review.createdBy === actor)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this book; edit your review instead'
+      });
+    }
+    
+    const { rating, reviewer, text = '' } = req.body;
+    const newReview = await reviews.create({
+      bookId: book.id,
+      rating,
+      reviewer: reviewer || req.user?.username || req.apiKey?.name,
+      text,
+      hidden: false,
+      createdBy: actor,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Review added successfully',
+      data: newReview
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add review',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/books/:id/reviews/:reviewId - Edit a review (its author or an admin)
+app.put('/api/books/:id/reviews/:reviewId', requireScope('write'), reviewValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const review = await findBookReview(req.params.id, req.params.reviewId);
+    
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+    
+    if (!canChangeReview(req, review)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the reviewer or an admin can change this review'
+      });
+    }
+    
+    const { rating, reviewer, text = '' } = req.body;
+    const updatedReview = await reviews.update(review.id, {
+      rating,
+      reviewer: reviewer || review.reviewer,
+      text,
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: updatedReview
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update review',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/books/:id/reviews/:reviewId - Delete a review (its author or an admin)
+app.delete('/api/books/:id/reviews/:reviewId', requireScope('write'), async (req, res) => {
+  try {
+    const review = await findBookReview(req.params.id, req.params.reviewId);
+    
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+    
+    if (!canChangeReview(req, review)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the reviewer or an admin can delete this review'
+      });
+    }
+    
+    await reviews.remove(review.id);
+    
+    res.json({
+      success: true,
+      message: 'Review deleted successfully',
+      data: review
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete review',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/books/:id/reviews/:reviewId/moderation - Hide or show a review ({ hidden })
+app.put('/api/books/:id/reviews/:reviewId/moderation', requireScope('admin'), moderationValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const review = await findBookReview(req.params.id, req.params.reviewId);
+    
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+    
+    const updatedReview = await reviews.update(review.id, {
+      hidden: req.body.hidden,
+      moderatedBy: describeActor(req),
+      moderatedAt: new Date().toISOString()
+    });
+    
+    res.json({
+      success: true,
+      message: req.body.hidden ? 'Review hidden' : 'Review shown',
+      data: updatedReview
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to moderate review',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/collections - List the public collections and your own, by name
+app.get('/api/collections', requireScope('read'), async (req, res) => {
+  try {
+    const actor = describeActor(req);
+    const isAdmin = isAdminRequest(req);
+    const visibleCollections = await collections.findMany(collection => canViewCollection(collection, actor, isAdmin));
+    const activeIds = await activeBookIds();
+    
+    const data = visibleCollections
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+      .map(collection => describeCollection(collection, req, activeIds));
+    
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve collections',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/collections/:id - Get a collection with its books in order
+// (books in the trash are left out until restored)
+app.get('/api/collections/:id', requireScope('read'), async (req, res) => {
+  try {
+    const collection = await findVisibleCollection(req);
+    
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+    
+    const memberIds = new Set(collection.bookIds);
+    const memberBooks = await books.findMany(book => isActiveBook(book) && memberIds.has(book.id));
+    const orderedBooks = collection.bookIds
+      .map(bookId => memberBooks.find(book => book.id === bookId))
+      .filter(Boolean);
+    
+    res.json({
+      success: true,
+      data: {
+        ...describeCollection(collection, req, new Set(memberBooks.map(book => book.id))),
+        books: await withAvailability(await withRatings(orderedBooks))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve collection',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/collections - Create a collection (names are unique per owner)
+app.post('/api/collections', requireScope('write'), collectionValidation, collectionBooksValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, description = '', visibility = 'private', bookIds = [] } = req.body;
+    const actor = describeActor(req);
+    
+    if (await findOwnCollection(actor, name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a collection with this name'
+      });
+    }
+    
+    const newCollection = await collections.create({
+      name,
+      description,
+      visibility,
+      owner: actor,
+      bookIds,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: describeCollection(newCollection, req, await activeBookIds())
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create collection',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/collections/:id - Rename a collection or change its description or visibility
+app.put('/api/collections/:id', requireScope('write'), collectionValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const collection = await findVisibleCollection(req);
+    
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+    
+    if (!canChangeCollection(collection, describeActor(req), isAdminRequest(req))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner or an admin can change this collection'
+      });
+    }
+    
+    const { name, description = '', visibility = collection.visibility } = req.body;
+    const existingCollection = await findOwnCollection(collection.owner, name);
+    
+    if (existingCollection && existingCollection.id !== collection.id) {
+      return res.status(409).json({
+        success: false,
+        message: 'The owner already has a collection with this name'
+      });
+    }
+    
+    const updatedCollection = await collections.update(collection.id, {
+      name,
+      description,
+      visibility,
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: describeCollection(updatedCollection, req, await activeBookIds())
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update collection',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/collections/:id/books - Reorder a collection ({ bookIds } in the new order)
+// Books left out of the list are removed from the collection
+app.put('/api/collections/:id/books', requireScope('write'), collectionBooksValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const collection = await findVisibleCollection(req);
+    
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+    
+    if (!canChangeCollection(collection, describeActor(req), isAdminRequest(req))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner or an admin can change this collection'
+      });
+    }
+    
+    const updatedCollection = await collections.update(collection.id, {
+      bookIds: req.body.bookIds || [],
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.json({
+      success: true,
+      message: 'Collection reordered successfully',
+      data: describeCollection(updatedCollection, req, await activeBookIds())
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder collection',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/collections/:id/books - Add a book ({ bookId, position? }, position 0 is first)
+app.post('/api/collections/:id/books', requireScope('write'), addCollectionBookValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const collection = await findVisibleCollection(req);
+    
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+    
+    if (!canChangeCollection(collection, describeActor(req), isAdminRequest(req))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner or an admin can change this collection'
+      });
+    }
+    
+    const { bookId, position } = req.body;
+    
+    if (!(await findActiveBook(bookId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    if (collection.bookIds.includes(bookId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This book is already in the collection'
+      });
+    }
+    
+    if (collection.bookIds.length >= MAX_COLLECTION_BOOKS) {
+      return res.status(409).json({
+        success: false,
+        message: `A collection can hold at most ${MAX_COLLECTION_BOOKS} books`
+      });
+    }
+    
+    const updatedCollection = await collections.update(collection.id, {
+      bookIds: insertAt(collection.bookIds, bookId, position),
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `Added to ${updatedCollection.name}`,
+      data: describeCollection(updatedCollection, req, await activeBookIds())
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add book to collection',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/collections/:id/books/:bookId - Remove a book from a collection
+app.delete('/api/collections/:id/books/:bookId', requireScope('write'), async (req, res) => {
+  try {
+    const collection = await findVisibleCollection(req);
+    
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+    
+    if (!canChangeCollection(collection, describeActor(req), isAdminRequest(req))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner or an admin can change this collection'
+      });
+    }
+    
+    const bookId = parseInt(req.params.bookId);
+    
+    if (!collection.bookIds.includes(bookId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'This book is not in the collection'
+      });
+    }
+    
+    const updatedCollection = await collections.update(collection.id, {
+      bookIds: collection.bookIds.filter(id => id !== bookId),
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.json({
+      success: true,
+      message: `Removed from ${updatedCollection.name}`,
+      data: describeCollection(updatedCollection, req, await activeBookIds())
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove book from collection',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/collections/:id - Delete a collection (its books are not affected)
+app.delete('/api/collections/:id', requireScope('write'), async (req, res) => {
+  try {
+    const collection = await findVisibleCollection(req);
+    
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+    
+    if (!canChangeCollection(collection, describeActor(req), isAdminRequest(req))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner or an admin can delete this collection'
+      });
+    }
+    
+    await collections.remove(collection.id);
+    
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully',
+      data: collection
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete collection',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/books/:id/copies - List a book's copies with their loan status
+app.get('/api/books/:id/copies', requireScope('read'), async (req, res) => {
+  try {
+    const book = await books.findById(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    const bookCopies = await copies.findMany(copy => copy.bookId === book.id);
+    const data = await Promise.all(bookCopies.map(copyWithStatus));
+    
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve copies',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/books/:id/copies - Add a physical copy of a book
+app.post('/api/books/:id/copies', requireScope('write'), copyValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const book = await findActiveBook(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    
+    const { barcode, location = '' } = req.body;
+    
+    if (await findCopyByBarcode(barcode)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A copy with this barcode already exists'
+      });
+    }
+    
+    const newCopy = await copies.create({
+      bookId: book.id,
+      barcode,
+      location,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Copy added successfully',
+      data: await copyWithStatus(newCopy)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add copy',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/copies/:id - Change a copy's barcode or location
+app.put('/api/copies/:id', requireScope('write'), copyValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const copy = await copies.findById(req.params.id);
+    
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Copy not found'
+      });
+    }
+    
+    const { barcode, location = '' } = req.body;
+    const existingCopy = await findCopyByBarcode(barcode);
+    
+    if (existingCopy && existingCopy.id !== copy.id) {
+      return res.status(409).json({
+        success: false,
+        message: 'A copy with this barcode already exists'
+      });
+    }
+    
+    const updatedCopy = await copies.update(copy.id, {
+      barcode,
+      location,
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.json({
+      success: true,
+      message: 'Copy updated successfully',
+      data: await copyWithStatus(updatedCopy)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update copy',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/copies/:id - Remove a copy that is not on loan
+app.delete('/api/copies/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const copy = await copies.findById(req.params.id);
+    
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Copy not found'
+      });
+    }
+    
+    if (await findActiveLoan(copy.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This copy is on loan; check it in first'
+      });
+    }
+    
+    await copies.remove(copy.id);
+    
+    res.json({
+      success: true,
+      message: 'Copy removed successfully',
+      data: copy
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove copy',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/circulation/checkout - Lend a copy ({ barcode, borrower, dueDate? })
+app.post('/api/circulation/checkout', requireScope('write'), checkoutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { barcode, borrower, dueDate } = req.body;
+    const copy = await findCopyByBarcode(barcode);
+    
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'No copy has this barcode'
+      });
+    }
+    
+    if (!(await findActiveBook(copy.bookId))) {
+      return res.status(409).json({
+        success: false,
+        message: 'This copy belongs to a book in the trash'
+      });
+    }
+    
+    const activeLoan = await findActiveLoan(copy.id);
+    
+    if (activeLoan) {
+      return res.status(409).json({
+        success: false,
+        message: `This copy is already checked out to ${activeLoan.borrower} until ${activeLoan.dueDate.slice(0, 10)}`
+      });
+    }
+    
+    const now = new Date();
+    const loan = await loans.create({
+      copyId: copy.id,
+      bookId: copy.bookId,
+      barcode: copy.barcode,
+      borrower,
+      checkedOutAt: now.toISOString(),
+      checkedOutBy: describeActor(req),
+      dueDate: dueDate ? new Date(dueDate).toISOString() : defaultDueDate(now),
+      renewals: 0,
+      returnedAt: null,
+      returnedBy: null
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Copy checked out successfully',
+      data: (await describeLoans([loan]))[0]
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check out copy',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/circulation/checkin - Return a copy ({ barcode })
+app.post('/api/circulation/checkin', requireScope('write'), checkinValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const copy = await findCopyByBarcode(req.body.barcode);
+    
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'No copy has this barcode'
+      });
+    }
+    
+    const activeLoan = await findActiveLoan(copy.id);
+    
+    if (!activeLoan) {
+      return res.status(409).json({
+        success: false,
+        message: 'This copy is not checked out'
+      });
+    }
+    
+    const loan = await loans.update(activeLoan.id, {
+      returnedAt: new Date().toISOString(),
+      returnedBy: describeActor(req)
+    });
+    
+    res.json({
+      success: true,
+      message: isOverdue(activeLoan)
+        ? `Copy checked in ${daysOverdue(activeLoan)} day(s) late`
+        : 'Copy checked in successfully',
+      data: (await describeLoans([loan]))[0]
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in copy',
+      error: error.message
+    });
+  }
+});
 
-let nextId = 4;
+// POST /api/circulation/renew - Extend a loan ({ barcode, dueDate? })
+// Renewals run from today, up to MAX_RENEWALS times per loan
+app.post('/api/circulation/renew', requireScope('write'), renewValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const copy = await findCopyByBarcode(req.body.barcode);
+    
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'No copy has this barcode'
+      });
+    }
+    
+    const activeLoan = await findActiveLoan(copy.id);
+    
+    if (!activeLoan) {
+      return res.status(409).json({
+        success: false,
+        message: 'This copy is not checked out'
+      });
+    }
+    
+    if (activeLoan.renewals >= MAX_RENEWALS) {
+      return res.status(409).json({
+        success: false,
+        message: `This loan has already been renewed ${MAX_RENEWALS} time(s); check it in and out again`
+      });
+    }
+    
+    const dueDate = req.body.dueDate ? new Date(req.body.dueDate).toISOString() : defaultDueDate();
+    
+    if (dueDate <= activeLoan.dueDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'A renewal must move the due date later'
+      });
+    }
+    
+    const loan = await loans.update(activeLoan.id, {
+      dueDate,
+      renewals: activeLoan.renewals + 1
+    });
+    
+    res.json({
+      success: true,
+      message: 'Loan renewed successfully',
+      data: (await describeLoans([loan]))[0]
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to renew loan',
+      error: error.message
+    });
+  }
+});
 
-// Validation middleware
-const bookValidation = [
-  body('title')
-    .trim()
-    .notEmpty()
-    .withMessage('Title is required')
-    .isLength({ min: 1, max: 200 })
-    .withMessage('Title must be between 1 and 200 characters'),
-  
-  body('author')
-    .trim()
-    .notEmpty()
-    .withMessage('Author is required')
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Author must be between 1 and 100 characters'),
-  
-  body('genre')
-    .trim()
-    .notEmpty()
-    .withMessage('Genre is required')
-    .isIn(['Fiction', 'Non-Fiction', 'Mystery', 'Romance', 'Science Fiction', 'Fantasy', 'Biography', 'History', 'Dystopian Fiction', 'Other'])
-    .withMessage('Invalid genre'),
-  
-  body('publicationYear')
-    .isInt({ min: 1000, max: new Date().getFullYear() })
-    .withMessage(`Publication year must be between 1000 and ${new Date().getFullYear()}`),
-  
-  body('description')
-    .trim()
-    .notEmpty()
-    .withMessage('Description is required')
-    .isLength({ min: 1, max: 1000 })
-    .withMessage('Description must be between 1 and 1000 characters')
-];
+// GET /api/loans - List loans, newest first (?status=active|overdue|returned, ?borrower=)
+app.get('/api/loans', requireScope('read'), loanListValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { status, borrower } = req.query;
+    const now = new Date();
+    const borrowerFilter = borrower ? borrower.toLowerCase() : null;
+    
+    const matchingLoans = await loans.findMany(loan =>
+      (!status ||
+        (status === 'active' && !loan.returnedAt) ||
+        (status === 'overdue' && isOverdue(loan, now)) ||
+        (status === 'returned' && loan.returnedAt)) &&
+      (!borrowerFilter || loan.borrower.toLowerCase().includes(borrowerFilter))
+    );
+    matchingLoans.sort((a, b) => b.checkedOutAt.localeCompare(a.checkedOutAt));
+    const data = await describeLoans(matchingLoans, now);
+    
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve loans',
+      error: error.message
+    });
+  }
+});
 
-// Error handling middleware
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
+// GET /api/loans/overdue - Overdue report, most overdue first
+app.get('/api/loans/overdue', requireScope('read'), async (req, res) => {
+  try {
+    const now = new Date();
+    const overdueLoans = await loans.findMany(loan => isOverdue(loan, now));
+    overdueLoans.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    const data = await describeLoans(overdueLoans, now);
+    
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      generatedAt: now.toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
       success: false,
-      message: 'Validation failed',
-      errors: errors.array()
+      message: 'Failed to retrieve overdue loans',
+      error: error.message
     });
   }
-  next();
-};
+});
 
-// Helper function to find book by ID
-const findBookById = (id) => {
-  return books.find(book => book.id === parseInt(id));
+// Loads the acquisition request named in the route for the approval route,
+// and fills in the requested title and author so the body can go through
+// bookValidation like POST /api/books (the approver supplies the rest)
+const loadRequestForApproval = async (req, res, next) => {
+  try {
+    const request = await acquisitionRequests.findById(req.params.id);
+    
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+    
+    if (!canTransition(request.status, 'approved')) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot approve a request that is ${request.status}`
+      });
+    }
+    
+    req.acquisitionRequest = request;
+    req.body = { title: request.title, author: request.author, ...req.body };
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve request',
+      error: error.message
+    });
+  }
 };
 
-// Routes
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Book Management API is running',
-    timestamp: new Date().toISOString()
+// Helper function to move a request to a new status, recording who decided
+const setRequestStatus = async (request, status, req, changes = {}) => {
+  return acquisitionRequests.update(request.id, {
+    ...changes,
+    status,
+    statusNote: req.body.note || request.statusNote || '',
+    decidedBy: describeActor(req),
+    decidedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
   });
-});
+};
 
-// GET /api/books - Get all books
-app.get('/api/books', (req, res) => {
+// GET /api/requests - List acquisition requests, most upvoted first (?status=)
+app.get('/api/requests', requireScope('read'), requestListValidation, handleValidationErrors, async (req, res) => {
   try {
+    const { status } = req.query;
+    const actor = describeActor(req);
+    
+    const matchingRequests = await acquisitionRequests.findMany(request => !status || request.status === status);
+    const data = matchingRequests.sort(compareRequests).map(request => describeRequest(request, actor));
+    
     res.json({
       success: true,
-      data: books,
-      count: books.length
+      data,
+      count: data.length
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve books',
+      message: 'Failed to retrieve requests',
       error: error.message
     });
   }
 });
 
-// GET /api/books/:id - Get a specific book
-app.get('/api/books/:id', (req, res) => {
+// GET /api/requests/:id - Get a single acquisition request
+app.get('/api/requests/:id', requireScope('read'), async (req, res) => {
   try {
-    const book = findBookById(req.params.id);
+    const request = await acquisitionRequests.findById(req.params.id);
     
-    if (!book) {
+    if (!request) {
       return res.status(404).json({
         success: false,
-        message: 'Book not found'
+        message: 'Request not found'
       });
     }
     
     res.json({
       success: true,
-      data: book
+      data: describeRequest(request, describeActor(req))
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve book',
+      message: 'Failed to retrieve request',
       error: error.message
     });
   }
 });
 
-// POST /api/books - Create a new book
-app.post('/api/books', bookValidation, handleValidationErrors, (req, res) => {
+// POST /api/requests - Suggest a book for the library to add
+app.post('/api/requests', requireScope('write'), acquisitionRequestValidation, handleValidationErrors, async (req, res) => {
   try {
-    const { title, author, genre, publicationYear, description } = req.body;
+    const { title, author, reason = '' } = req.body;
     
-    // Check if book with same title and author already exists
-    const existingBook = books.find(book => 
-      book.title.toLowerCase() === title.toLowerCase() && 
-      book.author.toLowerCase() === author.toLowerCase()
-    );
+    if (await findDuplicateBook({ title, author })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A book with this title and author is already in the catalog'
+      });
+    }
     
-    if (existingBook) {
+    const pendingRequest = await findPendingRequest(title, author);
+    
+    if (pendingRequest) {
       return res.status(409).json({
         success: false,
-        message: 'A book with this title and author already exists'
+        message: 'This book has already been requested; upvote the existing request instead',
+        data: describeRequest(pendingRequest, describeActor(req))
       });
     }
     
-    const newBook = {
-      id: nextId++,
-      title: title.trim(),
-      author: author.trim(),
-      genre: genre.trim(),
-      publicationYear: parseInt(publicationYear),
-      description: description.trim(),
+    const actor = describeActor(req);
+    const newRequest = await acquisitionRequests.create({
+      title,
+      author,
+      reason,
+      status: 'pending',
+      statusNote: '',
+      requestedBy: actor,
+      upvoters: [actor],
+      bookId: null,
+      decidedBy: null,
+      decidedAt: null,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
-    };
-    
-    books.push(newBook);
+    });
     
     res.status(201).json({
       success: true,
-      message: 'Book created successfully',
-      data: newBook
+      message: 'Request submitted successfully',
+      data: describeRequest(newRequest, actor)
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to create book',
+      message: 'Failed to submit request',
       error: error.message
     });
   }
 });
 
-// PUT /api/books/:id - Update a book
-app.put('/api/books/:id', bookValidation, handleValidationErrors, (req, res) => {
+// POST /api/requests/:id/upvote - Upvote a pending request (once per user or key)
+// DELETE /api/requests/:id/upvote - Withdraw an upvote
+const changeUpvote = (upvote) => async (req, res) => {
   try {
-    const bookIndex = books.findIndex(book => book.id === parseInt(req.params.id));
+    const request = await acquisitionRequests.findById(req.params.id);
     
-    if (bookIndex === -1) {
+    if (!request) {
       return res.status(404).json({
         success: false,
-        message: 'Book not found'
+        message: 'Request not found'
+      });
+    }
+    
+    if (request.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Voting has closed on this request (it is ${request.status})`
       });
     }
     
-    const { title, author, genre, publicationYear, description } = req.body;
+    const actor = describeActor(req);
+    const upvoters = request.upvoters.filter(upvoter => upvoter !== actor);
+    const updatedRequest = await acquisitionRequests.update(request.id, {
+      upvoters: upvote ? [...upvoters, actor] : upvoters
+    });
     
-    // Check if another book with same title and author exists (excluding current book)
-    const existingBook = books.find(book => 
-      book.id !== parseInt(req.params.id) &&
-      book.title.toLowerCase() === title.toLowerCase() && 
-      book.author.toLowerCase() === author.toLowerCase()
-    );
+    res.json({
+      success: true,
+      data: describeRequest(updatedRequest, actor)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record vote',
+      error: error.message
+    });
+  }
+};
+
+app.post('/api/requests/:id/upvote', requireScope('write'), changeUpvote(true));
+app.delete('/api/requests/:id/upvote', requireScope('write'), changeUpvote(false));
+
+// POST /api/requests/:id/approve - Approve a pending request, creating the book
+// The body holds the book fields the request lacks (genre, publicationYear,
+// description, optionally isbn and tags, or corrected title/author) and is
+// validated and duplicate-checked exactly like POST /api/books
+app.post('/api/requests/:id/approve', requireScope('admin'), loadRequestForApproval, bookValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const fields = await bookFieldsFrom(req.body);
+    const existingBook = await findDuplicateBook(fields);
     
     if (existingBook) {
       return res.status(409).json({
         success: false,
-        message: 'A book with this title and author already exists'
+        message: duplicateBookMessage(existingBook, fields)
       });
     }
     
-    const updatedBook = {
-      ...books[bookIndex],
-      title: title.trim(),
-      author: author.trim(),
-      genre: genre.trim(),
-      publicationYear: parseInt(publicationYear),
-      description: description.trim(),
-      updatedAt: new Date().toISOString()
-    };
+    const newBook = await createBook(fields, describeActor(req));
+    const updatedRequest = await setRequestStatus(req.acquisitionRequest, 'approved', req, { bookId: newBook.id });
+    
+    res.json({
+      success: true,
+      message: 'Request approved and book created',
+      data: {
+        request: describeRequest(updatedRequest, describeActor(req)),
+        book: newBook
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve request',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/requests/:id/order - Mark an approved request as ordered
+// POST /api/requests/:id/reject - Reject a pending request ({ note } explains why)
+const changeRequestStatus = (status, verb) => async (req, res) => {
+  try {
+    const request = await acquisitionRequests.findById(req.params.id);
+    
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+    
+    if (!canTransition(request.status, status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${verb} a request that is ${request.status}`
+      });
+    }
     
-    books[bookIndex] = updatedBook;
+    const updatedRequest = await setRequestStatus(request, status, req);
     
     res.json({
       success: true,
-      message: 'Book updated successfully',
-      data: updatedBook
+      message: `Request ${status}`,
+      data: describeRequest(updatedRequest, describeActor(req))
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to update book',
+      message: `Failed to ${verb} request`,
+      error: error.message
+    });
+  }
+};
+
+app.post('/api/requests/:id/order', requireScope('admin'), requestDecisionValidation, handleValidationErrors, changeRequestStatus('ordered', 'order'));
+app.post('/api/requests/:id/reject', requireScope('admin'), requestDecisionValidation, handleValidationErrors, changeRequestStatus('rejected', 'reject'));
+
+// Permanently remove trashed books matching a predicate, with their copies,
+// reviews, covers and collection memberships (their loan history is kept)
+const purgeTrash = async (predicate, actor) => {
+  const trashedBooks = await books.findMany(book => !isActiveBook(book) && predicate(book));
+  
+  for (const book of trashedBooks) {
+    for (const copy of await copies.findMany(copy => copy.bookId === book.id)) {
+      await copies.remove(copy.id);
+    }
+    for (const review of await reviews.findMany(review => review.bookId === book.id)) {
+      await reviews.remove(review.id);
+    }
+    if (book.cover) {
+      await removeCover(book.id);
+    }
+    for (const collection of await collections.findMany(collection => collection.bookIds.includes(book.id))) {
+      await collections.update(collection.id, {
+        bookIds: collection.bookIds.filter(bookId => bookId !== book.id)
+      });
+    }
+    await books.remove(book.id);
+    await recordRevision({
+      bookId: book.id,
+      action: 'purge',
+      actor
+    });
+  }
+  
+  return trashedBooks;
+};
+
+// Purge books that have been in the trash longer than the retention period
+const purgeExpiredTrash = async () => {
+  const cutoff = Date.now() - TRASH_RETENTION_MS;
+  try {
+    const purged = await purgeTrash(book => new Date(book.deletedAt).getTime() < cutoff, 'system:retention');
+    if (purged.length > 0) {
+      console.log(`🗑️  Purged ${purged.length} book(s) older than ${TRASH_RETENTION_DAYS} days from the trash`);
+    }
+  } catch (error) {
+    console.error('Trash purge failed:', error);
+  }
+};
+
+// GET /api/trash - List books in the trash, most recently deleted first
+app.get('/api/trash', requireScope('read'), async (req, res) => {
+  try {
+    const trashedBooks = await books.findMany(book => !isActiveBook(book));
+    trashedBooks.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    
+    res.json({
+      success: true,
+      data: trashedBooks.map(book => ({
+        ...book,
+        purgeAt: new Date(new Date(book.deletedAt).getTime() + TRASH_RETENTION_MS).toISOString()
+      })),
+      count: trashedBooks.length,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve trash',
       error: error.message
     });
   }
 });
 
-// DELETE /api/books/:id - Delete a book
-app.delete('/api/books/:id', (req, res) => {
+// DELETE /api/trash/:id - Permanently delete one book from the trash
+app.delete('/api/trash/:id', requireScope('admin'), async (req, res) => {
   try {
-    const bookIndex = books.findIndex(book => book.id === parseInt(req.params.id));
+    const [purgedBook] = await purgeTrash(book => book.id === parseInt(req.params.id), describeActor(req));
     
-    if (bookIndex === -1) {
+    if (!purgedBook) {
       return res.status(404).json({
         success: false,
-        message: 'Book not found'
+        message: 'Book not found in trash'
       });
     }
     
-    const deletedBook = books.splice(bookIndex, 1)[0];
+    res.json({
+      success: true,
+      message: 'Book permanently deleted',
+      data: purgedBook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to purge book',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/trash - Empty the trash
+app.delete('/api/trash', requireScope('admin'), async (req, res) => {
+  try {
+    const purgedBooks = await purgeTrash(() => true, describeActor(req));
     
     res.json({
       success: true,
-      message: 'Book deleted successfully',
-      data: deletedBook
+      message: 'Trash emptied successfully',
+      data: purgedBooks,
+      count: purgedBooks.length
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to delete book',
+      message: 'Failed to empty trash',
       error: error.message
     });
   }
 });
 
-// GET /api/books/search/:query - Search books
-app.get('/api/books/search/:query', (req, res) => {
+// GET /api/books/search/:query - Search books, ranked by relevance
+// Supports the structured syntax described in search/queryParser.js
+app.get('/api/books/search/:query', requireScope('read'), async (req, res) => {
   try {
-    const query = req.params.query.toLowerCase().trim();
+    const query = req.params.query.trim();
     
     if (!query) {
       return res.status(400).json({
@@ -298,16 +3913,21 @@ app.get('/api/books/search/:query', (req, res) => {
       });
     }
     
-    const results = books.filter(book => 
-      book.title.toLowerCase().includes(query) ||
-      book.author.toLowerCase().includes(query) ||
-      book.genre.toLowerCase().includes(query) ||
-      book.description.toLowerCase().includes(query)
-    );
+    let ast;
+    try {
+      ast = parseQuery(query);
+    } catch (error) {
+      if (error instanceof QueryParseError) {
+        return sendQueryParseError(res, error);
+      }
+      throw error;
+    }
+    
+    const results = executeQuery(ast, await books.findMany(isActiveBook), searchIndex);
     
     res.json({
       success: true,
-      data: results,
+      data: await withAvailability(await withRatings(results)),
       count: results.length,
       query: req.params.query
     });
@@ -329,7 +3949,15 @@ app.use('*', (req, res) => {
 });
 
 // Global error handler
-app.use((error, req, res, next) => {
+app.use((error, req, res, _next) => {
+  // Bodies over a route's size limit (imports, cover uploads)
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      message: `Request body is too large (limit ${error.limit} bytes)`
+    });
+  }
+  
   console.error('Global error:', error);
   res.status(500).json({
     success: false,
@@ -338,11 +3966,31 @@ app.use((error, req, res, next) => {
   });
 });
 
+// Purge expired trash on startup and then hourly
+purgeExpiredTrash();
+setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS).unref();
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Book Management API server running on port ${PORT}`);
   console.log(`📚 API endpoints available at http://localhost:${PORT}/api`);
   console.log(`🏥 Health check: http://localhost:${PORT}/api/health`);
 });
 
+// Stop taking requests and write any unsaved changes before exiting
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down`);
+  server.close();
+  try {
+    await flushRepositories();
+    process.exit(0);
+  } catch (error) {
+    console.error('Failed to save data on shutdown:', error);
+    process.exit(1);
+  }
+};
+
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
+
 export default app;
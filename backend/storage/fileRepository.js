@@ -0,0 +1,100 @@
+import fs from 'fs';
+import path from 'path';
+import { createMemoryRepository } from './memoryRepository.js';
+
+// File-backed repository - keeps an in-memory copy of the collection and
+// writes the whole JSON file shortly after it changes. Changes made close
+// together (e.g. a bulk import) share one write instead of each rewriting
+// the file.
+
+// How long to wait after a change for more changes before writing
+const WRITE_DELAY_MS = 50;
+
+// Write to a temporary file and rename it over the target so a crash
+// mid-write never leaves a truncated collection behind
+const writeAtomic = async (file, data) => {
+  const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  const handle = await fs.promises.open(tmpFile, 'w');
+  try {
+    await handle.writeFile(JSON.stringify(data, null, 2));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.promises.rename(tmpFile, file);
+  } catch (error) {
+    await fs.promises.unlink(tmpFile).catch(() => {});
+    throw error;
+  }
+};
+
+export const createFileRepository = ({ file, seed = [], versioned = false }) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  // One write at a time: changes made while a write is in flight are picked
+  // up by the next one. A failed write leaves the collection dirty, so the
+  // next change (or flush) tries again.
+  let dirty = false;
+  let timer = null;
+  let writing = null;
+  let lastError = null;
+
+  const write = async () => {
+    timer = null;
+    while (writing) {
+      await writing.catch(() => {});
+    }
+    if (!dirty) {
+      return;
+    }
+    dirty = false;
+    writing = writeAtomic(file, repository.snapshot());
+    try {
+      await writing;
+      lastError = null;
+    } catch (error) {
+      dirty = true;
+      lastError = error;
+      throw error;
+    } finally {
+      writing = null;
+    }
+  };
+
+  const scheduleWrite = () => {
+    dirty = true;
+    if (!timer) {
+      timer = setTimeout(() => {
+        write().catch(error => console.error(`Failed to save ${file}:`, error));
+      }, WRITE_DELAY_MS);
+    }
+  };
+
+  const repository = createMemoryRepository({ seed, onChange: scheduleWrite, versioned });
+
+  if (fs.existsSync(file)) {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    repository.restore({
+      items: state.items || [],
+      nextId: state.nextId || 1
+    });
+  } else {
+    scheduleWrite();
+  }
+
+  return {
+    ...repository,
+
+    // Write any unsaved changes now. Rejects if they can't be written.
+    flush: async () => {
+      clearTimeout(timer);
+      await write();
+    },
+
+    // The error from the last write, while the collection is unsaved
+    lastWriteError: () => lastError
+  };
+};
+
+export default createFileRepository;
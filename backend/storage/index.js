@@ -0,0 +1,52 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMemoryRepository } from './memoryRepository.js';
+import { createFileRepository } from './fileRepository.js';
+
+// Storage configuration
+// STORAGE_DRIVER: 'file' (default) or 'memory'
+// DATA_DIR: where the file driver keeps one JSON file per collection
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'file';
+const DATA_DIR = process.env.DATA_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+// File repositories write behind (see fileRepository.js), so they are kept
+// here to be flushed on shutdown
+const fileRepositories = [];
+
+// Create a repository for a named collection using the configured driver.
+// versioned: keep a version number on each record (see memoryRepository.js)
+export const createRepository = (name, { seed = [], versioned = false } = {}) => {
+  switch (STORAGE_DRIVER) {
+    case 'memory':
+      return createMemoryRepository({ seed, versioned });
+    case 'file': {
+      const repository = createFileRepository({
+        file: path.join(DATA_DIR, `${name}.json`),
+        seed,
+        versioned
+      });
+      fileRepositories.push(repository);
+      return repository;
+    }
+    default:
+      throw new Error(`Unknown storage driver: ${STORAGE_DRIVER}`);
+  }
+};
+
+// Write every collection's unsaved changes. Rejects if any can't be written.
+export const flushRepositories = async () => {
+  const results = await Promise.allSettled(fileRepositories.map(repository => repository.flush()));
+  const failure = results.find(result => result.status === 'rejected');
+  if (failure) {
+    throw failure.reason;
+  }
+};
+
+// Errors from collections whose latest changes couldn't be written to disk
+export const storageErrors = () => fileRepositories
+  .map(repository => repository.lastWriteError())
+  .filter(Boolean);
+
+export { createMemoryRepository, createFileRepository };
+export { VersionConflictError } from './memoryRepository.js';
@@ -0,0 +1,101 @@
+// In-memory repository - keeps records in a plain array.
+// Used directly for tests and as the base for the file-backed repository.
+
+const clone = (value) => structuredClone(value);
+
+// Thrown by update() when the record's version isn't the expected one
+export class VersionConflictError extends Error {
+  constructor(current) {
+    super('Record has been changed since it was read');
+    this.name = 'VersionConflictError';
+    this.current = current;
+  }
+}
+
+// Versioned repositories give every record a version number, starting at 1
+// and increased by every update, for optimistic concurrency control.
+// Records stored before versioning was enabled start at 1.
+export const createMemoryRepository = ({ seed = [], onChange, versioned = false } = {}) => {
+  const withVersion = (item) => (versioned && !item.version ? { ...item, version: 1 } : item);
+
+  let items = seed.map(clone).map(withVersion);
+  let nextId = items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+
+  // Gives the file-backed repository a chance to persist after each mutation
+  const commit = async () => {
+    if (onChange) {
+      await onChange({ nextId, items });
+    }
+  };
+
+  return {
+    // Get every record
+    findAll: async () => items.map(clone),
+
+    // Get a single record by its numeric ID
+    findById: async (id) => {
+      const item = items.find(item => item.id === parseInt(id));
+      return item ? clone(item) : null;
+    },
+
+    // Get the first record matching a predicate
+    findOne: async (predicate) => {
+      const item = items.find(predicate);
+      return item ? clone(item) : null;
+    },
+
+    // Get every record matching a predicate
+    findMany: async (predicate) => items.filter(predicate).map(clone),
+
+    // Insert a new record, allocating the next ID
+    create: async (data) => {
+      const item = { id: nextId++, ...clone(data), ...(versioned && { version: 1 }) };
+      items.push(item);
+      await commit();
+      return clone(item);
+    },
+
+    // Merge changes into an existing record. With expectedVersion, the
+    // update only goes ahead if nobody has changed the record since that
+    // version was read; otherwise a VersionConflictError carries the
+    // current record.
+    update: async (id, changes, { expectedVersion } = {}) => {
+      const index = items.findIndex(item => item.id === parseInt(id));
+      if (index === -1) {
+        return null;
+      }
+      const current = items[index];
+      if (versioned && expectedVersion !== undefined && current.version !== expectedVersion) {
+        throw new VersionConflictError(clone(current));
+      }
+      items[index] = {
+        ...current,
+        ...clone(changes),
+        id: current.id,
+        ...(versioned && { version: current.version + 1 })
+      };
+      await commit();
+      return clone(items[index]);
+    },
+
+    // Remove a record and return it
+    remove: async (id) => {
+      const index = items.findIndex(item => item.id === parseInt(id));
+      if (index === -1) {
+        return null;
+      }
+      const [removed] = items.splice(index, 1);
+      await commit();
+      return removed;
+    },
+
+    // Expose the raw state so other drivers can restore it
+    snapshot: () => clone({ nextId, items }),
+    restore: (state) => {
+      items = clone(state.items).map(withVersion);
+      nextId = state.nextId;
+    }
+  };
+};
+
+export default createMemoryRepository;
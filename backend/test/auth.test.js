@@ -0,0 +1,66 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+// Keep accounts in memory rather than in backend/data
+process.env.STORAGE_DRIVER = 'memory';
+const { default: authRoutes } = await import('../routes/auth.js');
+const { users } = await import('../auth/sessions.js');
+
+describe('auth routes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}/api/auth`;
+  });
+
+  after(() => server.close());
+
+  const post = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('concurrent registrations create one account per username and one admin', async () => {
+    const responses = await Promise.all([
+      ...Array.from({ length: 3 }, () => post('/register', { username: 'racer', password: 'password123' })),
+      post('/register', { username: 'RACER', password: 'password123' }),
+      post('/register', { username: 'other', password: 'password123' }),
+      post('/register', { username: 'another', password: 'password123' })
+    ]);
+
+    const racers = responses.slice(0, 4);
+    assert.equal(racers.filter(response => response.status === 201).length, 1);
+    assert.equal(racers.filter(response => response.status === 409).length, 3);
+    assert.deepEqual(responses.slice(4).map(response => response.status), [201, 201]);
+
+    const accounts = await users.findAll();
+    assert.equal(accounts.filter(user => user.username.toLowerCase() === 'racer').length, 1);
+    assert.equal(accounts.filter(user => user.role === 'admin').length, 1);
+  });
+
+  test('signs in with the right password only', async () => {
+    await post('/register', { username: 'reader', password: 'password123' });
+
+    const signedIn = await post('/login', { username: 'reader', password: 'password123' });
+    assert.equal(signedIn.status, 200);
+    assert.ok(signedIn.body.data.token);
+    assert.equal(signedIn.body.data.user.passwordHash, undefined);
+
+    const wrongPassword = await post('/login', { username: 'reader', password: 'wrong-password' });
+    const unknownUser = await post('/login', { username: 'nobody', password: 'password123' });
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(unknownUser.status, 401);
+    assert.equal(unknownUser.body.message, wrongPassword.body.message);
+  });
+});
@@ -0,0 +1,148 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsvRows, parseCsv, escapeFormula, unescapeFormula, CsvParseError } from '../import/csv.js';
+
+// The export formats and import helpers load the author repository
+process.env.STORAGE_DRIVER = 'memory';
+const { EXPORT_FORMATS } = await import('../export/formats.js');
+const { detectFormat, mapHeader, readImportRecords, ImportFormatError } = await import('../import/bookImport.js');
+
+describe('parseCsvRows', () => {
+  test('splits rows and fields', () => {
+    assert.deepEqual(parseCsvRows('a,b,c\n1,2,3'), [['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  test('accepts CRLF, CR and LF line endings and a trailing newline', () => {
+    assert.deepEqual(parseCsvRows('a,b\r\n1,2\r3,4\n'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  test('keeps empty fields', () => {
+    assert.deepEqual(parseCsvRows('a,,c\n,,'), [['a', '', 'c']]);
+    assert.deepEqual(parseCsvRows('a,b\n1,'), [['a', 'b'], ['1', '']]);
+  });
+
+  test('reads quoted fields with commas, escaped quotes and newlines', () => {
+    assert.deepEqual(
+      parseCsvRows('title,description\n"Dune, Part One","A ""classic""\nof science fiction"'),
+      [['title', 'description'], ['Dune, Part One', 'A "classic"\nof science fiction']]
+    );
+  });
+
+  test('skips blank lines', () => {
+    assert.deepEqual(parseCsvRows('a\n\n  \n1\n'), [['a'], ['1']]);
+  });
+
+  test('strips a byte order mark', () => {
+    assert.deepEqual(parseCsvRows('﻿title\nDune'), [['title'], ['Dune']]);
+  });
+
+  test('rejects a quote inside an unquoted field, with its line', () => {
+    assert.throws(() => parseCsvRows('title\nDune\nThe "Best" Book'), (error) => {
+      assert.ok(error instanceof CsvParseError);
+      assert.equal(error.line, 3);
+      assert.match(error.message, /Unexpected quote.*\(line 3\)/);
+      return true;
+    });
+  });
+
+  test('rejects an unterminated quote, with the line it opened on', () => {
+    assert.throws(() => parseCsvRows('title\n"Dune\nMessiah\n'), (error) => {
+      assert.ok(error instanceof CsvParseError);
+      assert.equal(error.line, 2);
+      assert.match(error.message, /Unterminated quoted field/);
+      return true;
+    });
+  });
+});
+
+describe('parseCsv', () => {
+  test('keys records by header, filling missing fields with empty strings', () => {
+    assert.deepEqual(parseCsv(' title ,year\nDune,1965\nEmma'), [
+      { title: 'Dune', year: '1965' },
+      { title: 'Emma', year: '' }
+    ]);
+  });
+
+  test('maps headers and drops unknown columns', () => {
+    assert.deepEqual(parseCsv('Title,Published,Shelf\nDune,1965,B2', mapHeader), [
+      { title: 'Dune', publicationYear: '1965' }
+    ]);
+  });
+
+  test('returns no records for empty input', () => {
+    assert.deepEqual(parseCsv(''), []);
+    assert.deepEqual(parseCsv('title\n'), []);
+  });
+});
+
+describe('formula escaping', () => {
+  test('escapes cells that spreadsheets would run as formulas', () => {
+    for (const text of ['=SUM(A1:A2)', '+1', '-1', '@cmd', '\tx', '\rx']) {
+      assert.equal(escapeFormula(text), `'${text}`);
+    }
+  });
+
+  test('leaves other cells alone', () => {
+    for (const text of ['Dune', '1965', '', "'quoted", 'a=b']) {
+      assert.equal(escapeFormula(text), text);
+    }
+  });
+
+  test('unescapes only what escaping added', () => {
+    assert.equal(unescapeFormula("'=SUM(A1:A2)"), '=SUM(A1:A2)');
+    assert.equal(unescapeFormula("'quoted"), "'quoted");
+    assert.equal(unescapeFormula('Dune'), 'Dune');
+  });
+});
+
+describe('CSV export and import', () => {
+  const book = {
+    id: 7,
+    title: '=HYPERLINK("http://example.com","Click")',
+    author: '@Someone',
+    genre: 'Fiction',
+    tags: ['-tag', 'plain'],
+    publicationYear: 1965,
+    isbn: '',
+    description: '+1 for this, really',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z'
+  };
+
+  test('exports formula-like cells as text', () => {
+    const row = parseCsvRows(EXPORT_FORMATS.csv.record(book))[0];
+    assert.equal(row[1], '\'=HYPERLINK("http://example.com","Click")');
+    assert.equal(row[2], "'@Someone");
+    assert.equal(row[4], "'-tag; plain");
+    assert.equal(row[7], "'+1 for this, really");
+  });
+
+  test('imports an export with the original values', () => {
+    const csv = EXPORT_FORMATS.csv.header() + EXPORT_FORMATS.csv.record(book);
+    const [record] = readImportRecords('csv', csv);
+    assert.equal(record.title, book.title);
+    assert.equal(record.author, book.author);
+    assert.equal(record.tags, '-tag; plain');
+    assert.equal(record.description, book.description);
+  });
+
+  test('reports malformed CSV as an import format error', () => {
+    assert.throws(() => readImportRecords('csv', 'title\n"Dune'), ImportFormatError);
+    assert.throws(() => readImportRecords('csv', { title: 'Dune' }), ImportFormatError);
+  });
+});
+
+describe('detectFormat', () => {
+  const request = (query, contentType) => ({ query, is: (type) => type === contentType });
+
+  test('prefers an explicit format over the content type', () => {
+    assert.equal(detectFormat(request({ format: 'CSV' }, 'application/json')), 'csv');
+    assert.equal(detectFormat(request({}, 'text/csv')), 'csv');
+    assert.equal(detectFormat(request({}, 'application/json')), 'json');
+    assert.equal(detectFormat(request({}, 'text/plain')), null);
+  });
+
+  test('does not pick one of a repeated format', () => {
+    assert.equal(detectFormat(request({ format: ['csv', 'json'] }, 'text/csv')), null);
+  });
+});
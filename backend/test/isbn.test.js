@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  cleanIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isValidIsbn,
+  toIsbn13,
+  toIsbn10
+} from '../utils/isbn.js';
+
+describe('cleanIsbn', () => {
+  test('drops hyphens and spaces and upper-cases the check digit', () => {
+    assert.equal(cleanIsbn('0-8044-2957-x'), '080442957X');
+    assert.equal(cleanIsbn(' 978 0 451 52493 5 '), '9780451524935');
+  });
+
+  test('turns missing values into an empty string', () => {
+    assert.equal(cleanIsbn(undefined), '');
+    assert.equal(cleanIsbn(null), '');
+  });
+});
+
+describe('checksums', () => {
+  test('accepts valid ISBN-10s, including an X check digit', () => {
+    assert.equal(isValidIsbn10('0451524934'), true);
+    assert.equal(isValidIsbn10('0-8044-2957-X'), true);
+    assert.equal(isValidIsbn10('080442957x'), true);
+  });
+
+  test('rejects ISBN-10s with a wrong check digit or shape', () => {
+    assert.equal(isValidIsbn10('0451524935'), false);
+    assert.equal(isValidIsbn10('X451524934'), false);
+    assert.equal(isValidIsbn10('045152493'), false);
+    assert.equal(isValidIsbn10('9780451524935'), false);
+  });
+
+  test('accepts valid ISBN-13s with either prefix', () => {
+    assert.equal(isValidIsbn13('978-0-451-52493-5'), true);
+    assert.equal(isValidIsbn13('9791034304707'), true);
+  });
+
+  test('rejects ISBN-13s with a wrong check digit or prefix', () => {
+    assert.equal(isValidIsbn13('9780451524934'), false);
+    assert.equal(isValidIsbn13('9770451524935'), false);
+    assert.equal(isValidIsbn13('978045152493X'), false);
+    assert.equal(isValidIsbn13('0451524934'), false);
+  });
+
+  test('isValidIsbn accepts either form', () => {
+    assert.equal(isValidIsbn('0451524934'), true);
+    assert.equal(isValidIsbn('9780451524935'), true);
+    assert.equal(isValidIsbn('not an isbn'), false);
+    assert.equal(isValidIsbn(''), false);
+  });
+});
+
+describe('conversion', () => {
+  test('converts ISBN-10 to ISBN-13', () => {
+    assert.equal(toIsbn13('0-451-52493-4'), '9780451524935');
+    assert.equal(toIsbn13('080442957X'), '9780804429573');
+  });
+
+  test('keeps a valid ISBN-13 and normalizes its formatting', () => {
+    assert.equal(toIsbn13('978-0-451-52493-5'), '9780451524935');
+  });
+
+  test('converts ISBN-13 to ISBN-10', () => {
+    assert.equal(toIsbn10('9780451524935'), '0451524934');
+    assert.equal(toIsbn10('978-0-8044-2957-3'), '080442957X');
+  });
+
+  test('keeps a valid ISBN-10', () => {
+    assert.equal(toIsbn10('0-8044-2957-x'), '080442957X');
+  });
+
+  test('round-trips between the two forms', () => {
+    for (const isbn10 of ['0451524934', '080442957X', '0306406152']) {
+      assert.equal(toIsbn10(toIsbn13(isbn10)), isbn10);
+    }
+  });
+
+  test('has no ISBN-10 for a 979 ISBN-13', () => {
+    assert.equal(toIsbn10('9791034304707'), null);
+  });
+
+  test('returns null for invalid input', () => {
+    assert.equal(toIsbn13('0451524935'), null);
+    assert.equal(toIsbn13('9780451524934'), null);
+    assert.equal(toIsbn10('9780451524934'), null);
+    assert.equal(toIsbn13(''), null);
+  });
+});
@@ -0,0 +1,169 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyMergePatch,
+  applyJsonPatch,
+  patchedMembers,
+  PatchError,
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_TYPE
+} from '../utils/patch.js';
+
+const book = () => ({
+  title: 'Dune',
+  genre: 'Science Fiction',
+  tags: ['classic', 'desert'],
+  series: { name: 'Dune', position: 1 }
+});
+
+// Assert that a JSON Patch is refused with the given status and message
+const assertPatchError = (operations, { status = 400, message }) => {
+  assert.throws(() => applyJsonPatch(book(), operations), (error) => {
+    assert.ok(error instanceof PatchError);
+    assert.equal(error.status, status);
+    assert.match(error.message, message);
+    return true;
+  });
+};
+
+describe('applyMergePatch', () => {
+  test('replaces members and leaves the rest alone', () => {
+    assert.deepEqual(applyMergePatch(book(), { title: 'Dune Messiah' }), { ...book(), title: 'Dune Messiah' });
+  });
+
+  test('removes members set to null', () => {
+    const { genre: _genre, ...rest } = book();
+    assert.deepEqual(applyMergePatch(book(), { genre: null }), rest);
+  });
+
+  test('merges nested objects and replaces arrays whole', () => {
+    const patched = applyMergePatch(book(), { series: { position: 2 }, tags: ['sequel'] });
+    assert.deepEqual(patched.series, { name: 'Dune', position: 2 });
+    assert.deepEqual(patched.tags, ['sequel']);
+  });
+
+  test('does not change the target', () => {
+    const target = book();
+    applyMergePatch(target, { title: 'Dune Messiah', series: { position: 2 } });
+    assert.deepEqual(target, book());
+  });
+});
+
+describe('applyJsonPatch', () => {
+  test('adds members and array items, including at the end', () => {
+    const patched = applyJsonPatch(book(), [
+      { op: 'add', path: '/isbn', value: '9780441172719' },
+      { op: 'add', path: '/tags/0', value: 'first' },
+      { op: 'add', path: '/tags/-', value: 'last' }
+    ]);
+    assert.equal(patched.isbn, '9780441172719');
+    assert.deepEqual(patched.tags, ['first', 'classic', 'desert', 'last']);
+  });
+
+  test('removes members and array items', () => {
+    const patched = applyJsonPatch(book(), [
+      { op: 'remove', path: '/genre' },
+      { op: 'remove', path: '/tags/0' }
+    ]);
+    assert.equal('genre' in patched, false);
+    assert.deepEqual(patched.tags, ['desert']);
+  });
+
+  test('replaces existing values only', () => {
+    assert.equal(applyJsonPatch(book(), [{ op: 'replace', path: '/title', value: 'Emma' }]).title, 'Emma');
+    assert.deepEqual(applyJsonPatch(book(), [{ op: 'replace', path: '/tags/1', value: 'sand' }]).tags, ['classic', 'sand']);
+    assertPatchError([{ op: 'replace', path: '/isbn', value: '1' }], { message: /"\/isbn" does not exist/ });
+  });
+
+  test('moves and copies values', () => {
+    const moved = applyJsonPatch(book(), [{ op: 'move', from: '/tags/1', path: '/tags/0' }]);
+    assert.deepEqual(moved.tags, ['desert', 'classic']);
+
+    const copied = applyJsonPatch(book(), [{ op: 'copy', from: '/series/name', path: '/title' }]);
+    assert.equal(copied.title, 'Dune');
+    assert.deepEqual(copied.series, book().series);
+  });
+
+  test('unescapes ~1 and ~0 in paths', () => {
+    const patched = applyJsonPatch({ 'a/b': 1, 'c~d': 2 }, [
+      { op: 'replace', path: '/a~1b', value: 3 },
+      { op: 'remove', path: '/c~0d' }
+    ]);
+    assert.deepEqual(patched, { 'a/b': 3 });
+  });
+
+  test('passes a test operation whose value matches, deeply', () => {
+    const patched = applyJsonPatch(book(), [
+      { op: 'test', path: '/tags', value: ['classic', 'desert'] },
+      { op: 'test', path: '/series', value: { position: 1, name: 'Dune' } },
+      { op: 'replace', path: '/title', value: 'Dune Messiah' }
+    ]);
+    assert.equal(patched.title, 'Dune Messiah');
+  });
+
+  test('fails a test operation that does not match with 409', () => {
+    assertPatchError([{ op: 'test', path: '/title', value: 'Emma' }], { status: 409, message: /Test failed: "\/title"/ });
+    assertPatchError([{ op: 'test', path: '/tags', value: ['classic'] }], { status: 409, message: /Test failed/ });
+    assertPatchError([{ op: 'test', path: '/series', value: { name: 'Dune' } }], { status: 409, message: /Test failed/ });
+  });
+
+  test('applies all operations or none', () => {
+    const target = book();
+    assert.throws(() => applyJsonPatch(target, [
+      { op: 'replace', path: '/title', value: 'Emma' },
+      { op: 'test', path: '/genre', value: 'Romance' }
+    ]), PatchError);
+    assert.deepEqual(target, book());
+  });
+
+  test('rejects malformed patches', () => {
+    assert.throws(() => applyJsonPatch(book(), { op: 'add' }), /must be an array/);
+    assertPatchError(['remove'], { message: /Operation 0 must be an object/ });
+    assertPatchError([{ op: 'add', path: '/isbn' }], { message: /Operation 0 \(add\) needs a value/ });
+    assertPatchError([{ op: 'test', path: '/title' }], { message: /needs a value/ });
+    assertPatchError([{ op: 'increment', path: '/title' }], { message: /unknown op "increment"/ });
+  });
+
+  test('rejects bad paths and indexes', () => {
+    assertPatchError([{ op: 'remove', path: 'title' }], { message: /paths must start with \// });
+    assertPatchError([{ op: 'remove', path: '/missing' }], { message: /does not exist/ });
+    assertPatchError([{ op: 'add', path: '/missing/child', value: 1 }], { message: /does not exist/ });
+    assertPatchError([{ op: 'add', path: '/title/child', value: 1 }], { message: /does not exist/ });
+    assertPatchError([{ op: 'remove', path: '/tags/2' }], { message: /Invalid array index/ });
+    assertPatchError([{ op: 'add', path: '/tags/01', value: 'x' }], { message: /Invalid array index/ });
+    assertPatchError([{ op: 'remove', path: '/tags/-' }], { message: /Invalid array index/ });
+  });
+
+  test('does not change the target', () => {
+    const target = book();
+    applyJsonPatch(target, [{ op: 'add', path: '/tags/-', value: 'new' }, { op: 'remove', path: '/series/name' }]);
+    assert.deepEqual(target, book());
+  });
+});
+
+describe('patchedMembers', () => {
+  test('lists the top-level members a merge patch touches', () => {
+    assert.deepEqual(patchedMembers({ title: 'Emma', series: { position: 2 } }, MERGE_PATCH_TYPE), ['title', 'series']);
+  });
+
+  test('lists the top-level members a JSON Patch changes, ignoring tests', () => {
+    assert.deepEqual(patchedMembers([
+      { op: 'test', path: '/genre', value: 'Science Fiction' },
+      { op: 'add', path: '/tags/-', value: 'new' },
+      { op: 'replace', path: '/tags/0', value: 'old' },
+      { op: 'copy', from: '/genre', path: '/description' }
+    ], JSON_PATCH_TYPE), ['tags', 'description']);
+  });
+
+  test('counts both ends of a move', () => {
+    assert.deepEqual(patchedMembers([{ op: 'move', from: '/subtitle', path: '/title' }], JSON_PATCH_TYPE), ['title', 'subtitle']);
+  });
+
+  test('reports read-only members such as id and version, so they can be refused', () => {
+    assert.deepEqual(patchedMembers([
+      { op: 'replace', path: '/id', value: 9 },
+      { op: 'remove', path: '/version' }
+    ], JSON_PATCH_TYPE), ['id', 'version']);
+    assert.deepEqual(patchedMembers({ createdAt: '2020-01-01' }, MERGE_PATCH_TYPE), ['createdAt']);
+  });
+});
@@ -0,0 +1,210 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, QueryParseError } from '../search/queryParser.js';
+
+// Assert that parsing fails, pointing at the given token and position
+const assertParseError = (input, { message, token, position }) => {
+  assert.throws(() => parseQuery(input), (error) => {
+    assert.ok(error instanceof QueryParseError);
+    assert.match(error.message, message);
+    assert.equal(error.token, token);
+    assert.equal(error.position, position);
+    return true;
+  });
+};
+
+describe('parseQuery', () => {
+  test('parses a single word as a free-text term', () => {
+    assert.deepEqual(parseQuery('orwell'), { type: 'term', field: null, value: 'orwell' });
+  });
+
+  test('ANDs terms together, with or without AND', () => {
+    const expected = {
+      type: 'and',
+      nodes: [
+        { type: 'term', field: null, value: 'animal' },
+        { type: 'term', field: null, value: 'farm' }
+      ]
+    };
+    assert.deepEqual(parseQuery('animal farm'), expected);
+    assert.deepEqual(parseQuery('animal AND farm'), expected);
+  });
+
+  describe('quoting', () => {
+    test('parses a quoted phrase', () => {
+      assert.deepEqual(parseQuery('"animal farm"'), { type: 'phrase', field: null, value: 'animal farm' });
+    });
+
+    test('parses a quoted field value', () => {
+      assert.deepEqual(parseQuery('genre:"Dystopian Fiction"'), { type: 'phrase', field: 'genre', value: 'Dystopian Fiction' });
+    });
+
+    test('keeps operators inside quotes as text', () => {
+      assert.deepEqual(parseQuery('"war OR (peace)"'), { type: 'phrase', field: null, value: 'war OR (peace)' });
+    });
+
+    test('ends a word at a quote', () => {
+      assert.deepEqual(parseQuery('big"brother"'), {
+        type: 'and',
+        nodes: [
+          { type: 'term', field: null, value: 'big' },
+          { type: 'phrase', field: null, value: 'brother' }
+        ]
+      });
+    });
+  });
+
+  describe('field filters', () => {
+    test('restricts a term to a field, ignoring the field name case', () => {
+      assert.deepEqual(parseQuery('Author:orwell'), { type: 'term', field: 'author', value: 'orwell' });
+    });
+
+    test('normalizes tag filters', () => {
+      assert.deepEqual(parseQuery('tag:Book-Club'), { type: 'tag', value: 'book-club' });
+      assert.deepEqual(parseQuery('tag:"Signed  Copy"'), { type: 'tag', value: 'signed copy' });
+    });
+
+    test('matches anything that looks like an ISBN by its ISBN-13', () => {
+      const expected = { type: 'term', field: 'isbn', value: '9780451524935' };
+      assert.deepEqual(parseQuery('0-451-52493-4'), expected);
+      assert.deepEqual(parseQuery('978-0-451-52493-5'), expected);
+      assert.deepEqual(parseQuery('isbn:0451524934'), expected);
+    });
+
+    test('matches a partial ISBN filter by its digits', () => {
+      assert.deepEqual(parseQuery('isbn:978-0451'), { type: 'term', field: 'isbn', value: '9780451' });
+    });
+
+    test('searches an ISBN-like value only in the field it was given', () => {
+      assert.deepEqual(parseQuery('title:0451524934'), { type: 'term', field: 'title', value: '0451524934' });
+    });
+  });
+
+  describe('year ranges', () => {
+    const year = (min, max) => ({ type: 'year', min, max });
+
+    test('parses exact years, comparisons and ranges', () => {
+      assert.deepEqual(parseQuery('year:1949'), year(1949, 1949));
+      assert.deepEqual(parseQuery('year:>1940'), year(1941, Infinity));
+      assert.deepEqual(parseQuery('year:>=1940'), year(1940, Infinity));
+      assert.deepEqual(parseQuery('year:<1950'), year(-Infinity, 1949));
+      assert.deepEqual(parseQuery('year:<=1950'), year(-Infinity, 1950));
+      assert.deepEqual(parseQuery('year:1940..1950'), year(1940, 1950));
+    });
+
+    test('rejects malformed years', () => {
+      for (const input of ['year:abc', 'year:19490', 'year:1940..', 'year:>>1940']) {
+        assertParseError(input, { message: /Invalid year filter/, token: input, position: 0 });
+      }
+    });
+  });
+
+  describe('negation', () => {
+    test('negates a term or a field filter', () => {
+      assert.deepEqual(parseQuery('-animal'), { type: 'not', node: { type: 'term', field: null, value: 'animal' } });
+      assert.deepEqual(parseQuery('-genre:satire'), { type: 'not', node: { type: 'term', field: 'genre', value: 'satire' } });
+      assert.deepEqual(parseQuery('--animal'), {
+        type: 'not',
+        node: { type: 'not', node: { type: 'term', field: null, value: 'animal' } }
+      });
+    });
+
+    test('negates only the term it is attached to', () => {
+      assert.deepEqual(parseQuery('orwell -animal OR farm'), {
+        type: 'or',
+        nodes: [
+          {
+            type: 'and',
+            nodes: [
+              { type: 'term', field: null, value: 'orwell' },
+              { type: 'not', node: { type: 'term', field: null, value: 'animal' } }
+            ]
+          },
+          { type: 'term', field: null, value: 'farm' }
+        ]
+      });
+    });
+
+    test('treats a hyphen inside a word or on its own as text', () => {
+      assert.deepEqual(parseQuery('sci-fi'), { type: 'term', field: null, value: 'sci-fi' });
+      assert.deepEqual(parseQuery('-'), { type: 'term', field: null, value: '-' });
+    });
+  });
+
+  describe('OR and grouping', () => {
+    test('binds AND tighter than OR', () => {
+      assert.deepEqual(parseQuery('a b OR c'), {
+        type: 'or',
+        nodes: [
+          {
+            type: 'and',
+            nodes: [
+              { type: 'term', field: null, value: 'a' },
+              { type: 'term', field: null, value: 'b' }
+            ]
+          },
+          { type: 'term', field: null, value: 'c' }
+        ]
+      });
+    });
+
+    test('groups with parentheses', () => {
+      assert.deepEqual(parseQuery('a (b OR c)'), {
+        type: 'and',
+        nodes: [
+          { type: 'term', field: null, value: 'a' },
+          {
+            type: 'or',
+            nodes: [
+              { type: 'term', field: null, value: 'b' },
+              { type: 'term', field: null, value: 'c' }
+            ]
+          }
+        ]
+      });
+    });
+
+    test('only treats upper-case OR as an operator', () => {
+      assert.deepEqual(parseQuery('war or peace').nodes.map(node => node.value), ['war', 'or', 'peace']);
+    });
+  });
+
+  describe('errors', () => {
+    test('requires a query', () => {
+      assertParseError('', { message: /required/, token: '', position: 0 });
+      assertParseError('   ', { message: /required/, token: '', position: 0 });
+    });
+
+    test('points at an unterminated phrase', () => {
+      assertParseError('orwell "animal farm', { message: /Unterminated/, token: '"animal farm', position: 7 });
+      assertParseError('genre:"satire', { message: /Unterminated/, token: '"satire', position: 6 });
+    });
+
+    test('points at an unknown field', () => {
+      assertParseError('orwell publisher:penguin', { message: /Unknown field "publisher"/, token: 'publisher:penguin', position: 7 });
+    });
+
+    test('points at a field without a value', () => {
+      assertParseError('author: orwell', { message: /Missing value/, token: 'author:', position: 0 });
+      assertParseError('tag:""', { message: /Missing value/, token: 'tag:""', position: 0 });
+    });
+
+    test('points at the parenthesis left open', () => {
+      assertParseError('a (b OR c', { message: /Missing closing parenthesis/, token: '(', position: 2 });
+    });
+
+    test('points at a stray closing parenthesis', () => {
+      assertParseError('a b)', { message: /Unexpected "\)"/, token: ')', position: 3 });
+    });
+
+    test('points at a misplaced operator', () => {
+      assertParseError('OR orwell', { message: /Unexpected "OR"/, token: 'OR', position: 0 });
+      assertParseError('() orwell', { message: /Unexpected "\)"/, token: ')', position: 1 });
+    });
+
+    test('reports the end of the query when a term is missing', () => {
+      assertParseError('orwell OR', { message: /Unexpected end of query/, token: '', position: 9 });
+      assertParseError('orwell (', { message: /Unexpected end of query/, token: '', position: 8 });
+    });
+  });
+});
@@ -0,0 +1,190 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMemoryRepository, VersionConflictError } from '../storage/memoryRepository.js';
+import { createFileRepository } from '../storage/fileRepository.js';
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'repository-')), 'books.json');
+
+const readFile = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+describe('memory repository', () => {
+  test('allocates IDs after the highest seeded one', async () => {
+    const repository = createMemoryRepository({ seed: [{ id: 1, title: 'Dune' }, { id: 4, title: 'Emma' }] });
+    const created = await repository.create({ title: 'Ulysses' });
+    assert.equal(created.id, 5);
+    assert.equal((await repository.findAll()).length, 3);
+  });
+
+  test('finds records by numeric or string ID', async () => {
+    const repository = createMemoryRepository({ seed: [{ id: 2, title: 'Dune' }] });
+    assert.equal((await repository.findById(2)).title, 'Dune');
+    assert.equal((await repository.findById('2')).title, 'Dune');
+    assert.equal(await repository.findById(3), null);
+  });
+
+  test('returns copies, so callers cannot change stored records', async () => {
+    const repository = createMemoryRepository({ seed: [{ id: 1, tags: ['classic'] }] });
+    const book = await repository.findById(1);
+    book.tags.push('changed');
+    assert.deepEqual((await repository.findById(1)).tags, ['classic']);
+  });
+
+  test('merges updates and keeps the ID', async () => {
+    const repository = createMemoryRepository({ seed: [{ id: 1, title: 'Dune', genre: 'Science Fiction' }] });
+    const updated = await repository.update(1, { id: 9, title: 'Dune Messiah' });
+    assert.deepEqual(updated, { id: 1, title: 'Dune Messiah', genre: 'Science Fiction' });
+    assert.equal(await repository.update(2, { title: 'Missing' }), null);
+  });
+
+  test('removes records', async () => {
+    const repository = createMemoryRepository({ seed: [{ id: 1, title: 'Dune' }] });
+    assert.equal((await repository.remove('1')).title, 'Dune');
+    assert.equal(await repository.remove(1), null);
+    assert.deepEqual(await repository.findAll(), []);
+  });
+
+  test('filters with predicates', async () => {
+    const repository = createMemoryRepository({ seed: [{ id: 1, genre: 'Fiction' }, { id: 2, genre: 'History' }, { id: 3, genre: 'Fiction' }] });
+    assert.deepEqual((await repository.findMany(book => book.genre === 'Fiction')).map(book => book.id), [1, 3]);
+    assert.equal((await repository.findOne(book => book.genre === 'History')).id, 2);
+    assert.equal(await repository.findOne(book => book.genre === 'Poetry'), null);
+  });
+
+  test('reports every change', async () => {
+    const changes = [];
+    const repository = createMemoryRepository({ onChange: state => changes.push(state.items.length) });
+    const { id } = await repository.create({ title: 'Dune' });
+    await repository.update(id, { title: 'Dune Messiah' });
+    await repository.remove(id);
+    assert.deepEqual(changes, [1, 1, 0]);
+  });
+});
+
+describe('versioned memory repository', () => {
+  test('starts records at version 1, including seeded ones', async () => {
+    const repository = createMemoryRepository({ seed: [{ id: 1, title: 'Dune' }], versioned: true });
+    assert.equal((await repository.findById(1)).version, 1);
+    assert.equal((await repository.create({ title: 'Emma' })).version, 1);
+  });
+
+  test('increases the version on every update', async () => {
+    const repository = createMemoryRepository({ seed: [{ id: 1, title: 'Dune' }], versioned: true });
+    await repository.update(1, { title: 'Dune Messiah' });
+    const updated = await repository.update(1, { title: 'Children of Dune', version: 10 });
+    assert.equal(updated.version, 3);
+  });
+
+  test('updates when expectedVersion matches', async () => {
+    const repository = createMemoryRepository({ seed: [{ id: 1, title: 'Dune' }], versioned: true });
+    const updated = await repository.update(1, { title: 'Dune Messiah' }, { expectedVersion: 1 });
+    assert.equal(updated.title, 'Dune Messiah');
+    assert.equal(updated.version, 2);
+  });
+
+  test('refuses a stale expectedVersion with the current record', async () => {
+    const repository = createMemoryRepository({ seed: [{ id: 1, title: 'Dune' }], versioned: true });
+    await repository.update(1, { title: 'Dune Messiah' });
+
+    await assert.rejects(
+      repository.update(1, { title: 'Children of Dune' }, { expectedVersion: 1 }),
+      (error) => {
+        assert.ok(error instanceof VersionConflictError);
+        assert.equal(error.current.title, 'Dune Messiah');
+        assert.equal(error.current.version, 2);
+        return true;
+      }
+    );
+    assert.equal((await repository.findById(1)).title, 'Dune Messiah');
+  });
+
+  test('ignores expectedVersion when not versioned', async () => {
+    const repository = createMemoryRepository({ seed: [{ id: 1, title: 'Dune' }] });
+    const updated = await repository.update(1, { title: 'Dune Messiah' }, { expectedVersion: 7 });
+    assert.equal(updated.title, 'Dune Messiah');
+    assert.equal(updated.version, undefined);
+  });
+
+  test('gives restored records without a version version 1', async () => {
+    const repository = createMemoryRepository({ versioned: true });
+    repository.restore({ items: [{ id: 3, title: 'Dune' }, { id: 4, title: 'Emma', version: 5 }], nextId: 5 });
+    assert.deepEqual((await repository.findAll()).map(book => book.version), [1, 5]);
+    assert.equal((await repository.create({ title: 'Ulysses' })).id, 5);
+  });
+});
+
+describe('file repository', () => {
+  test('writes the seed to a new file', async () => {
+    const file = tempFile();
+    const repository = createFileRepository({ file, seed: [{ id: 1, title: 'Dune' }] });
+    await repository.flush();
+    assert.deepEqual(readFile(file), { nextId: 2, items: [{ id: 1, title: 'Dune' }] });
+  });
+
+  test('loads an existing file instead of the seed', async () => {
+    const file = tempFile();
+    fs.writeFileSync(file, JSON.stringify({ nextId: 8, items: [{ id: 7, title: 'Emma' }] }));
+    const repository = createFileRepository({ file, seed: [{ id: 1, title: 'Dune' }] });
+    assert.deepEqual((await repository.findAll()).map(book => book.title), ['Emma']);
+    assert.equal((await repository.create({ title: 'Ulysses' })).id, 8);
+  });
+
+  test('survives a restart', async () => {
+    const file = tempFile();
+    const repository = createFileRepository({ file, versioned: true });
+    const { id } = await repository.create({ title: 'Dune' });
+    await repository.update(id, { title: 'Dune Messiah' }, { expectedVersion: 1 });
+    await repository.flush();
+
+    const reopened = createFileRepository({ file, versioned: true });
+    assert.deepEqual(await reopened.findById(id), { id, title: 'Dune Messiah', version: 2 });
+    await assert.rejects(reopened.update(id, { title: 'Emma' }, { expectedVersion: 1 }), VersionConflictError);
+  });
+
+  test('writes a burst of changes once', async (t) => {
+    const file = tempFile();
+    const repository = createFileRepository({ file });
+    await repository.flush();
+
+    const rename = t.mock.method(fs.promises, 'rename');
+    for (let i = 0; i < 100; i++) {
+      await repository.create({ title: `Book ${i}` });
+    }
+    await repository.flush();
+
+    assert.equal(rename.mock.callCount(), 1);
+    assert.equal(readFile(file).items.length, 100);
+  });
+
+  test('writes changes made during a write afterwards', async () => {
+    const file = tempFile();
+    const repository = createFileRepository({ file });
+    await repository.create({ title: 'Dune' });
+    const flushing = repository.flush();
+    await repository.create({ title: 'Emma' });
+    await flushing;
+    await repository.flush();
+    assert.deepEqual(readFile(file).items.map(book => book.title), ['Dune', 'Emma']);
+  });
+
+  test('reports a failed write and retries on the next flush', async (t) => {
+    const file = tempFile();
+    const repository = createFileRepository({ file });
+    await repository.flush();
+    await repository.create({ title: 'Dune' });
+
+    const rename = t.mock.method(fs.promises, 'rename', async () => {
+      throw new Error('disk full');
+    });
+    await assert.rejects(repository.flush(), /disk full/);
+    assert.equal(repository.lastWriteError().message, 'disk full');
+    assert.deepEqual(readFile(file).items, []);
+
+    rename.mock.restore();
+    await repository.flush();
+    assert.equal(repository.lastWriteError(), null);
+    assert.deepEqual(readFile(file).items.map(book => book.title), ['Dune']);
+  });
+});
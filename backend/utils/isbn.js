@@ -0,0 +1,61 @@
+// ISBN helpers: checksum validation and ISBN-10 <-> ISBN-13 conversion.
+// Books store ISBNs as 13 bare digits (e.g. 9780451524935).
+
+// Drop hyphens and spaces, upper-case a trailing x check digit
+export const cleanIsbn = (value) => {
+  return String(value ?? '').replace(/[\s-]/g, '').toUpperCase();
+};
+
+export const isValidIsbn10 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (!/^\d{9}[\dX]$/.test(isbn)) {
+    return false;
+  }
+  const sum = [...isbn].reduce((total, char, index) => {
+    const digit = char === 'X' ? 10 : parseInt(char);
+    return total + digit * (10 - index);
+  }, 0);
+  return sum % 11 === 0;
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = [...first12].reduce((total, char, index) => {
+    return total + parseInt(char) * (index % 2 === 0 ? 1 : 3);
+  }, 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+export const isValidIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+};
+
+export const isValidIsbn = (value) => isValidIsbn10(value) || isValidIsbn13(value);
+
+// Normalize any valid ISBN to its 13-digit form, or null if invalid
+export const toIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (isValidIsbn13(isbn)) {
+    return isbn;
+  }
+  if (isValidIsbn10(isbn)) {
+    const first12 = `978${isbn.slice(0, 9)}`;
+    return first12 + isbn13CheckDigit(first12);
+  }
+  return null;
+};
+
+// ISBN-10 form of an ISBN, or null when there isn't one (979 prefixes)
+export const toIsbn10 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (isValidIsbn10(isbn)) {
+    return isbn;
+  }
+  if (!isValidIsbn13(isbn) || !isbn.startsWith('978')) {
+    return null;
+  }
+  const first9 = isbn.slice(3, 12);
+  const sum = [...first9].reduce((total, char, index) => total + parseInt(char) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return first9 + (check === 10 ? 'X' : String(check));
+};
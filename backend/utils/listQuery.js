@@ -0,0 +1,61 @@
+// Helpers for filtering, sorting and paginating book listings
+
+export const SORT_FIELDS = ['title', 'author', 'publicationYear', 'createdAt', 'averageRating'];
+export const SORT_ORDERS = ['asc', 'desc'];
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// Build a predicate from the supported filter parameters; tags is a list of
+// normalized tags that a book must all carry, authorId an author it credits
+export const buildBookFilter = ({ genre, author, authorId, yearFrom, yearTo, tags = [] } = {}) => {
+  const genreFilter = genre ? genre.trim().toLowerCase() : null;
+  const authorFilter = author ? author.trim().toLowerCase() : null;
+  const from = yearFrom !== undefined ? parseInt(yearFrom) : null;
+  const to = yearTo !== undefined ? parseInt(yearTo) : null;
+
+  return (book) =>
+    (!genreFilter || book.genre.toLowerCase() === genreFilter) &&
+    (!authorFilter || book.author.toLowerCase().includes(authorFilter)) &&
+    (!authorId || (book.authorIds || []).includes(authorId)) &&
+    (from === null || book.publicationYear >= from) &&
+    (to === null || book.publicationYear <= to) &&
+    tags.every(tag => (book.tags || []).includes(tag));
+};
+
+// Sort a list of books by one field, falling back to ID for stable ordering
+export const sortBooks = (books, sort = 'createdAt', order = 'asc') => {
+  const direction = order === 'desc' ? -1 : 1;
+
+  return [...books].sort((a, b) => {
+    const left = a[sort];
+    const right = b[sort];
+    let result;
+
+    if (typeof left === 'string' && typeof right === 'string') {
+      result = left.localeCompare(right, undefined, { sensitivity: 'base' });
+    } else {
+      result = left < right ? -1 : left > right ? 1 : 0;
+    }
+
+    return (result || a.id - b.id) * direction;
+  });
+};
+
+// Slice one page out of a list and describe where it sits
+export const paginate = (items, page = 1, limit = DEFAULT_LIMIT) => {
+  const total = items.length;
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+  const start = (page - 1) * limit;
+
+  return {
+    data: items.slice(start, start + limit),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+};
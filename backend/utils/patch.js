@@ -0,0 +1,176 @@
+// Partial updates in the two standard formats:
+// - JSON Merge Patch (RFC 7386, application/merge-patch+json): an object whose
+//   members replace the target's, with null removing a member
+// - JSON Patch (RFC 6902, application/json-patch+json): a list of add,
+//   remove, replace, move, copy and test operations on JSON Pointer paths
+
+export const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+export const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+export class PatchError extends Error {
+  // status is 409 when a test operation fails, 400 for a malformed patch
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PatchError';
+    this.status = status;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isEqual = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => key in b && isEqual(a[key], b[key]));
+  }
+  return a === b;
+};
+
+export const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return structuredClone(patch);
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+};
+
+// "/tags/0" -> ['tags', '0'], unescaping ~1 (/) and ~0 (~)
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new PatchError(`Invalid path "${pointer}": paths must start with /`);
+  }
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+const toIndex = (array, token, pointer, { append = false } = {}) => {
+  if (append && token === '-') {
+    return array.length;
+  }
+  const max = append ? array.length : array.length - 1;
+  if (!/^(0|[1-9]\d*)$/.test(token) || parseInt(token) > max) {
+    throw new PatchError(`Invalid array index in path "${pointer}"`);
+  }
+  return parseInt(token);
+};
+
+// The container holding the last token of a path, and that token
+const locate = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  const key = tokens.pop();
+
+  let container = document;
+  for (const token of tokens) {
+    container = Array.isArray(container)
+      ? container[toIndex(container, token, pointer)]
+      : isPlainObject(container) && Object.hasOwn(container, token) ? container[token] : undefined;
+    if (container === undefined) {
+      throw new PatchError(`Path "${pointer}" does not exist`);
+    }
+  }
+  if (!Array.isArray(container) && !isPlainObject(container)) {
+    throw new PatchError(`Path "${pointer}" does not exist`);
+  }
+  return { container, key };
+};
+
+const getValue = (document, pointer) => {
+  const { container, key } = locate(document, pointer);
+  if (Array.isArray(container)) {
+    return container[toIndex(container, key, pointer)];
+  }
+  if (!Object.hasOwn(container, key)) {
+    throw new PatchError(`Path "${pointer}" does not exist`);
+  }
+  return container[key];
+};
+
+const addValue = (document, pointer, value) => {
+  const { container, key } = locate(document, pointer);
+  if (Array.isArray(container)) {
+    container.splice(toIndex(container, key, pointer, { append: true }), 0, value);
+  } else {
+    container[key] = value;
+  }
+};
+
+const removeValue = (document, pointer) => {
+  const value = getValue(document, pointer);
+  const { container, key } = locate(document, pointer);
+  if (Array.isArray(container)) {
+    container.splice(parseInt(key), 1);
+  } else {
+    delete container[key];
+  }
+  return value;
+};
+
+// Apply a JSON Patch to a copy of an object. The whole document can't be
+// replaced (every path names a member), and the patch applies completely
+// or not at all.
+export const applyJsonPatch = (target, operations) => {
+  if (!Array.isArray(operations)) {
+    throw new PatchError('A JSON Patch must be an array of operations');
+  }
+
+  const document = structuredClone(target);
+  operations.forEach((operation, index) => {
+    if (!isPlainObject(operation)) {
+      throw new PatchError(`Operation ${index} must be an object`);
+    }
+    const { op, path, from, value } = operation;
+    const needsValue = ['add', 'replace', 'test'].includes(op);
+    if (needsValue && !Object.hasOwn(operation, 'value')) {
+      throw new PatchError(`Operation ${index} (${op}) needs a value`);
+    }
+
+    switch (op) {
+      case 'add':
+        addValue(document, path, structuredClone(value));
+        break;
+      case 'remove':
+        removeValue(document, path);
+        break;
+      case 'replace':
+        removeValue(document, path);
+        addValue(document, path, structuredClone(value));
+        break;
+      case 'move':
+        addValue(document, path, removeValue(document, from));
+        break;
+      case 'copy':
+        addValue(document, path, structuredClone(getValue(document, from)));
+        break;
+      case 'test':
+        if (!isEqual(getValue(document, path), value)) {
+          throw new PatchError(`Test failed: "${path}" does not have the expected value`, 409);
+        }
+        break;
+      default:
+        throw new PatchError(`Operation ${index} has an unknown op "${op}"`);
+    }
+  });
+  return document;
+};
+
+// Top-level members a patch touches (assumes it was applied successfully)
+export const patchedMembers = (patch, type) => {
+  if (type === JSON_PATCH_TYPE) {
+    const members = patch
+      .filter(operation => operation.op !== 'test')
+      .flatMap(({ op, path, from }) => (op === 'move' ? [path, from] : [path]))
+      .map(pointer => parsePointer(pointer)[0]);
+    return [...new Set(members)];
+  }
+  return Object.keys(patch);
+};
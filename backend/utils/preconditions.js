@@ -0,0 +1,32 @@
+// Conditional requests for versioned records. A record's ETag is its version
+// number in quotes ("3"); clients send it back in If-Match so an update or
+// delete only applies to the version they last saw.
+
+export const toETag = (version) => `"${version}"`;
+
+// Versions listed in an If-Match header: null when there is no header,
+// '*' when any version will do
+export const parseIfMatch = (header) => {
+  if (header === undefined) {
+    return null;
+  }
+  if (header.trim() === '*') {
+    return '*';
+  }
+  // Weak tags never match If-Match (strong comparison), so they are dropped
+  return header
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(tag => /^"\d+"$/.test(tag))
+    .map(tag => parseInt(tag.slice(1, -1)));
+};
+
+// The version the request expects the record to be at: undefined when the
+// request is unconditional, or null when If-Match rules out this record
+export const expectedVersion = (req, record) => {
+  const versions = parseIfMatch(req.get('If-Match'));
+  if (versions === null || versions === '*') {
+    return undefined;
+  }
+  return versions.includes(record.version) ? record.version : null;
+};
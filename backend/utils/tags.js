@@ -0,0 +1,24 @@
+// Free-form book tags such as "book-club-2026" or "signed copy".
+// Tags are stored lowercase with single spaces, so "Signed  Copy" and
+// "signed copy" are the same tag.
+
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 50;
+
+export const normalizeTag = (tag) => String(tag ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Tags arrive as an array (JSON) or a comma/semicolon separated string (CSV)
+export const isTagList = (value) => {
+  return typeof value === 'string' ||
+    (Array.isArray(value) && value.every(tag => typeof tag === 'string'));
+};
+
+// Normalize and de-duplicate a tag list, dropping empty entries. Commas and
+// semicolons always separate tags, so a tag never contains one.
+export const parseTags = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const list = (Array.isArray(value) ? value : [value]).flatMap(tag => String(tag).split(/[,;]/));
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
@@ -1,91 +1,1106 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import BookForm from "./components/BookForm";
 import BookList from "./components/BookList";
 import SearchBooks from "./components/SearchBooks";
-import { bookAPI, handleAPIError } from "./services/api";
+import LoginForm from "./components/LoginForm";
+import BookHistory from "./components/BookHistory";
+import TrashList from "./components/TrashList";
+import ImportWizard from "./components/ImportWizard";
+import AuthorList from "./components/AuthorList";
+import AuthorDetail from "./components/AuthorDetail";
+import BookCopies from "./components/BookCopies";
+import CirculationDesk from "./components/CirculationDesk";
+import AcquisitionRequests from "./components/AcquisitionRequests";
+import CollectionList from "./components/CollectionList";
+import CollectionView from "./components/CollectionView";
+import OutboxList from "./components/OutboxList";
+import ApiKeySettings from "./components/ApiKeySettings";
+import {
+  bookAPI,
+  authAPI,
+  genreAPI,
+  tagAPI,
+  authorAPI,
+  circulationAPI,
+  requestAPI,
+  reviewAPI,
+  collectionAPI,
+  eventsAPI,
+  handleAPIError,
+  isNetworkError,
+  getAuthToken,
+  getApiKey,
+  setApiKey,
+  setUnauthorizedHandler,
+  setApiKeyRejectedHandler,
+} from "./services/api";
+import { offlineStore } from "./services/offlineStore";
+import {
+  claimOfflineData,
+  isLocalId,
+  queryCachedBooks,
+  searchCachedBooks,
+  cacheBooks,
+  cacheBookEvent,
+  refreshCatalog,
+  queueChange,
+  syncOutbox,
+  resolveOutboxEntry,
+  withSnapshot,
+} from "./services/offlineSync";
+
+const DEFAULT_LIST_QUERY = {
+  page: 1,
+  limit: 12,
+  sort: "createdAt",
+  order: "asc",
+  genre: "",
+  author: "",
+  yearFrom: "",
+  yearTo: "",
+  tags: "",
+};
 
 function App() {
   // State management
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
   const [books, setBooks] = useState([]);
+  const [genres, setGenres] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [authors, setAuthors] = useState([]);
+  const [selectedAuthorId, setSelectedAuthorId] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [selectedCollectionId, setSelectedCollectionId] = useState(null);
+  const [listQuery, setListQuery] = useState(DEFAULT_LIST_QUERY);
+  const [pagination, setPagination] = useState(null);
   const [currentView, setCurrentView] = useState("list");
   const [editingBook, setEditingBook] = useState(null);
+  const [historyBook, setHistoryBook] = useState(null);
+  const [copiesBook, setCopiesBook] = useState(null);
   const [searchResults, setSearchResults] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [liveStatus, setLiveStatus] = useState(null);
+  const [resyncPending, setResyncPending] = useState(false);
+  const [offline, setOffline] = useState(false);
+  const [outbox, setOutbox] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [hasApiKey, setHasApiKey] = useState(() => Boolean(getApiKey()));
+  const [apiKeyNotice, setApiKeyNotice] = useState(null);
+
+  // Restore the session from a stored token, and drop back to the login
+  // screen whenever the server rejects it. The offline data stays for the
+  // same user to pick up when they sign back in (see claimOfflineData).
+  useEffect(() => {
+    setUnauthorizedHandler(() => setUser(null));
+
+    const restoreSession = async () => {
+      if (getAuthToken()) {
+        try {
+          const response = await authAPI.getCurrentUser();
+          await claimOfflineData(response.user.id);
+          setUser(response.user);
+        } catch (error) {
+          console.error("Failed to restore session:", error);
+        }
+      }
+      setAuthChecked(true);
+    };
+    restoreSession();
+
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
+  // The server refuses every request carrying a bad API key, so api.js drops
+  // the stored key and we tell the user why it's gone
+  useEffect(() => {
+    setApiKeyRejectedHandler((message) => {
+      setHasApiKey(false);
+      setApiKeyNotice(message);
+    });
+    return () => setApiKeyRejectedHandler(null);
+  }, []);
+
+  const refreshOutbox = useCallback(async () => {
+    try {
+      setOutbox(await offlineStore.getOutbox());
+    } catch (error) {
+      console.error("Failed to read unsynced changes:", error);
+    }
+  }, []);
+
+  const updateCachedCatalog = useCallback(async () => {
+    try {
+      await refreshCatalog();
+    } catch (error) {
+      if (isNetworkError(error)) {
+        setOffline(true);
+      } else {
+        console.error("Failed to cache the catalog:", error);
+      }
+    }
+  }, []);
+
+  // Live updates from other users and API clients. Edits and deletes are
+  // patched into the loaded books in place (an edited book's event carries
+  // the whole book, ratings and availability included); new books, and the
+  // gap a delete leaves on the page, need the current page reloaded, as does
+  // anything missed while disconnected. Reloads are batched so a bulk import
+  // doesn't trigger one per book.
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    let resyncTimer = null;
+    const scheduleResync = () => {
+      clearTimeout(resyncTimer);
+      resyncTimer = setTimeout(() => setResyncPending(true), 500);
+    };
+
+    const applyBookEvent = (type, { bookId, book }) => {
+      cacheBookEvent(type, bookId, book);
+
+      const patchList = (list) => {
+        if (!list.some((existing) => existing.id === bookId)) {
+          return list;
+        }
+        return type === "book.deleted"
+          ? list.filter((existing) => existing.id !== bookId)
+          : list.map((existing) => (existing.id === bookId ? book : existing));
+      };
+
+      if (type !== "book.created") {
+        setBooks(patchList);
+        setSearchResults(patchList);
+      }
+      if (type !== "book.updated") {
+        scheduleResync();
+      }
+    };
+
+    // Missed events may include changes to books that aren't on this page,
+    // so the offline copy of the catalog is refreshed as well
+    const resync = () => {
+      scheduleResync();
+      updateCachedCatalog();
+    };
+
+    const unsubscribe = eventsAPI.subscribe({
+      onEvent: applyBookEvent,
+      onResync: resync,
+      onStatusChange: setLiveStatus,
+    });
+
+    return () => {
+      clearTimeout(resyncTimer);
+      unsubscribe();
+      setLiveStatus(null);
+    };
+  }, [user, updateCachedCatalog]);
+
+  // Load the genre taxonomy and collections once signed in
+  useEffect(() => {
+    if (user) {
+      loadGenres();
+      loadCollections();
+    }
+  }, [user]);
+
+  const loadGenres = async () => {
+    try {
+      setGenres(await withSnapshot("genres", async () => (await genreAPI.getGenres()).genres));
+    } catch (error) {
+      console.error("Failed to load genres:", error);
+    }
+  };
+
+  // Refresh tag and author counts (for the tag cloud, autocomplete and the
+  // authors view) whenever the book list changes
+  useEffect(() => {
+    if (user) {
+      loadTags();
+      loadAuthors();
+    }
+  }, [books, user]);
+
+  const loadAuthors = async () => {
+    try {
+      setAuthors(await withSnapshot("authors", async () => (await authorAPI.getAuthors()).authors));
+    } catch (error) {
+      console.error("Failed to load authors:", error);
+    }
+  };
+
+  const loadTags = async () => {
+    try {
+      setTags(await withSnapshot("tags", async () => (await tagAPI.getTags()).tags));
+    } catch (error) {
+      console.error("Failed to load tags:", error);
+    }
+  };
+
+  // Show the current page of the list from the offline cache
+  const showCachedBooks = useCallback(async () => {
+    try {
+      const cached = queryCachedBooks(await offlineStore.getBooks(), listQuery);
+      setBooks(cached.books);
+      setPagination(cached.pagination);
+    } catch (error) {
+      console.error("Failed to read cached books:", error);
+      setError("You are offline and no books are saved on this device yet.");
+    }
+  }, [listQuery]);
+
+  // A quiet reload (for live updates) keeps the current list on screen.
+  // When the server can't be reached the list comes from the offline cache.
+  // Changes with the list query, which reloads the list (see below).
+  const loadBooks = useCallback(async ({ quiet = false } = {}) => {
+    try {
+      if (!quiet) {
+        setLoading(true);
+        setError(null);
+      }
+      const response = await bookAPI.getAllBooks(listQuery);
+      if (response.success) {
+        // Step back a page if the current one was emptied by a delete
+        const { page, totalPages } = response.pagination;
+        if (page > totalPages) {
+          setListQuery((prev) => ({ ...prev, page: totalPages }));
+          return;
+        }
+        setBooks(response.books);
+        setPagination(response.pagination);
+        setOffline(false);
+        cacheBooks(response.books);
+      }
+    } catch (error) {
+      if (isNetworkError(error)) {
+        setOffline(true);
+        await showCachedBooks();
+        return;
+      }
+      console.error("Failed to load books:", error);
+      if (!quiet) {
+        const errorResult = handleAPIError(error);
+        setError(errorResult.error);
+      }
+    } finally {
+      if (!quiet) {
+        setLoading(false);
+      }
+    }
+  }, [listQuery, showCachedBooks]);
+
+  // Load books once signed in and whenever the list query changes
+  useEffect(() => {
+    if (user) {
+      loadBooks();
+    }
+  }, [loadBooks, user]);
+
+  // Reload the page quietly when live updates or a sync asked for it
+  useEffect(() => {
+    if (resyncPending) {
+      setResyncPending(false);
+      loadBooks({ quiet: true });
+    }
+  }, [resyncPending, loadBooks]);
+
+  // Queue changes made while the server can't be reached; the list shows
+  // them straight away and they are sent once the connection returns.
+  // Resolves with each book as it now looks.
+  const queueOfflineChanges = async (changes) => {
+    setOffline(true);
+    const queuedBooks = [];
+    for (const change of changes) {
+      queuedBooks.push(await queueChange(change));
+    }
+    await refreshOutbox();
+    await showCachedBooks();
+    return queuedBooks;
+  };
+
+  // Send the changes queued offline. Changes the server refused stay in the
+  // outbox for the user to settle (see OutboxList). Also called from the
+  // browser's online event, so the list is reloaded through resyncPending
+  // rather than with this render's query.
+  const syncChanges = useCallback(async () => {
+    setSyncing(true);
+    try {
+      const result = await syncOutbox();
+      setOffline(false);
+      if (result.sent > 0 || result.failed > 0) {
+        setResyncPending(true);
+      }
+    } catch (error) {
+      if (isNetworkError(error)) {
+        setOffline(true);
+      } else {
+        console.error("Failed to sync changes:", error);
+      }
+    } finally {
+      setSyncing(false);
+      await refreshOutbox();
+    }
+  }, [refreshOutbox]);
+
+  // Offline support: cache the catalog once signed in, and follow the
+  // browser's idea of connectivity. Changes queued offline are sent as soon
+  // as the server is reachable again, which the live event stream
+  // reconnecting confirms (the browser's online event alone can't).
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    refreshOutbox();
+    updateCachedCatalog();
+
+    const goOnline = () => syncChanges();
+    const goOffline = () => setOffline(true);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, [user, refreshOutbox, updateCachedCatalog, syncChanges]);
+
+  useEffect(() => {
+    if (liveStatus === "live") {
+      syncChanges();
+    }
+  }, [liveStatus, syncChanges]);
+
+  const resolveChange = async (entry, action, data) => {
+    try {
+      await resolveOutboxEntry(entry, action, data);
+    } catch (error) {
+      console.error("Failed to update unsynced change:", error);
+    }
+    await refreshOutbox();
+    if (action === "discard") {
+      await loadBooks({ quiet: true });
+    } else {
+      await syncChanges();
+    }
+  };
+
+  // Authentication
+  const login = async (username, password) => {
+    try {
+      const response = await authAPI.login(username, password);
+      await claimOfflineData(response.user.id);
+      setUser(response.user);
+      return { success: true };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const register = async (username, password) => {
+    try {
+      const response = await authAPI.register(username, password);
+      await claimOfflineData(response.user.id);
+      setUser(response.user);
+      return { success: true };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const logout = async () => {
+    const unsynced = outbox.length;
+    if (unsynced > 0 && !window.confirm(`${unsynced} change(s) haven't reached the server yet and will be lost. Sign out anyway?`)) {
+      return;
+    }
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      console.error("Failed to sign out cleanly:", error);
+    }
+    // The offline copy belongs to this user
+    try {
+      await offlineStore.clear();
+    } catch (error) {
+      console.error("Failed to clear offline data:", error);
+    }
+    setOutbox([]);
+    setUser(null);
+    setCurrentView("list");
+    setEditingBook(null);
+  };
+
+  // Save an API key entered by the user, once the server accepts it (a
+  // rejected key is dropped again by api.js)
+  const saveApiKey = async (key) => {
+    setApiKey(key);
+    try {
+      await authAPI.getCurrentUser();
+      setHasApiKey(true);
+      setApiKeyNotice(null);
+      return { success: true };
+    } catch (error) {
+      setApiKey(null);
+      setHasApiKey(false);
+      setApiKeyNotice(null);
+      return handleAPIError(error);
+    }
+  };
+
+  const clearApiKey = () => {
+    setApiKey(null);
+    setHasApiKey(false);
+  };
+
+  // RESTful Service: Add Book (queued while offline)
+  const addBook = async (bookData) => {
+    try {
+      const response = await bookAPI.createBook(bookData);
+      if (response.success) {
+        // Reload books to get updated list
+        await loadBooks();
+        setCurrentView("list");
+        return { success: true, book: response.book };
+      }
+    } catch (error) {
+      if (isNetworkError(error)) {
+        const [book] = await queueOfflineChanges([{ op: "create", data: bookData }]);
+        setCurrentView("list");
+        return { success: true, book, queued: true };
+      }
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // Edit Book functionality. The update only applies to the version the
+  // form started from; if someone else saved first, the result carries their
+  // version as conflict so the form can merge. Offline (or for a book that
+  // only exists offline so far) the edit is queued instead.
+  const updateBook = async ({ version, ...updatedBook }) => {
+    const queueEdit = async () => {
+      const [book] = await queueOfflineChanges([{ op: "update", book: { ...editingBook, version }, data: updatedBook }]);
+      setEditingBook(null);
+      setCurrentView("list");
+      return { success: true, book, queued: true };
+    };
+
+    if (isLocalId(updatedBook.id)) {
+      return queueEdit();
+    }
+    try {
+      const response = await bookAPI.updateBook(updatedBook.id, updatedBook, { version });
+      if (response.success) {
+        // Reload books to get updated list
+        await loadBooks();
+        setEditingBook(null);
+        setCurrentView("list");
+        return { success: true, book: response.book };
+      }
+    } catch (error) {
+      if (isNetworkError(error)) {
+        return queueEdit();
+      }
+      const errorResult = handleAPIError(error);
+      if (error.status === 412) {
+        return { success: false, error: errorResult.error, conflict: error.data };
+      }
+      alert("Error updating book: " + errorResult.error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // Inline edits from a book card send only the changed field, and only
+  // apply to the version the card shows. On a conflict the card is brought
+  // up to date so the user sees what changed. Offline the edit is queued.
+  const patchBook = async (bookId, changes) => {
+    const shownBook = books.find((book) => book.id === bookId);
+    const queueEdit = async () => {
+      const [book] = await queueOfflineChanges([{ op: "update", book: shownBook, data: changes }]);
+      return { success: true, book, queued: true };
+    };
+
+    if (isLocalId(bookId)) {
+      return queueEdit();
+    }
+    try {
+      const response = await bookAPI.patchBook(bookId, changes, { version: shownBook?.version });
+      setBooks((prev) => prev.map((book) => (book.id === bookId ? { ...book, ...response.book } : book)));
+      return { success: true, book: response.book };
+    } catch (error) {
+      if (isNetworkError(error)) {
+        return queueEdit();
+      }
+      const errorResult = handleAPIError(error);
+      if (error.status === 412) {
+        setBooks((prev) => prev.map((book) => (book.id === bookId ? { ...book, ...error.data } : book)));
+      }
+      return { success: false, error: error.errors?.[0]?.msg || errorResult.error };
+    }
+  };
+
+  // Delete Book functionality, refused if the book changed since it was shown
+  // (and queued while offline)
+  const deleteBook = async (bookId) => {
+    // Deleting takes admin scope, so it isn't offered (or queued offline) for
+    // anyone else
+    if (user.role !== "admin") {
+      alert("Only admins can delete books");
+      return;
+    }
+    if (window.confirm("Move this book to the trash?")) {
+      const shownBook = books.find((book) => book.id === bookId);
+      if (isLocalId(bookId)) {
+        await queueOfflineChanges([{ op: "delete", book: shownBook }]);
+        return;
+      }
+      try {
+        const response = await bookAPI.deleteBook(bookId, { version: shownBook?.version });
+        if (response.success) {
+          // Reload books to get updated list
+          await loadBooks();
+        }
+      } catch (error) {
+        if (isNetworkError(error)) {
+          await queueOfflineChanges([{ op: "delete", book: shownBook }]);
+          return;
+        }
+        const errorResult = handleAPIError(error);
+        if (error.status === 412) {
+          alert(errorResult.error + ". Check the latest details before deleting it.");
+          await loadBooks();
+          return;
+        }
+        alert("Error deleting book: " + errorResult.error);
+      }
+    }
+  };
+
+  // Cover images, saved after the book itself
+  const uploadCover = async (bookId, file) => {
+    try {
+      const response = await bookAPI.uploadCover(bookId, file);
+      await loadBooks();
+      return { success: true, book: response.book };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const removeCover = async (bookId) => {
+    try {
+      const response = await bookAPI.removeCover(bookId);
+      await loadBooks();
+      return { success: true, book: response.book };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // Remove a single tag from a book card
+  const removeBookTag = async (bookId, tag) => {
+    try {
+      const response = await bookAPI.removeBookTag(bookId, tag);
+      if (response.success) {
+        await loadBooks();
+      }
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      alert("Error removing tag: " + errorResult.error);
+    }
+  };
+
+  // ISBN validation and conversion for the book form
+  const lookupIsbn = async (isbn) => {
+    try {
+      const response = await bookAPI.lookupIsbn(isbn);
+      return { success: true, isbn: response.isbn };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // Metadata lookup for the book form's Autofill button
+  const lookupMetadata = async (params) => {
+    try {
+      const response = await bookAPI.lookupMetadata(params);
+      return {
+        success: true,
+        provider: response.provider,
+        candidates: response.candidates,
+      };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // Export the catalog (filters or a search query come in params)
+  const exportBooks = async (params) => {
+    try {
+      const response = await bookAPI.exportBooks(params);
+      return { success: true, blob: response.blob, filename: response.filename };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // Bulk actions on the books selected in the list. The report says which
+  // operations went through; the list is reloaded either way, since even a
+  // batch that was rolled back leaves the books at a new version
+  const batchBooks = async (operations, atomic) => {
+    try {
+      const response = await bookAPI.batchBooks(operations, { atomic });
+      await loadBooks({ quiet: true });
+      return { success: true, report: response.report, message: response.message };
+    } catch (error) {
+      // Offline, each operation is queued on its own (so all or nothing
+      // can't be honoured)
+      if (isNetworkError(error)) {
+        // The server would refuse a queued delete from anyone but an admin
+        if (user.role !== "admin" && operations.some(({ op }) => op === "delete")) {
+          return { success: false, error: "Only admins can delete books" };
+        }
+        await queueOfflineChanges(
+          operations.map(({ op, id, data }) => ({ op, book: books.find((book) => book.id === id), data }))
+        );
+        return {
+          success: true,
+          message: `You are offline: ${operations.length} change(s) were saved on this device and will be sent once you are back online`,
+        };
+      }
+      const errorResult = handleAPIError(error);
+      await loadBooks({ quiet: true });
+      return { success: false, report: error.data, error: errorResult.error };
+    }
+  };
+
+  // Bulk import (dry run first, then the real import)
+  const importBooks = async (content, format, dryRun) => {
+    try {
+      const response = await bookAPI.importBooks(content, format, { dryRun });
+      if (!dryRun) {
+        await loadBooks();
+      }
+      return { success: true, report: response.report };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // Trash
+  const loadTrash = useCallback(async () => {
+    try {
+      const response = await bookAPI.getTrash();
+      return {
+        success: true,
+        books: response.books,
+        retentionDays: response.retentionDays,
+      };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  }, []);
+
+  const restoreBook = async (bookId) => {
+    try {
+      const response = await bookAPI.restoreBook(bookId);
+      await loadBooks();
+      return { success: true, book: response.book };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const purgeBook = async (bookId) => {
+    try {
+      await bookAPI.purgeBook(bookId);
+      return { success: true };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const emptyTrash = async () => {
+    try {
+      await bookAPI.emptyTrash();
+      return { success: true };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // Revision history
+  const loadBookHistory = useCallback(async (bookId) => {
+    try {
+      const response = await bookAPI.getBookHistory(bookId);
+      return { success: true, revisions: response.revisions };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  }, []);
+
+  const revertBook = async (bookId, revisionId) => {
+    try {
+      const response = await bookAPI.revertBook(bookId, revisionId);
+      if (response.success) {
+        setHistoryBook(response.book);
+        await loadBooks();
+        return { success: true, book: response.book };
+      }
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const showHistory = (book) => {
+    setHistoryBook(book);
+    setCurrentView("history");
+  };
+
+  // Copies and circulation
+  const showCopies = (book) => {
+    setCopiesBook(book);
+    setCurrentView("copies");
+  };
+
+  const loadCopies = useCallback(async (bookId) => {
+    try {
+      const response = await circulationAPI.getCopies(bookId);
+      return { success: true, copies: response.copies };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  }, []);
+
+  const addCopy = async (bookId, copyData) => {
+    try {
+      const response = await circulationAPI.addCopy(bookId, copyData);
+      return { success: true, copy: response.copy };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const removeCopy = async (copyId) => {
+    try {
+      await circulationAPI.removeCopy(copyId);
+      return { success: true };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // The overdue filter uses the overdue report, most overdue first
+  const loadLoans = useCallback(async (status) => {
+    try {
+      const response = status === "overdue"
+        ? await circulationAPI.getOverdueLoans()
+        : await circulationAPI.getLoans({ status });
+      return { success: true, loans: response.loans };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  }, []);
+
+  // Run a check-out, check-in or renewal
+  const runCirculation = async (request) => {
+    try {
+      const response = await request();
+      return { success: true, loan: response.loan, message: response.message };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // Collections
+  const loadCollections = async () => {
+    try {
+      const response = await collectionAPI.getCollections();
+      setCollections(response.collections);
+    } catch (error) {
+      console.error("Failed to load collections:", error);
+    }
+  };
+
+  const showCollection = (collectionId) => {
+    setSelectedCollectionId(collectionId);
+    setCurrentView("collection");
+  };
+
+  const loadCollection = useCallback(async (collectionId) => {
+    try {
+      const response = await collectionAPI.getCollection(collectionId);
+      return { success: true, collection: response.collection };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  }, []);
 
-  // Load books from API on component mount
-  useEffect(() => {
-    loadBooks();
+  const createCollection = async (collectionData) => {
+    try {
+      const response = await collectionAPI.createCollection(collectionData);
+      await loadCollections();
+      return { success: true, collection: response.collection };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const updateCollection = async (collectionId, collectionData) => {
+    try {
+      const response = await collectionAPI.updateCollection(collectionId, collectionData);
+      await loadCollections();
+      return { success: true, collection: response.collection };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const deleteCollection = async (collectionId) => {
+    try {
+      await collectionAPI.deleteCollection(collectionId);
+      await loadCollections();
+      setSelectedCollectionId(null);
+      setCurrentView("collections");
+      return { success: true };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // Add a book from its card; the collection list tracks membership
+  const addToCollection = async (collectionId, bookId) => {
+    try {
+      await collectionAPI.addBook(collectionId, bookId);
+      await loadCollections();
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      alert("Error adding to collection: " + errorResult.error);
+    }
+  };
+
+  const removeFromCollection = async (collectionId, bookId) => {
+    try {
+      const response = await collectionAPI.removeBook(collectionId, bookId);
+      await loadCollections();
+      return { success: true, collection: response.collection };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const reorderCollection = async (collectionId, bookIds) => {
+    try {
+      const response = await collectionAPI.reorderBooks(collectionId, bookIds);
+      await loadCollections();
+      return { success: true, collection: response.collection };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // Reviews. After a change only the reviewed book is refreshed (for its
+  // average rating), so the open card keeps its place in the list
+  const refreshBook = async (bookId) => {
+    try {
+      const response = await bookAPI.getBookById(bookId);
+      setBooks((prev) => prev.map((book) => (book.id === bookId ? response.book : book)));
+    } catch (error) {
+      console.error("Failed to refresh book:", error);
+    }
+  };
+
+  const loadReviews = useCallback(async (bookId) => {
+    try {
+      const response = await reviewAPI.getReviews(bookId);
+      return { success: true, reviews: response.reviews };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
   }, []);
 
-  const loadBooks = async () => {
+  const saveReview = async (bookId, reviewId, reviewData) => {
     try {
-      setLoading(true);
-      setError(null);
-      const response = await bookAPI.getAllBooks();
-      if (response.success) {
-        setBooks(response.books);
-      }
+      const response = reviewId
+        ? await reviewAPI.updateReview(bookId, reviewId, reviewData)
+        : await reviewAPI.createReview(bookId, reviewData);
+      await refreshBook(bookId);
+      return { success: true, review: response.review };
     } catch (error) {
       const errorResult = handleAPIError(error);
-      setError(errorResult.error);
-      console.error("Failed to load books:", error);
-    } finally {
-      setLoading(false);
+      return { success: false, error: errorResult.error };
     }
   };
 
-  // RESTful Service: Add Book
-  const addBook = async (bookData) => {
+  const deleteReview = async (bookId, reviewId) => {
     try {
-      const response = await bookAPI.createBook(bookData);
-      if (response.success) {
-        // Reload books to get updated list
-        await loadBooks();
-        setCurrentView("list");
-        return { success: true, book: response.book };
-      }
+      await reviewAPI.deleteReview(bookId, reviewId);
+      await refreshBook(bookId);
+      return { success: true };
     } catch (error) {
       const errorResult = handleAPIError(error);
       return { success: false, error: errorResult.error };
     }
   };
 
-  // Edit Book functionality
-  const updateBook = async (updatedBook) => {
+  const moderateReview = async (bookId, reviewId, hidden) => {
     try {
-      const response = await bookAPI.updateBook(updatedBook.id, updatedBook);
-      if (response.success) {
-        // Reload books to get updated list
-        await loadBooks();
-        setEditingBook(null);
-        setCurrentView("list");
-        return { success: true, book: response.book };
-      }
+      const response = await reviewAPI.moderateReview(bookId, reviewId, hidden);
+      await refreshBook(bookId);
+      return { success: true, review: response.review };
     } catch (error) {
       const errorResult = handleAPIError(error);
-      alert("Error updating book: " + errorResult.error);
       return { success: false, error: errorResult.error };
     }
   };
 
-  // Delete Book functionality
-  const deleteBook = async (bookId) => {
-    if (window.confirm("Are you sure you want to delete this book?")) {
-      try {
-        const response = await bookAPI.deleteBook(bookId);
-        if (response.success) {
-          // Reload books to get updated list
-          await loadBooks();
-        }
-      } catch (error) {
-        const errorResult = handleAPIError(error);
-        alert("Error deleting book: " + errorResult.error);
-      }
+  // Acquisition requests
+  const loadRequests = useCallback(async (status) => {
+    try {
+      const response = await requestAPI.getRequests({ status });
+      return { success: true, requests: response.requests };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  }, []);
+
+  const createRequest = async (requestData) => {
+    try {
+      const response = await requestAPI.createRequest(requestData);
+      return { success: true, request: response.request };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const upvoteRequest = async (requestId, upvoted) => {
+    try {
+      const response = await requestAPI.setUpvote(requestId, upvoted);
+      return { success: true, request: response.request };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const approveRequest = async (requestId, bookData) => {
+    try {
+      const response = await requestAPI.approveRequest(requestId, bookData);
+      // Approval adds the book to the catalog
+      await loadBooks();
+      return { success: true, request: response.request, book: response.book };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const decideRequest = async (requestId, decision, note) => {
+    try {
+      const response = await requestAPI.decideRequest(requestId, decision, note);
+      return { success: true, request: response.request };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // Authors
+  const showAuthor = (authorId) => {
+    setSelectedAuthorId(authorId);
+    setCurrentView("author");
+  };
+
+  const loadAuthor = useCallback(async (authorId) => {
+    try {
+      const response = await authorAPI.getAuthor(authorId);
+      return { success: true, author: response.author };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  }, []);
+
+  const createAuthor = async (authorData) => {
+    try {
+      const response = await authorAPI.createAuthor(authorData);
+      await loadAuthors();
+      return { success: true, author: response.author };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const updateAuthor = async (authorId, authorData) => {
+    try {
+      const response = await authorAPI.updateAuthor(authorId, authorData);
+      // A rename also changes the author string on their books
+      await loadBooks();
+      return { success: true, author: response.author };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
     }
   };
 
-  // RESTful Service: Search Books
+  const deleteAuthor = async (authorId) => {
+    try {
+      await authorAPI.deleteAuthor(authorId);
+      await loadAuthors();
+      setSelectedAuthorId(null);
+      setCurrentView("authors");
+      return { success: true };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  const mergeAuthors = async (authorId, sourceIds) => {
+    try {
+      const response = await authorAPI.mergeAuthors(authorId, sourceIds);
+      await loadBooks();
+      return { success: true, author: response.author, message: response.message };
+    } catch (error) {
+      const errorResult = handleAPIError(error);
+      return { success: false, error: errorResult.error };
+    }
+  };
+
+  // RESTful Service: Search Books (a plain text match on the cached
+  // catalog while offline)
   const searchBooks = async (searchTerm) => {
     try {
       const response = await bookAPI.searchBooks(searchTerm);
@@ -94,27 +1109,107 @@ function App() {
         return { success: true, results: response.results };
       }
     } catch (error) {
+      if (isNetworkError(error)) {
+        setOffline(true);
+        try {
+          const results = searchCachedBooks(await offlineStore.getBooks(), searchTerm);
+          setSearchResults(results);
+          return { success: true, results, offline: true };
+        } catch (cacheError) {
+          console.error("Failed to search cached books:", cacheError);
+        }
+      }
       const errorResult = handleAPIError(error);
       return { success: false, error: errorResult.error };
     }
   };
 
+  // Merge pagination, sort or filter changes into the list query
+  const updateListQuery = (changes) => {
+    setListQuery((prev) => ({ ...prev, ...changes }));
+  };
+
   const handleEdit = (book) => {
     setEditingBook(book);
     setCurrentView("add");
   };
 
-  return (
-    <div className="min-h-screen bg-gray-50">
-      {/* Header */}
-      <header className="bg-blue-600 text-white shadow-lg">
-        <div className="container mx-auto px-4 py-6">
+  // Connection and outbox state for the header, e.g. "Offline · 2 changes waiting"
+  const waitingCount = outbox.filter((entry) => entry.status === "pending").length;
+  const attentionCount = outbox.length - waitingCount;
+  const syncStatusText = [
+    offline ? "Offline" : syncing ? "Syncing..." : null,
+    waitingCount > 0 && `${waitingCount} change${waitingCount !== 1 ? "s" : ""} waiting`,
+    attentionCount > 0 && `${attentionCount} need${attentionCount === 1 ? "s" : ""} attention`,
+  ].filter(Boolean).join(" · ") || "All changes synced";
+
+  const header = (
+    <header className="bg-blue-600 text-white shadow-lg">
+      <div className="container mx-auto px-4 py-6 flex justify-between items-center">
+        <div>
           <h1 className="text-3xl font-bold">Book Management System</h1>
           <p className="text-blue-100 mt-2">
             Manage your book collection efficiently
           </p>
         </div>
-      </header>
+        {user && (
+          <div className="text-right">
+            <p className="text-sm text-blue-100">
+              Signed in as <span className="font-medium text-white">{user.username}</span>
+            </p>
+            {liveStatus && (
+              <p className="text-xs text-blue-100 mt-1" title="Changes made by others appear automatically while live">
+                <span
+                  className={`inline-block w-2 h-2 rounded-full mr-1 ${
+                    liveStatus === "live" ? "bg-green-300" : "bg-yellow-300"
+                  }`}
+                />
+                {liveStatus === "live" ? "Live updates" : liveStatus === "connecting" ? "Connecting..." : "Reconnecting..."}
+              </p>
+            )}
+            {(offline || outbox.length > 0) && (
+              <button
+                onClick={() => setCurrentView("outbox")}
+                className="block ml-auto text-xs text-blue-100 mt-1 hover:text-white hover:underline"
+                title="Changes made offline are sent when the connection returns"
+              >
+                {syncStatusText}
+              </button>
+            )}
+            <button
+              onClick={() => setCurrentView("settings")}
+              className="mt-2 mr-2 bg-blue-700 px-3 py-1 rounded-md text-sm hover:bg-blue-800"
+            >
+              API Key
+            </button>
+            <button
+              onClick={logout}
+              className="mt-2 bg-blue-700 px-3 py-1 rounded-md text-sm hover:bg-blue-800"
+            >
+              Sign Out
+            </button>
+          </div>
+        )}
+      </div>
+    </header>
+  );
+
+  // Login screen until a session is established
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        {header}
+        <main className="container mx-auto px-4 py-8">
+          {authChecked && <LoginForm onLogin={login} onRegister={register} />}
+        </main>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      {header}
 
       {/* Navigation */}
       <nav className="bg-white shadow-md">
@@ -130,6 +1225,56 @@ function App() {
             >
               View Books
             </button>
+            <button
+              onClick={() => setCurrentView("authors")}
+              className={`py-4 px-2 border-b-2 font-medium text-sm ${
+                currentView === "authors" || currentView === "author"
+                  ? "border-blue-500 text-blue-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              Authors
+            </button>
+            <button
+              onClick={() => setCurrentView("collections")}
+              className={`py-4 px-2 border-b-2 font-medium text-sm ${
+                currentView === "collections" || currentView === "collection"
+                  ? "border-blue-500 text-blue-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              Collections
+            </button>
+            <button
+              onClick={() => setCurrentView("requests")}
+              className={`py-4 px-2 border-b-2 font-medium text-sm ${
+                currentView === "requests"
+                  ? "border-blue-500 text-blue-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              Requests
+            </button>
+            <button
+              onClick={() => setCurrentView("circulation")}
+              className={`py-4 px-2 border-b-2 font-medium text-sm ${
+                currentView === "circulation"
+                  ? "border-blue-500 text-blue-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              Circulation
+            </button>
+            <button
+              onClick={() => setCurrentView("trash")}
+              className={`py-4 px-2 border-b-2 font-medium text-sm ${
+                currentView === "trash"
+                  ? "border-blue-500 text-blue-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              Trash
+            </button>
             <button
               onClick={() => {
                 setCurrentView("add");
@@ -143,6 +1288,16 @@ function App() {
             >
               Add Book
             </button>
+            <button
+              onClick={() => setCurrentView("import")}
+              className={`py-4 px-2 border-b-2 font-medium text-sm ${
+                currentView === "import"
+                  ? "border-blue-500 text-blue-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              Import
+            </button>
             <button
               onClick={() => setCurrentView("search")}
               className={`py-4 px-2 border-b-2 font-medium text-sm ${
@@ -185,7 +1340,7 @@ function App() {
                 </div>
                 <div className="mt-4">
                   <button
-                    onClick={loadBooks}
+                    onClick={() => loadBooks()}
                     className="bg-red-100 px-3 py-2 rounded-md text-sm font-medium text-red-800 hover:bg-red-200"
                   >
                     Try Again
@@ -196,6 +1351,24 @@ function App() {
           </div>
         )}
 
+        {/* Rejected API key */}
+        {apiKeyNotice && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4 mb-6 text-sm text-yellow-800">
+            <p>
+              Your API key was refused ({apiKeyNotice}) and has been removed from this browser.{" "}
+              <button
+                onClick={() => {
+                  setApiKeyNotice(null);
+                  setCurrentView("settings");
+                }}
+                className="font-medium underline hover:text-yellow-900"
+              >
+                Enter a new key
+              </button>
+            </p>
+          </div>
+        )}
+
         {/* Loading State */}
         {loading && (
           <div className="text-center py-12">
@@ -210,24 +1383,180 @@ function App() {
             {currentView === "list" && (
               <BookList
                 books={books}
+                genres={genres}
+                tags={tags}
+                authors={authors}
+                pagination={pagination}
+                query={listQuery}
+                onQueryChange={updateListQuery}
                 onEdit={handleEdit}
                 onDelete={deleteBook}
+                onRemoveTag={removeBookTag}
+                onAuthorSelect={showAuthor}
+                onHistory={showHistory}
+                onCopies={showCopies}
+                reviewControls={{
+                  currentActor: `user:${user.username}`,
+                  onLoadReviews: loadReviews,
+                  onSaveReview: saveReview,
+                  onDeleteReview: deleteReview,
+                  onModerate: moderateReview,
+                  canModerate: user.role === "admin",
+                }}
+                collections={collections}
+                onAddToCollection={addToCollection}
+                onPatch={patchBook}
+                onBatch={batchBooks}
+                onExport={exportBooks}
+                canDelete={user.role === "admin"}
+              />
+            )}
+            {currentView === "authors" && (
+              <AuthorList authors={authors} onSelect={showAuthor} />
+            )}
+            {currentView === "author" && selectedAuthorId && (
+              <AuthorDetail
+                key={selectedAuthorId}
+                authorId={selectedAuthorId}
+                authors={authors}
+                onLoadAuthor={loadAuthor}
+                onUpdate={updateAuthor}
+                onDelete={deleteAuthor}
+                onMerge={mergeAuthors}
+                onEditBook={handleEdit}
+                onClose={() => setCurrentView("authors")}
+                canManage={user.role === "admin"}
+              />
+            )}
+            {currentView === "copies" && copiesBook && (
+              <BookCopies
+                book={copiesBook}
+                onLoadCopies={loadCopies}
+                onAddCopy={addCopy}
+                onRemoveCopy={removeCopy}
+                onClose={() => {
+                  setCurrentView("list");
+                  setCopiesBook(null);
+                  loadBooks();
+                }}
+                canManage={user.role === "admin"}
+              />
+            )}
+            {currentView === "circulation" && (
+              <CirculationDesk
+                onLoadLoans={loadLoans}
+                onCheckout={(barcode, borrower, dueDate) =>
+                  runCirculation(() => circulationAPI.checkout(barcode, borrower, dueDate))
+                }
+                onCheckin={(barcode) => runCirculation(() => circulationAPI.checkin(barcode))}
+                onRenew={(barcode, dueDate) =>
+                  runCirculation(() => circulationAPI.renew(barcode, dueDate))
+                }
+              />
+            )}
+            {currentView === "collections" && (
+              <CollectionList
+                collections={collections}
+                onSelect={showCollection}
+                onCreate={createCollection}
+              />
+            )}
+            {currentView === "collection" && selectedCollectionId && (
+              <CollectionView
+                key={selectedCollectionId}
+                collectionId={selectedCollectionId}
+                authors={authors}
+                onLoadCollection={loadCollection}
+                onUpdate={updateCollection}
+                onDelete={deleteCollection}
+                onReorder={reorderCollection}
+                onRemoveBook={removeFromCollection}
+                onEditBook={handleEdit}
+                onAuthorSelect={showAuthor}
+                onClose={() => setCurrentView("collections")}
+              />
+            )}
+            {currentView === "requests" && (
+              <AcquisitionRequests
+                genres={genres}
+                onLoadRequests={loadRequests}
+                onCreateRequest={createRequest}
+                onUpvote={upvoteRequest}
+                onApprove={approveRequest}
+                onDecide={decideRequest}
+                canManage={user.role === "admin"}
+              />
+            )}
+            {currentView === "import" && (
+              <ImportWizard
+                onImport={importBooks}
+                onDone={() => setCurrentView("list")}
+              />
+            )}
+            {currentView === "trash" && (
+              <TrashList
+                onLoadTrash={loadTrash}
+                onRestore={restoreBook}
+                onPurge={purgeBook}
+                onEmptyTrash={emptyTrash}
+                canManage={user.role === "admin"}
+              />
+            )}
+            {currentView === "history" && historyBook && (
+              <BookHistory
+                book={historyBook}
+                onLoadHistory={loadBookHistory}
+                onRevert={revertBook}
+                onClose={() => {
+                  setCurrentView("list");
+                  setHistoryBook(null);
+                }}
               />
             )}
             {currentView === "add" && (
               <BookForm
+                key={editingBook ? editingBook.id : "new"}
                 onSubmit={editingBook ? updateBook : addBook}
+                onUploadCover={uploadCover}
+                onRemoveCover={removeCover}
                 editingBook={editingBook}
+                genres={genres}
+                authors={authors}
+                tagSuggestions={tags}
+                onCreateAuthor={createAuthor}
+                onLookupIsbn={lookupIsbn}
+                onLookupMetadata={lookupMetadata}
+                offline={offline}
                 onCancel={() => {
                   setCurrentView("list");
                   setEditingBook(null);
                 }}
               />
             )}
+            {currentView === "settings" && (
+              <ApiKeySettings
+                hasKey={hasApiKey}
+                onSave={saveApiKey}
+                onClear={clearApiKey}
+                onClose={() => setCurrentView("list")}
+              />
+            )}
+            {currentView === "outbox" && (
+              <OutboxList
+                entries={outbox}
+                authors={authors}
+                offline={offline}
+                syncing={syncing}
+                onSync={syncChanges}
+                onResolve={resolveChange}
+                onClose={() => setCurrentView("list")}
+              />
+            )}
             {currentView === "search" && (
               <SearchBooks
                 onSearch={searchBooks}
                 searchResults={searchResults}
+                onExport={exportBooks}
               />
             )}
           </>
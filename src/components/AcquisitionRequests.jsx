@@ -0,0 +1,329 @@
+import { useState, useEffect, useCallback } from 'react'
+import GenreOptions from './GenreOptions'
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All requests' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'ordered', label: 'Ordered' },
+  { value: 'rejected', label: 'Rejected' }
+]
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-blue-100 text-blue-800',
+  ordered: 'bg-green-100 text-green-800',
+  rejected: 'bg-gray-200 text-gray-700'
+}
+
+const emptySuggestion = { title: '', author: '', reason: '' }
+
+const AcquisitionRequests = ({ genres, onLoadRequests, onCreateRequest, onUpvote, onApprove, onDecide, canManage }) => {
+  const [requests, setRequests] = useState([])
+  const [status, setStatus] = useState('pending')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [suggestion, setSuggestion] = useState(emptySuggestion)
+  const [formError, setFormError] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+  const [approvingId, setApprovingId] = useState(null)
+
+  const loadRequests = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    const result = await onLoadRequests(status)
+    if (result.success) {
+      setRequests(result.requests)
+    } else {
+      setError(result.error)
+    }
+    setLoading(false)
+  }, [status, onLoadRequests])
+
+  useEffect(() => {
+    loadRequests()
+  }, [loadRequests])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setSuggestion(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!suggestion.title.trim() || !suggestion.author.trim()) {
+      setFormError('Title and author are required')
+      return
+    }
+
+    setBusyId('new')
+    setFormError(null)
+    const result = await onCreateRequest(suggestion)
+    setBusyId(null)
+
+    if (result.success) {
+      setSuggestion(emptySuggestion)
+      await loadRequests()
+    } else {
+      setFormError(result.error)
+    }
+  }
+
+  // Run an action against one request, then refresh the list
+  const runAction = async (requestId, action, failureMessage) => {
+    setBusyId(requestId)
+    const result = await action()
+    setBusyId(null)
+
+    if (result.success) {
+      await loadRequests()
+    } else {
+      alert(failureMessage + result.error)
+    }
+    return result
+  }
+
+  const handleReject = (request) => {
+    const note = window.prompt(`Reject the request for "${request.title}"? You can give a reason:`, '')
+    if (note !== null) {
+      runAction(request.id, () => onDecide(request.id, 'reject', note), 'Error rejecting request: ')
+    }
+  }
+
+  const handleApprove = async (request, bookData) => {
+    const result = await runAction(request.id, () => onApprove(request.id, bookData), 'Error approving request: ')
+    if (result.success) {
+      setApprovingId(null)
+    }
+  }
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold text-gray-800 mb-6">Requests</h2>
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h3 className="text-lg font-semibold text-gray-800 mb-4">Suggest a book</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <input
+            type="text"
+            name="title"
+            value={suggestion.title}
+            onChange={handleChange}
+            placeholder="Title"
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <input
+            type="text"
+            name="author"
+            value={suggestion.author}
+            onChange={handleChange}
+            placeholder="Author"
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <textarea
+          name="reason"
+          value={suggestion.reason}
+          onChange={handleChange}
+          rows={2}
+          placeholder="Why should the library add it? (optional)"
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 mb-4"
+        />
+        <div className="flex items-center space-x-4">
+          <button
+            type="submit"
+            disabled={busyId !== null}
+            className="bg-blue-600 text-white py-2 px-4 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {busyId === 'new' ? 'Submitting...' : 'Submit Request'}
+          </button>
+          {formError && <p className="text-sm text-red-600">{formError}</p>}
+        </div>
+      </form>
+
+      <div className="flex justify-end mb-4">
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {STATUS_FILTERS.map(filter => (
+            <option key={filter.value} value={filter.value}>{filter.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading && <p className="text-center text-gray-600 py-12">Loading requests...</p>}
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {!loading && !error && requests.length === 0 && (
+        <div className="text-center py-12">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No requests here</h3>
+          <p className="text-gray-500">Suggestions from the team will appear here.</p>
+        </div>
+      )}
+
+      {!loading && requests.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md divide-y divide-gray-200">
+          {requests.map((request) => (
+            <div key={request.id} className="p-4">
+              <div className="flex items-start space-x-4">
+                <button
+                  onClick={() => runAction(request.id, () => onUpvote(request.id, !request.upvoted), 'Error voting: ')}
+                  disabled={busyId !== null || request.status !== 'pending'}
+                  title={request.upvoted ? 'Withdraw your upvote' : 'Upvote'}
+                  className={`flex flex-col items-center w-12 py-1 rounded-md border text-sm disabled:cursor-not-allowed ${
+                    request.upvoted
+                      ? 'border-blue-500 bg-blue-50 text-blue-700'
+                      : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+                  }`}
+                >
+                  <span aria-hidden="true">▲</span>
+                  <span className="font-medium">{request.upvotes}</span>
+                </button>
+
+                <div className="flex-1">
+                  <div className="flex items-center space-x-2">
+                    <h3 className="font-semibold text-gray-800">{request.title}</h3>
+                    <span className={`text-xs px-2 py-1 rounded-full ${STATUS_STYLES[request.status]}`}>
+                      {request.status}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    <span className="font-medium">by</span> {request.author}
+                  </p>
+                  {request.reason && <p className="text-sm text-gray-700 mt-1">{request.reason}</p>}
+                  <p className="text-xs text-gray-500 mt-1">
+                    Requested by {request.requestedBy.replace(/^user:/, '')} on {new Date(request.createdAt).toLocaleDateString()}
+                    {request.statusNote && ` · ${request.statusNote}`}
+                  </p>
+                </div>
+
+                {canManage && (
+                  <div className="flex space-x-2">
+                    {request.status === 'pending' && (
+                      <>
+                        <button
+                          onClick={() => setApprovingId(approvingId === request.id ? null : request.id)}
+                          disabled={busyId !== null}
+                          className="bg-blue-600 text-white py-1 px-3 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => handleReject(request)}
+                          disabled={busyId !== null}
+                          className="bg-gray-200 text-gray-700 py-1 px-3 rounded-md text-sm hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Reject
+                        </button>
+                      </>
+                    )}
+                    {request.status === 'approved' && (
+                      <button
+                        onClick={() => runAction(request.id, () => onDecide(request.id, 'order'), 'Error updating request: ')}
+                        disabled={busyId !== null}
+                        className="bg-green-600 text-white py-1 px-3 rounded-md text-sm hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Mark Ordered
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {approvingId === request.id && (
+                <ApprovalForm
+                  request={request}
+                  genres={genres}
+                  busy={busyId !== null}
+                  onApprove={(bookData) => handleApprove(request, bookData)}
+                  onCancel={() => setApprovingId(null)}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// The book details a request lacks, collected when approving it
+const ApprovalForm = ({ request, genres, busy, onApprove, onCancel }) => {
+  const [bookData, setBookData] = useState({
+    genre: '',
+    publicationYear: '',
+    description: request.reason || ''
+  })
+  const [formError, setFormError] = useState(null)
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setBookData(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+
+    if (!bookData.genre || !bookData.publicationYear || !bookData.description.trim()) {
+      setFormError('Genre, publication year and description are needed to add the book')
+      return
+    }
+
+    setFormError(null)
+    onApprove({ ...bookData, publicationYear: parseInt(bookData.publicationYear) })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 ml-16 border-t border-gray-100 pt-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <select
+          name="genre"
+          value={bookData.genre}
+          onChange={handleChange}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Select a genre</option>
+          <GenreOptions genres={genres} />
+        </select>
+        <input
+          type="number"
+          name="publicationYear"
+          value={bookData.publicationYear}
+          onChange={handleChange}
+          placeholder="Publication year"
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+      <textarea
+        name="description"
+        value={bookData.description}
+        onChange={handleChange}
+        rows={3}
+        placeholder="Description"
+        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 mb-4"
+      />
+      <div className="flex items-center space-x-2">
+        <button
+          type="submit"
+          disabled={busy}
+          className="bg-blue-600 text-white py-2 px-4 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Approve and Add Book
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="bg-gray-300 text-gray-700 py-2 px-4 rounded-md text-sm hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+        >
+          Cancel
+        </button>
+        {formError && <p className="text-sm text-red-600">{formError}</p>}
+      </div>
+    </form>
+  )
+}
+
+export default AcquisitionRequests
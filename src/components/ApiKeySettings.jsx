@@ -0,0 +1,105 @@
+import { useState } from 'react'
+
+// Lets the user enter an API key to send with every request. The key is kept
+// in this browser only and is checked with the server before it is saved.
+const ApiKeySettings = ({ hasKey, onSave, onClear, onClose }) => {
+  const [key, setKey] = useState('')
+  const [error, setError] = useState(null)
+  const [message, setMessage] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!key.trim()) {
+      setError('Enter an API key')
+      return
+    }
+
+    setIsSubmitting(true)
+    setError(null)
+    setMessage(null)
+
+    try {
+      const result = await onSave(key.trim())
+
+      if (result.success) {
+        setKey('')
+        setMessage('API key saved')
+      } else {
+        setError(result.error)
+      }
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleClear = () => {
+    onClear()
+    setError(null)
+    setMessage('API key removed')
+  }
+
+  return (
+    <div className="max-w-md mx-auto">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-2xl font-bold text-gray-800">API Key</h2>
+          <button
+            onClick={onClose}
+            className="bg-gray-300 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+          >
+            Back
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-6">
+          {hasKey
+            ? 'An API key is saved in this browser and sent with every request. Enter another to replace it.'
+            : 'No API key is saved. A key entered here is kept in this browser and sent with every request.'}
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label htmlFor="apiKey" className="block text-sm font-medium text-gray-700 mb-2">
+              Key
+            </label>
+            <input
+              type="password"
+              id="apiKey"
+              name="apiKey"
+              autoComplete="off"
+              value={key}
+              onChange={(e) => setKey(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Paste your API key"
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {message && <p className="text-sm text-green-700">{message}</p>}
+
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? 'Checking...' : 'Save Key'}
+            </button>
+            {hasKey && (
+              <button
+                type="button"
+                onClick={handleClear}
+                className="bg-gray-300 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+              >
+                Remove Key
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default ApiKeySettings
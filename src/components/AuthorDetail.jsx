@@ -0,0 +1,298 @@
+import { useState, useEffect, useCallback } from 'react'
+import { formatLifespan } from '../utils/authors'
+
+const EMPTY_FORM = { name: '', sortName: '', birthYear: '', deathYear: '', bio: '' }
+
+const toForm = (author) => ({
+  name: author.name,
+  sortName: author.sortName,
+  birthYear: author.birthYear ?? '',
+  deathYear: author.deathYear ?? '',
+  bio: author.bio || ''
+})
+
+// Author page: details, every book they are credited on, editing, and
+// (for admins) merging duplicate authors into this one
+const AuthorDetail = ({ authorId, authors, onLoadAuthor, onUpdate, onDelete, onMerge, onEditBook, onClose, canManage }) => {
+  const [author, setAuthor] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [isEditing, setIsEditing] = useState(false)
+  const [formData, setFormData] = useState(EMPTY_FORM)
+  const [mergeIds, setMergeIds] = useState([])
+  const [isBusy, setIsBusy] = useState(false)
+
+  const loadAuthor = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    const result = await onLoadAuthor(authorId)
+    if (result.success) {
+      setAuthor(result.author)
+    } else {
+      setError(result.error)
+    }
+    setLoading(false)
+  }, [authorId, onLoadAuthor])
+
+  useEffect(() => {
+    loadAuthor()
+  }, [loadAuthor])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }))
+  }
+
+  const startEditing = () => {
+    setFormData(toForm(author))
+    setIsEditing(true)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setIsBusy(true)
+    const result = await onUpdate(author.id, {
+      ...formData,
+      birthYear: formData.birthYear === '' ? null : parseInt(formData.birthYear),
+      deathYear: formData.deathYear === '' ? null : parseInt(formData.deathYear)
+    })
+    setIsBusy(false)
+    
+    if (result.success) {
+      setIsEditing(false)
+      await loadAuthor()
+    } else {
+      alert('Error updating author: ' + result.error)
+    }
+  }
+
+  const handleMerge = async () => {
+    const names = authors.filter(other => mergeIds.includes(other.id)).map(other => other.name)
+    if (!window.confirm(`Merge ${names.join(', ')} into ${author.name}? Their books will be credited to ${author.name} and the duplicates deleted.`)) {
+      return
+    }
+    
+    setIsBusy(true)
+    const result = await onMerge(author.id, mergeIds)
+    setIsBusy(false)
+    
+    if (result.success) {
+      setMergeIds([])
+      await loadAuthor()
+    } else {
+      alert('Error merging authors: ' + result.error)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${author.name}?`)) {
+      return
+    }
+    const result = await onDelete(author.id)
+    if (!result.success) {
+      alert('Error deleting author: ' + result.error)
+    }
+  }
+
+  const toggleMergeId = (id) => {
+    setMergeIds(prev => (prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id]))
+  }
+
+  const otherAuthors = authors.filter(other => other.id !== authorId)
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-between items-start mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">{author ? author.name : 'Author'}</h2>
+            {author && (
+              <p className="text-gray-600">
+                {author.sortName}
+                {formatLifespan(author) && <span className="ml-2 text-gray-500">{formatLifespan(author)}</span>}
+              </p>
+            )}
+          </div>
+          <div className="flex space-x-2">
+            {author && !isEditing && (
+              <button
+                onClick={startEditing}
+                className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                Edit
+              </button>
+            )}
+            {author && canManage && author.bookCount === 0 && (
+              <button
+                onClick={handleDelete}
+                className="bg-red-600 text-white py-2 px-4 rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500"
+              >
+                Delete
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="bg-gray-300 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+            >
+              Back
+            </button>
+          </div>
+        </div>
+
+        {loading && <p className="text-gray-600">Loading author...</p>}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {author && isEditing && (
+          <form onSubmit={handleSave} className="space-y-4 mb-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="authorName" className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                <input
+                  type="text"
+                  id="authorName"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  required
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label htmlFor="authorSortName" className="block text-sm font-medium text-gray-700 mb-1">Sort name</label>
+                <input
+                  type="text"
+                  id="authorSortName"
+                  name="sortName"
+                  value={formData.sortName}
+                  onChange={handleChange}
+                  placeholder="Surname, Forenames"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label htmlFor="authorBirthYear" className="block text-sm font-medium text-gray-700 mb-1">Birth year</label>
+                <input
+                  type="number"
+                  id="authorBirthYear"
+                  name="birthYear"
+                  value={formData.birthYear}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label htmlFor="authorDeathYear" className="block text-sm font-medium text-gray-700 mb-1">Death year</label>
+                <input
+                  type="number"
+                  id="authorDeathYear"
+                  name="deathYear"
+                  value={formData.deathYear}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+            <div>
+              <label htmlFor="authorBio" className="block text-sm font-medium text-gray-700 mb-1">Bio</label>
+              <textarea
+                id="authorBio"
+                name="bio"
+                rows="4"
+                value={formData.bio}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                disabled={isBusy}
+                className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isBusy ? 'Saving...' : 'Save'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setIsEditing(false)}
+                className="bg-gray-300 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {author && !isEditing && author.bio && (
+          <p className="text-gray-700 whitespace-pre-line mb-6">{author.bio}</p>
+        )}
+
+        {author && (
+          <>
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">
+              Books ({author.bookCount})
+            </h3>
+            {author.books.length === 0 ? (
+              <p className="text-gray-500 mb-6">No books in the collection credit this author.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg mb-6">
+                {author.books.map((book) => (
+                  <li key={book.id} className="flex justify-between items-center px-4 py-3">
+                    <div>
+                      <p className="font-medium text-gray-800">{book.title}</p>
+                      <p className="text-sm text-gray-500">
+                        {book.publicationYear} · {book.genre}
+                        {book.authorIds && book.authorIds.length > 1 && ` · with others (${book.author})`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => onEditBook(book)}
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      Edit
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+
+        {author && canManage && otherAuthors.length > 0 && (
+          <div className="border-t border-gray-200 pt-4">
+            <h3 className="text-sm font-semibold text-gray-800 mb-1">Merge duplicates</h3>
+            <p className="text-sm text-gray-500 mb-3">
+              Pick other records for the same person. Their books move to {author.name} and they are deleted.
+            </p>
+            <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-md p-2 mb-3 space-y-1">
+              {otherAuthors.map((other) => (
+                <label key={other.id} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={mergeIds.includes(other.id)}
+                    onChange={() => toggleMergeId(other.id)}
+                  />
+                  <span>
+                    {other.name}
+                    <span className="text-gray-500"> ({other.bookCount} book{other.bookCount !== 1 ? 's' : ''})</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            <button
+              onClick={handleMerge}
+              disabled={mergeIds.length === 0 || isBusy}
+              className="bg-blue-600 text-white py-2 px-4 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Merge into {author.name}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AuthorDetail
@@ -0,0 +1,59 @@
+import { useState } from 'react'
+import { formatLifespan } from '../utils/authors'
+
+const AuthorList = ({ authors, onSelect }) => {
+  const [filter, setFilter] = useState('')
+
+  const search = filter.trim().toLowerCase()
+  const visibleAuthors = authors.filter(author =>
+    author.name.toLowerCase().includes(search) || author.sortName.toLowerCase().includes(search)
+  )
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">Authors</h2>
+        <div className="text-sm text-gray-600">
+          {authors.length} author{authors.length !== 1 ? 's' : ''}
+        </div>
+      </div>
+
+      <input
+        type="text"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        placeholder="Filter by name"
+        className="w-full px-3 py-2 mb-4 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+
+      {visibleAuthors.length === 0 ? (
+        <p className="text-center text-gray-500 py-12">
+          {authors.length === 0 ? 'Authors appear here once books are added.' : 'No authors match this filter.'}
+        </p>
+      ) : (
+        <ul className="bg-white rounded-lg shadow-md divide-y divide-gray-100">
+          {visibleAuthors.map((author) => (
+            <li key={author.id}>
+              <button
+                onClick={() => onSelect(author.id)}
+                className="w-full flex justify-between items-center px-4 py-3 text-left hover:bg-gray-50 focus:outline-none focus:bg-gray-50"
+              >
+                <span>
+                  <span className="font-medium text-gray-800">{author.sortName}</span>
+                  {formatLifespan(author) && (
+                    <span className="ml-2 text-sm text-gray-500">{formatLifespan(author)}</span>
+                  )}
+                </span>
+                <span className="text-sm text-gray-500">
+                  {author.bookCount} book{author.bookCount !== 1 ? 's' : ''}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default AuthorList
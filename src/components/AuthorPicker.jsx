@@ -0,0 +1,96 @@
+import { useState } from 'react'
+import { matchAuthor } from '../utils/authors'
+
+// Chip-style picker for a book's authors, in credit order. Existing authors
+// are suggested as you type; a name with no match is added as a new author
+// (id: null), which the form creates when the book is saved.
+const AuthorPicker = ({ id, value, authors = [], onChange, hasError }) => {
+  const [draft, setDraft] = useState('')
+
+  const addAuthor = (name) => {
+    const trimmed = name.trim()
+    setDraft('')
+    if (!trimmed) {
+      return
+    }
+    const existing = matchAuthor(authors, trimmed)
+    const entry = existing ? { id: existing.id, name: existing.name } : { id: null, name: trimmed }
+    const isDuplicate = value.some(selected =>
+      entry.id !== null ? selected.id === entry.id : selected.name.toLowerCase() === entry.name.toLowerCase()
+    )
+    if (!isDuplicate) {
+      onChange([...value, entry])
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      addAuthor(draft)
+    } else if (e.key === 'Backspace' && !draft && value.length > 0) {
+      onChange(value.slice(0, -1))
+    }
+  }
+
+  const handleChange = (e) => {
+    const { value: text } = e.target
+    // Picking a suggestion from the list (rather than typing) adds it straight away
+    const { inputType } = e.nativeEvent
+    const picked = inputType === undefined || inputType === 'insertReplacementText'
+    if (picked && authors.some(author => author.name === text)) {
+      addAuthor(text)
+    } else {
+      setDraft(text)
+    }
+  }
+
+  return (
+    <div className={`w-full px-3 py-2 border rounded-md shadow-sm focus-within:ring-2 focus-within:ring-blue-500 ${
+      hasError ? 'border-red-500' : 'border-gray-300'
+    }`}>
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          {value.map((author, index) => (
+            <span
+              key={`${author.id}-${author.name}`}
+              className="inline-flex items-center bg-blue-100 text-blue-800 text-sm rounded-full"
+            >
+              <span className="pl-3 py-1">
+                {author.name}
+                {author.id === null && <span className="text-xs text-blue-600"> (new)</span>}
+              </span>
+              <button
+                type="button"
+                onClick={() => onChange(value.filter((_, other) => other !== index))}
+                aria-label={`Remove author ${author.name}`}
+                className="px-2 text-blue-400 hover:text-red-600 focus:outline-none"
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <input
+        type="text"
+        id={id}
+        list={`${id}-suggestions`}
+        value={draft}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => draft && addAuthor(draft)}
+        placeholder={value.length > 0 ? 'Add a co-author' : 'Enter author name'}
+        className="w-full focus:outline-none"
+      />
+      <datalist id={`${id}-suggestions`}>
+        {authors
+          .filter(author => !value.some(selected => selected.id === author.id))
+          .map((author) => (
+            <option key={author.id} value={author.name} />
+          ))}
+      </datalist>
+    </div>
+  )
+}
+
+export default AuthorPicker
@@ -0,0 +1,136 @@
+import { useState } from 'react'
+import { AUTHOR_SEPARATOR } from '../utils/authors'
+
+const CONFLICT_FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'authors', label: 'Authors' },
+  { name: 'genre', label: 'Genre' },
+  { name: 'publicationYear', label: 'Publication Year' },
+  { name: 'isbn', label: 'ISBN' },
+  { name: 'tags', label: 'Tags' },
+  { name: 'description', label: 'Description' }
+]
+
+// A form value as text, for comparing and showing it
+const displayValue = (values, name) => {
+  if (name === 'authors') {
+    return values.authors.map(author => author.name).join(AUTHOR_SEPARATOR)
+  }
+  if (name === 'tags') {
+    return values.tags.join(', ')
+  }
+  return String(values[name] ?? '')
+}
+
+// Shown when saving a book fails because someone else saved it first. Puts
+// the server's version next to the user's edits (all as form values) for
+// every field where they differ, and lets the user pick a side per field.
+// Compared with base, the version the edits started from, a field only one
+// side changed starts on that side; a field both changed starts on the
+// user's edit and is flagged.
+const BookConflict = ({
+  base,
+  theirs,
+  mine,
+  onResolve,
+  onCancel,
+  cancelLabel = 'Keep Editing',
+  intro = 'Another user saved this book while you were editing it. Choose which value to keep for each field, then check the form and save again.'
+}) => {
+  const fields = CONFLICT_FIELDS.filter(({ name }) => displayValue(theirs, name) !== displayValue(mine, name))
+  const [choices, setChoices] = useState(() => Object.fromEntries(
+    fields.map(({ name }) => [name, displayValue(base, name) === displayValue(mine, name) ? 'theirs' : 'mine'])
+  ))
+
+  const bothChanged = (name) => {
+    return displayValue(base, name) !== displayValue(theirs, name) &&
+      displayValue(base, name) !== displayValue(mine, name)
+  }
+
+  const resolve = () => {
+    const merged = { ...mine }
+    fields.forEach(({ name }) => {
+      if (choices[name] === 'theirs') {
+        merged[name] = theirs[name]
+      }
+    })
+    onResolve(merged)
+  }
+
+  const choiceCell = (name, side, values) => (
+    <td className="py-2 pr-2 align-top">
+      <label
+        className={`flex items-start space-x-2 p-2 rounded-md border cursor-pointer ${
+          choices[name] === side ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+        }`}
+      >
+        <input
+          type="radio"
+          name={`conflict-${name}`}
+          checked={choices[name] === side}
+          onChange={() => setChoices(prev => ({ ...prev, [name]: side }))}
+          className="mt-1"
+        />
+        <span className="text-gray-900 whitespace-pre-wrap break-words">{displayValue(values, name) || '—'}</span>
+      </label>
+    </td>
+  )
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div role="dialog" aria-modal="true" aria-labelledby="conflict-title" className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6">
+        <h3 id="conflict-title" className="text-lg font-semibold text-gray-800 mb-1">
+          Someone else changed this book
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">{intro}</p>
+
+        {fields.length === 0 ? (
+          <p className="text-sm text-gray-700 mb-4">
+            Their changes don't touch the fields you edited, so your edits can be saved as they are.
+          </p>
+        ) : (
+          <table className="w-full text-sm mb-4 table-fixed">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="pb-1 font-medium w-36">Field</th>
+                <th className="pb-1 font-medium">Their version</th>
+                <th className="pb-1 font-medium">Your edits</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map(({ name, label }) => (
+                <tr key={name} className="border-t border-gray-100">
+                  <td className="py-2 pr-2 align-top text-gray-700">
+                    {label}
+                    {bothChanged(name) && <span className="block text-xs text-amber-700">Changed by both</span>}
+                  </td>
+                  {choiceCell(name, 'theirs', theirs)}
+                  {choiceCell(name, 'mine', mine)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="flex space-x-2">
+          <button
+            type="button"
+            onClick={resolve}
+            className="bg-blue-600 text-white py-2 px-4 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            Use Selected Values
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="bg-gray-300 text-gray-700 py-2 px-4 rounded-md text-sm hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+          >
+            {cancelLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default BookConflict
@@ -0,0 +1,171 @@
+import { useState, useEffect, useCallback } from 'react'
+
+const emptyCopy = { barcode: '', location: '' }
+
+const BookCopies = ({ book, onLoadCopies, onAddCopy, onRemoveCopy, onClose, canManage }) => {
+  const [copies, setCopies] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [newCopy, setNewCopy] = useState(emptyCopy)
+  const [formError, setFormError] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+
+  const loadCopies = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    const result = await onLoadCopies(book.id)
+    if (result.success) {
+      setCopies(result.copies)
+    } else {
+      setError(result.error)
+    }
+    setLoading(false)
+  }, [book.id, onLoadCopies])
+
+  useEffect(() => {
+    loadCopies()
+  }, [loadCopies])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setNewCopy(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+
+    if (!newCopy.barcode.trim()) {
+      setFormError('Barcode is required')
+      return
+    }
+
+    setBusyId('new')
+    setFormError(null)
+    const result = await onAddCopy(book.id, newCopy)
+    setBusyId(null)
+
+    if (result.success) {
+      setNewCopy(emptyCopy)
+      await loadCopies()
+    } else {
+      setFormError(result.error)
+    }
+  }
+
+  const handleRemove = async (copy) => {
+    if (!window.confirm(`Remove copy ${copy.barcode}?`)) {
+      return
+    }
+
+    setBusyId(copy.id)
+    const result = await onRemoveCopy(copy.id)
+    setBusyId(null)
+
+    if (result.success) {
+      await loadCopies()
+    } else {
+      alert('Error removing copy: ' + result.error)
+    }
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Copies</h2>
+            <p className="text-gray-600">{book.title} <span className="font-medium">by</span> {book.author}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="bg-gray-300 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+          >
+            Back
+          </button>
+        </div>
+
+        {loading && <p className="text-gray-600">Loading copies...</p>}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {!loading && !error && copies.length === 0 && (
+          <p className="text-gray-500 mb-4">The library has no copies of this book yet.</p>
+        )}
+
+        {copies.length > 0 && (
+          <table className="w-full text-sm mb-6">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-medium pb-1">Barcode</th>
+                <th className="font-medium pb-1">Location</th>
+                <th className="font-medium pb-1">Status</th>
+                {canManage && <th className="pb-1"></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {copies.map((copy) => (
+                <tr key={copy.id} className="align-top border-t border-gray-100">
+                  <td className="py-2 pr-2 font-mono text-gray-800">{copy.barcode}</td>
+                  <td className="py-2 pr-2 text-gray-700">{copy.location || '—'}</td>
+                  <td className="py-2 pr-2">
+                    {copy.loan ? (
+                      <span className={copy.loan.overdue ? 'text-red-700' : 'text-amber-700'}>
+                        On loan to {copy.loan.borrower}, due {new Date(copy.loan.dueDate).toLocaleDateString()}
+                        {copy.loan.overdue && ' (overdue)'}
+                      </span>
+                    ) : (
+                      <span className="text-green-700">Available</span>
+                    )}
+                  </td>
+                  {canManage && (
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => handleRemove(copy)}
+                        disabled={busyId !== null || Boolean(copy.loan)}
+                        title={copy.loan ? 'Check this copy in before removing it' : undefined}
+                        className="text-red-600 hover:text-red-800 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <form onSubmit={handleAdd} className="border-t border-gray-200 pt-4">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Add a copy</h3>
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              name="barcode"
+              value={newCopy.barcode}
+              onChange={handleChange}
+              placeholder="Barcode"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <input
+              type="text"
+              name="location"
+              value={newCopy.location}
+              onChange={handleChange}
+              placeholder="Location (e.g. Shelf B3)"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={busyId !== null}
+              className="bg-blue-600 text-white py-2 px-4 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busyId === 'new' ? 'Adding...' : 'Add Copy'}
+            </button>
+          </div>
+          {formError && <p className="text-sm text-red-600 mt-2">{formError}</p>}
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default BookCopies
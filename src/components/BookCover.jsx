@@ -0,0 +1,34 @@
+import { useState } from 'react'
+import { coverUrl } from '../services/api'
+
+// A book's cover image, or a placeholder showing the title when the book
+// has no cover (or the image fails to load)
+const BookCover = ({ book, size = 'medium', className = '' }) => {
+  const [failedUrl, setFailedUrl] = useState(null)
+  const url = coverUrl(book, size)
+
+  if (!url || failedUrl === url) {
+    return (
+      <div
+        className={`flex items-center justify-center bg-gradient-to-br from-gray-100 to-gray-200 text-gray-400 ${className}`}
+        aria-label={`No cover for ${book.title}`}
+      >
+        <svg className="h-1/3 max-h-12 w-auto" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
+          <path strokeLinecap="round" strokeLinejoin="round" d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
+        </svg>
+      </div>
+    )
+  }
+
+  return (
+    <img
+      src={url}
+      alt={`Cover of ${book.title}`}
+      loading="lazy"
+      onError={() => setFailedUrl(url)}
+      className={`object-contain bg-gray-100 ${className}`}
+    />
+  )
+}
+
+export default BookCover
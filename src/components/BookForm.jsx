@@ -1,27 +1,52 @@
 import { useState, useEffect } from 'react'
+import GenreOptions from './GenreOptions'
+import MetadataProposal from './MetadataProposal'
+import TagInput from './TagInput'
+import AuthorPicker from './AuthorPicker'
+import BookCover from './BookCover'
+import BookConflict from './BookConflict'
+import { AUTHOR_SEPARATOR, matchAuthor, splitAuthorNames } from '../utils/authors'
+import { bookToFormData, formDataToFields } from '../utils/bookForm'
 
-const BookForm = ({ onSubmit, editingBook, onCancel }) => {
-  const [formData, setFormData] = useState({
+// Cover uploads the server accepts
+const COVER_TYPES = ['image/jpeg', 'image/png', 'image/webp']
+const MAX_COVER_MB = 5
+
+const BookForm = ({ onSubmit, onUploadCover, onRemoveCover, editingBook, genres, authors, tagSuggestions, onCreateAuthor, onCancel, onLookupIsbn, onLookupMetadata, offline = false }) => {
+  // Author names only need resolving when the book is first loaded; App
+  // keys the form by book, so editing another book starts a fresh form
+  const [formData, setFormData] = useState(() => editingBook ? bookToFormData(editingBook, authors) : {
     title: '',
-    author: '',
+    authors: [],
     genre: '',
     publicationYear: '',
-    description: ''
+    description: '',
+    isbn: '',
+    tags: []
   })
+  const [isbnInfo, setIsbnInfo] = useState(null)
+  const [proposal, setProposal] = useState(null)
+  const [isLookingUp, setIsLookingUp] = useState(false)
   const [errors, setErrors] = useState({})
   const [isSubmitting, setIsSubmitting] = useState(false)
+  const [coverFile, setCoverFile] = useState(null)
+  const [coverPreview, setCoverPreview] = useState(null)
+  const [removeCover, setRemoveCover] = useState(false)
+  // The version of the book the edits are based on, and the newer version
+  // (with the edits) when saving ran into someone else's change
+  const [baseBook, setBaseBook] = useState(editingBook)
+  const [conflict, setConflict] = useState(null)
 
+  // Preview the chosen cover until it is uploaded or replaced
   useEffect(() => {
-    if (editingBook) {
-      setFormData({
-        title: editingBook.title,
-        author: editingBook.author,
-        genre: editingBook.genre,
-        publicationYear: editingBook.publicationYear.toString(),
-        description: editingBook.description
-      })
+    if (!coverFile) {
+      setCoverPreview(null)
+      return
     }
-  }, [editingBook])
+    const url = URL.createObjectURL(coverFile)
+    setCoverPreview(url)
+    return () => URL.revokeObjectURL(url)
+  }, [coverFile])
 
   const validateForm = () => {
     const newErrors = {}
@@ -30,8 +55,8 @@ const BookForm = ({ onSubmit, editingBook, onCancel }) => {
       newErrors.title = 'Title is required'
     }
     
-    if (!formData.author.trim()) {
-      newErrors.author = 'Author is required'
+    if (formData.authors.length === 0) {
+      newErrors.author = 'At least one author is required'
     }
     
     if (!formData.genre.trim()) {
@@ -48,6 +73,12 @@ const BookForm = ({ onSubmit, editingBook, onCancel }) => {
       newErrors.description = 'Description is required'
     }
     
+    if (coverFile && !COVER_TYPES.includes(coverFile.type)) {
+      newErrors.cover = 'Covers must be JPEG, PNG or WebP images'
+    } else if (coverFile && coverFile.size > MAX_COVER_MB * 1024 * 1024) {
+      newErrors.cover = `Covers must be at most ${MAX_COVER_MB} MB`
+    }
+    
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
@@ -62,29 +93,88 @@ const BookForm = ({ onSubmit, editingBook, onCancel }) => {
     setIsSubmitting(true)
     
     try {
-      const bookData = {
-        ...formData,
-        publicationYear: parseInt(formData.publicationYear)
+      const authorIds = []
+      let bookData
+      
+      if (offline) {
+        // New authors can't be created offline; the book names them and the
+        // server creates them once the change is synced
+        bookData = formDataToFields(formData)
+      } else {
+        // Create any authors that were typed in as new names
+        for (const author of formData.authors) {
+          if (author.id !== null) {
+            authorIds.push(author.id)
+            continue
+          }
+          const created = await onCreateAuthor({ name: author.name })
+          if (!created.success) {
+            alert(`Could not add author "${author.name}": ${created.error}`)
+            return
+          }
+          authorIds.push(created.author.id)
+        }
+        
+        const { authors: _authors, ...fields } = formData
+        bookData = {
+          ...fields,
+          authorIds,
+          publicationYear: parseInt(formData.publicationYear)
+        }
       }
       
       if (editingBook) {
         bookData.id = editingBook.id
+        bookData.version = baseBook.version
       }
       
       const result = await onSubmit(bookData)
       
+      if (result.conflict) {
+        // Authors created above keep their new IDs for the next save
+        setConflict({
+          theirs: result.conflict,
+          mine: {
+            ...formData,
+            authors: formData.authors.map((author, index) => ({ id: authorIds[index], name: author.name }))
+          }
+        })
+        return
+      }
+      
       if (result.success) {
+        // The cover is saved separately, once the book exists on the server
+        // (so it can't go along with a change queued offline)
+        const coverChanged = coverFile || (removeCover && editingBook?.cover)
+        const coverResult = result.queued
+          ? { success: !coverChanged, error: 'covers can only be changed while online' }
+          : coverFile
+            ? await onUploadCover(result.book.id, coverFile)
+            : coverChanged
+              ? await onRemoveCover(result.book.id)
+              : { success: true }
+        if (!coverResult.success) {
+          alert('The book was saved, but its cover was not: ' + coverResult.error)
+        }
+        
         // Reset form
         setFormData({
           title: '',
-          author: '',
+          authors: [],
           genre: '',
           publicationYear: '',
-          description: ''
+          description: '',
+          isbn: '',
+          tags: []
         })
+        setIsbnInfo(null)
         setErrors({})
+        setCoverFile(null)
+        setRemoveCover(false)
         
-        if (!editingBook) {
+        if (result.queued) {
+          alert('You are offline, so the book was saved on this device. It will be sent to the server once you are back online.')
+        } else if (!editingBook) {
           alert('Book added successfully!')
         } else {
           alert('Book updated successfully!')
@@ -99,6 +189,69 @@ const BookForm = ({ onSubmit, editingBook, onCancel }) => {
     }
   }
 
+  // Check the ISBN when the field loses focus and show both forms
+  const handleIsbnBlur = async () => {
+    setIsbnInfo(null)
+    if (!formData.isbn.trim() || !onLookupIsbn) {
+      return
+    }
+    
+    const result = await onLookupIsbn(formData.isbn.trim())
+    if (result.success) {
+      setIsbnInfo(result.isbn)
+    } else {
+      setErrors(prev => ({
+        ...prev,
+        isbn: result.error
+      }))
+    }
+  }
+
+  // Ask the metadata provider for details, by ISBN if one is entered
+  const handleAutofill = async () => {
+    const isbn = formData.isbn.trim()
+    const title = formData.title.trim()
+    
+    if (!isbn && !title) {
+      alert('Enter an ISBN or a title to autofill from')
+      return
+    }
+    
+    setIsLookingUp(true)
+    const result = await onLookupMetadata(isbn ? { isbn } : { title })
+    setIsLookingUp(false)
+    
+    if (result.success) {
+      setProposal({ provider: result.provider, candidates: result.candidates })
+    } else {
+      alert('Autofill failed: ' + result.error)
+    }
+  }
+
+  // A proposed author string is matched against existing authors
+  const applyProposal = ({ author, ...values }) => {
+    setFormData(prev => ({
+      ...prev,
+      ...values,
+      ...(author && {
+        authors: splitAuthorNames(author).map(name => {
+          const existing = matchAuthor(authors, name)
+          return existing ? { id: existing.id, name: existing.name } : { id: null, name }
+        })
+      })
+    }))
+    setErrors({})
+    setProposal(null)
+  }
+
+  // Carry on editing from the merged values, now based on the newer version
+  const resolveConflict = (merged) => {
+    setFormData(merged)
+    setBaseBook(conflict.theirs)
+    setConflict(null)
+    setErrors({})
+  }
+
   const handleChange = (e) => {
     const { name, value } = e.target
     setFormData(prev => ({
@@ -117,12 +270,47 @@ const BookForm = ({ onSubmit, editingBook, onCancel }) => {
 
   return (
     <div className="max-w-2xl mx-auto">
+      {conflict && (
+        <BookConflict
+          base={bookToFormData(baseBook, authors)}
+          theirs={bookToFormData(conflict.theirs, authors)}
+          mine={conflict.mine}
+          onResolve={resolveConflict}
+          onCancel={() => setConflict(null)}
+        />
+      )}
       <div className="bg-white rounded-lg shadow-md p-6">
-        <h2 className="text-2xl font-bold text-gray-800 mb-6">
-          {editingBook ? 'Edit Book' : 'Add New Book'}
-        </h2>
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">
+            {editingBook ? 'Edit Book' : 'Add New Book'}
+          </h2>
+          {onLookupMetadata && (
+            <button
+              type="button"
+              onClick={handleAutofill}
+              disabled={isLookingUp}
+              title="Look up details by ISBN, or by title if no ISBN is entered"
+              className="bg-white border border-blue-600 text-blue-600 py-1 px-3 rounded-md text-sm hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isLookingUp ? 'Looking up...' : 'Autofill'}
+            </button>
+          )}
+        </div>
         
         <form onSubmit={handleSubmit} className="space-y-6">
+          {proposal && (
+            <MetadataProposal
+              provider={proposal.provider}
+              candidates={proposal.candidates}
+              formData={{
+                ...formData,
+                author: formData.authors.map(author => author.name).join(AUTHOR_SEPARATOR)
+              }}
+              onApply={applyProposal}
+              onDismiss={() => setProposal(null)}
+            />
+          )}
+
           {/* Title */}
           <div>
             <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-2">
@@ -145,18 +333,17 @@ const BookForm = ({ onSubmit, editingBook, onCancel }) => {
           {/* Author */}
           <div>
             <label htmlFor="author" className="block text-sm font-medium text-gray-700 mb-2">
-              Author *
+              Authors *
             </label>
-            <input
-              type="text"
+            <AuthorPicker
               id="author"
-              name="author"
-              value={formData.author}
-              onChange={handleChange}
-              className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
-                errors.author ? 'border-red-500' : 'border-gray-300'
-              }`}
-              placeholder="Enter author name"
+              value={formData.authors}
+              authors={authors}
+              onChange={(selected) => {
+                setFormData(prev => ({ ...prev, authors: selected }))
+                setErrors(prev => ({ ...prev, author: '' }))
+              }}
+              hasError={Boolean(errors.author)}
             />
             {errors.author && <p className="mt-1 text-sm text-red-600">{errors.author}</p>}
           </div>
@@ -176,16 +363,7 @@ const BookForm = ({ onSubmit, editingBook, onCancel }) => {
               }`}
             >
               <option value="">Select a genre</option>
-              <option value="Fiction">Fiction</option>
-              <option value="Non-Fiction">Non-Fiction</option>
-              <option value="Mystery">Mystery</option>
-              <option value="Romance">Romance</option>
-              <option value="Science Fiction">Science Fiction</option>
-              <option value="Fantasy">Fantasy</option>
-              <option value="Biography">Biography</option>
-              <option value="History">History</option>
-              <option value="Dystopian Fiction">Dystopian Fiction</option>
-              <option value="Other">Other</option>
+              <GenreOptions genres={genres} />
             </select>
             {errors.genre && <p className="mt-1 text-sm text-red-600">{errors.genre}</p>}
           </div>
@@ -211,6 +389,84 @@ const BookForm = ({ onSubmit, editingBook, onCancel }) => {
             {errors.publicationYear && <p className="mt-1 text-sm text-red-600">{errors.publicationYear}</p>}
           </div>
 
+          {/* ISBN */}
+          <div>
+            <label htmlFor="isbn" className="block text-sm font-medium text-gray-700 mb-2">
+              ISBN
+            </label>
+            <input
+              type="text"
+              id="isbn"
+              name="isbn"
+              value={formData.isbn}
+              onChange={handleChange}
+              onBlur={handleIsbnBlur}
+              className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                errors.isbn ? 'border-red-500' : 'border-gray-300'
+              }`}
+              placeholder="ISBN-10 or ISBN-13 (optional)"
+            />
+            {errors.isbn && <p className="mt-1 text-sm text-red-600">{errors.isbn}</p>}
+            {!errors.isbn && isbnInfo && (
+              <p className="mt-1 text-sm text-gray-500">
+                ISBN-13: {isbnInfo.isbn13}{isbnInfo.isbn10 && ` · ISBN-10: ${isbnInfo.isbn10}`}
+              </p>
+            )}
+          </div>
+
+          {/* Cover */}
+          <div>
+            <label htmlFor="cover" className="block text-sm font-medium text-gray-700 mb-2">
+              Cover image
+            </label>
+            <div className="flex items-start gap-4">
+              {coverPreview ? (
+                <img src={coverPreview} alt="New cover" className="w-20 h-28 object-contain bg-gray-100 rounded" />
+              ) : editingBook && (
+                <BookCover book={removeCover ? { ...editingBook, cover: null } : editingBook} size="small" className="w-20 h-28 rounded" />
+              )}
+              <div className="flex-1">
+                <input
+                  type="file"
+                  id="cover"
+                  accept={COVER_TYPES.join(',')}
+                  onChange={(e) => {
+                    setCoverFile(e.target.files[0] || null)
+                    setRemoveCover(false)
+                    setErrors(prev => ({ ...prev, cover: '' }))
+                  }}
+                  className="block w-full text-sm text-gray-700 file:mr-3 file:py-2 file:px-3 file:rounded-md file:border-0 file:bg-gray-200 file:text-gray-700 hover:file:bg-gray-300"
+                />
+                <p className="mt-1 text-sm text-gray-500">JPEG, PNG or WebP, up to {MAX_COVER_MB} MB</p>
+                {editingBook?.cover && !coverFile && (
+                  <label className="mt-2 inline-flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={removeCover}
+                      onChange={(e) => setRemoveCover(e.target.checked)}
+                      className="mr-2"
+                    />
+                    Remove the current cover
+                  </label>
+                )}
+                {errors.cover && <p className="mt-1 text-sm text-red-600">{errors.cover}</p>}
+              </div>
+            </div>
+          </div>
+
+          {/* Tags */}
+          <div>
+            <label htmlFor="tags" className="block text-sm font-medium text-gray-700 mb-2">
+              Tags
+            </label>
+            <TagInput
+              id="tags"
+              tags={formData.tags}
+              suggestions={tagSuggestions}
+              onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+            />
+          </div>
+
           {/* Description */}
           <div>
             <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-2">
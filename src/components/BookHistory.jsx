@@ -0,0 +1,161 @@
+import { useState, useEffect, useCallback } from 'react'
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  revert: 'Reverted',
+  restore: 'Restored',
+  purge: 'Permanently deleted'
+}
+
+const FIELD_LABELS = {
+  title: 'Title',
+  author: 'Author',
+  authorIds: 'Author IDs',
+  genre: 'Genre',
+  publicationYear: 'Publication Year',
+  description: 'Description',
+  isbn: 'ISBN',
+  tags: 'Tags',
+  cover: 'Cover'
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return '—'
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ')
+  }
+  // Covers are stored as image details
+  if (typeof value === 'object') {
+    return `${value.width}×${value.height} image uploaded ${new Date(value.uploadedAt).toLocaleString()}`
+  }
+  return String(value)
+}
+
+// Actors are stored as "user:alice" or "apiKey:name (prefix)"
+const formatActor = (actor) => {
+  const [type, ...rest] = actor.split(':')
+  const name = rest.join(':')
+  return type === 'apiKey' ? `API key ${name}` : name || actor
+}
+
+const BookHistory = ({ book, onLoadHistory, onRevert, onClose }) => {
+  const [revisions, setRevisions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [revertingId, setRevertingId] = useState(null)
+
+  const loadHistory = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    const result = await onLoadHistory(book.id)
+    if (result.success) {
+      setRevisions(result.revisions)
+    } else {
+      setError(result.error)
+    }
+    setLoading(false)
+  }, [book.id, onLoadHistory])
+
+  useEffect(() => {
+    loadHistory()
+  }, [loadHistory])
+
+  const handleRevert = async (revision) => {
+    if (!window.confirm(`Revert "${book.title}" to the version from ${new Date(revision.createdAt).toLocaleString()}? The current cover is kept.`)) {
+      return
+    }
+    
+    setRevertingId(revision.id)
+    const result = await onRevert(book.id, revision.id)
+    setRevertingId(null)
+    
+    if (result.success) {
+      await loadHistory()
+    } else {
+      alert('Error reverting book: ' + result.error)
+    }
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">History</h2>
+            <p className="text-gray-600">{book.title} <span className="font-medium">by</span> {book.author}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="bg-gray-300 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+          >
+            Back
+          </button>
+        </div>
+
+        {loading && <p className="text-gray-600">Loading history...</p>}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {!loading && !error && revisions.length === 0 && (
+          <p className="text-gray-500">No changes have been recorded for this book yet.</p>
+        )}
+
+        <ol className="space-y-4">
+          {revisions.map((revision, index) => (
+            <li key={revision.id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex justify-between items-start mb-3">
+                <div>
+                  <span className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full mr-2">
+                    {ACTION_LABELS[revision.action] || revision.action}
+                  </span>
+                  <span className="text-sm text-gray-700">
+                    by <span className="font-medium">{formatActor(revision.actor)}</span>
+                  </span>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {new Date(revision.createdAt).toLocaleString()}
+                    {revision.revertedFrom && ` · restored revision #${revision.revertedFrom}`}
+                  </p>
+                </div>
+                {index > 0 && revision.snapshot && (
+                  <button
+                    onClick={() => handleRevert(revision)}
+                    disabled={revertingId !== null}
+                    className="bg-blue-600 text-white py-1 px-3 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {revertingId === revision.id ? 'Reverting...' : 'Revert to this version'}
+                  </button>
+                )}
+              </div>
+
+              {revision.changes.length > 0 && (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="font-medium pb-1 w-1/5">Field</th>
+                      <th className="font-medium pb-1 w-2/5">Before</th>
+                      <th className="font-medium pb-1 w-2/5">After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {revision.changes.map((change) => (
+                      <tr key={change.field} className="align-top border-t border-gray-100">
+                        <td className="py-1 pr-2 text-gray-700">{FIELD_LABELS[change.field] || change.field}</td>
+                        <td className="py-1 pr-2 text-red-700 line-through break-words">{formatValue(change.from)}</td>
+                        <td className="py-1 text-green-700 break-words">{formatValue(change.to)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  )
+}
+
+export default BookHistory
@@ -1,5 +1,48 @@
-const BookList = ({ books, onEdit, onDelete }) => {
-  if (books.length === 0) {
+import { useState } from 'react'
+import GenreOptions from './GenreOptions'
+import ExportMenu from './ExportMenu'
+import TagList from './TagList'
+import StarRating from './StarRating'
+import BookReviews from './BookReviews'
+import BookCover from './BookCover'
+import InlineEdit from './InlineEdit'
+import { AUTHOR_SEPARATOR, bookCredits } from '../utils/authors'
+import { isLocalId } from '../services/offlineSync'
+
+const SORT_OPTIONS = [
+  { value: 'createdAt', label: 'Date added' },
+  { value: 'title', label: 'Title' },
+  { value: 'author', label: 'Author' },
+  { value: 'publicationYear', label: 'Publication year' },
+  { value: 'averageRating', label: 'Rating' }
+]
+
+// The list query keeps tag filters as a comma separated string
+const tagsFromQuery = (query) => (query.tags ? query.tags.split(',') : [])
+
+// Same normalization as the backend: lowercase with single spaces
+const normalizeTag = (tag) => tag.trim().replace(/\s+/g, ' ').toLowerCase()
+
+const BookList = ({ books, genres, tags = [], authors = [], pagination, query, onQueryChange, onEdit, onDelete, onRemoveTag, onAuthorSelect, onHistory, onCopies, reviewControls, collections = [], onAddToCollection, onPatch, onBatch, onExport, canDelete = true }) => {
+  // Books ticked for bulk actions; only those on the current page count
+  const [selectedIds, setSelectedIds] = useState([])
+  const selectedBooks = books.filter(book => selectedIds.includes(book.id))
+  const hasFilters = Boolean(query.genre || query.author || query.yearFrom || query.yearTo || query.tags)
+  const total = pagination ? pagination.total : books.length
+
+  // Clicking a tag on a card narrows the list to books that also carry it
+  const filterByTag = (tag) => {
+    const activeTags = tagsFromQuery(query)
+    if (!activeTags.includes(tag)) {
+      onQueryChange({ tags: [...activeTags, tag].join(','), page: 1 })
+    }
+  }
+
+  const toggleSelected = (bookId) => {
+    setSelectedIds(prev => (prev.includes(bookId) ? prev.filter(id => id !== bookId) : [...prev, bookId]))
+  }
+
+  if (total === 0 && !hasFilters) {
     return (
       <div className="text-center py-12">
         <div className="mx-auto w-24 h-24 bg-gray-200 rounded-full flex items-center justify-center mb-4">
@@ -17,37 +60,489 @@ const BookList = ({ books, onEdit, onDelete }) => {
     <div>
       <div className="flex justify-between items-center mb-6">
         <h2 className="text-2xl font-bold text-gray-800">Book Collection</h2>
-        <div className="text-sm text-gray-600">
-          Total: {books.length} book{books.length !== 1 ? 's' : ''}
+        <div className="flex items-center space-x-4">
+          <div className="text-sm text-gray-600">
+            Total: {total} book{total !== 1 ? 's' : ''}
+          </div>
+          {onExport && (
+            <ExportMenu
+              onExport={onExport}
+              params={{
+                sort: query.sort,
+                order: query.order,
+                genre: query.genre,
+                author: query.author,
+                yearFrom: query.yearFrom,
+                yearTo: query.yearTo,
+                tags: query.tags
+              }}
+            />
+          )}
+        </div>
+      </div>
+
+      <ListControls query={query} genres={genres} tags={tags} onQueryChange={onQueryChange} />
+
+      {onBatch && books.length > 0 && (
+        <BulkActions
+          books={books}
+          selectedBooks={selectedBooks}
+          genres={genres}
+          canDelete={canDelete}
+          onBatch={onBatch}
+          onSelectionChange={setSelectedIds}
+        />
+      )}
+
+      {books.length === 0 ? (
+        <div className="text-center py-12">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No books match these filters</h3>
+          <p className="text-gray-500">Try widening the year range or clearing the filters.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {books.map((book) => (
+            <BookCard
+              key={book.id}
+              book={book}
+              authors={authors}
+              onAuthorSelect={onAuthorSelect}
+              onEdit={onEdit}
+              onDelete={canDelete ? onDelete : null}
+              onTagSelect={filterByTag}
+              onRemoveTag={onRemoveTag}
+              onHistory={onHistory}
+              onCopies={onCopies}
+              reviewControls={reviewControls}
+              collections={collections}
+              onAddToCollection={onAddToCollection}
+              onPatch={onPatch}
+              selected={selectedIds.includes(book.id)}
+              onSelect={onBatch ? toggleSelected : null}
+            />
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <Pager
+          pagination={pagination}
+          onPageChange={(page) => onQueryChange({ page })}
+        />
+      )}
+    </div>
+  )
+}
+
+// How many of the most used tags the tag cloud shows
+const TAG_CLOUD_SIZE = 20
+
+const ListControls = ({ query, genres, tags, onQueryChange }) => {
+  const activeTags = tagsFromQuery(query)
+  // Text and year filters are applied on submit so typing doesn't refetch
+  const [filters, setFilters] = useState({
+    author: query.author || '',
+    yearFrom: query.yearFrom || '',
+    yearTo: query.yearTo || ''
+  })
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }))
+  }
+
+  const applyFilters = (e) => {
+    e.preventDefault()
+    onQueryChange({ ...filters, page: 1 })
+  }
+
+  const clearFilters = () => {
+    setFilters({ author: '', yearFrom: '', yearTo: '' })
+    onQueryChange({ genre: '', author: '', yearFrom: '', yearTo: '', tags: '', page: 1 })
+  }
+
+  const toggleTag = (tag) => {
+    const nextTags = activeTags.includes(tag)
+      ? activeTags.filter(other => other !== tag)
+      : [...activeTags, tag]
+    onQueryChange({ tags: nextTags.join(','), page: 1 })
+  }
+
+  // Active filters stay visible even when they drop out of the top tags
+  const cloudTags = tags.slice(0, TAG_CLOUD_SIZE)
+  activeTags
+    .filter(tag => !cloudTags.some(cloudTag => cloudTag.name === tag))
+    .forEach(tag => cloudTags.push({ name: tag, count: 0 }))
+  const maxCount = Math.max(1, ...cloudTags.map(tag => tag.count))
+
+  return (
+    <form onSubmit={applyFilters} className="bg-white rounded-lg shadow-md p-4 mb-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3 items-end">
+        <div>
+          <label htmlFor="sort" className="block text-xs font-medium text-gray-700 mb-1">Sort by</label>
+          <select
+            id="sort"
+            value={query.sort}
+            onChange={(e) => onQueryChange({ sort: e.target.value, page: 1 })}
+            className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="order" className="block text-xs font-medium text-gray-700 mb-1">Direction</label>
+          <select
+            id="order"
+            value={query.order}
+            onChange={(e) => onQueryChange({ order: e.target.value, page: 1 })}
+            className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="asc">Ascending</option>
+            <option value="desc">Descending</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="genreFilter" className="block text-xs font-medium text-gray-700 mb-1">Genre</label>
+          <select
+            id="genreFilter"
+            value={query.genre || ''}
+            onChange={(e) => onQueryChange({ genre: e.target.value, page: 1 })}
+            className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All genres</option>
+            <GenreOptions genres={genres} />
+          </select>
+        </div>
+        <div>
+          <label htmlFor="authorFilter" className="block text-xs font-medium text-gray-700 mb-1">Author</label>
+          <input
+            type="text"
+            id="authorFilter"
+            name="author"
+            value={filters.author}
+            onChange={handleFilterChange}
+            placeholder="Any author"
+            className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label htmlFor="yearFrom" className="block text-xs font-medium text-gray-700 mb-1">Year from</label>
+          <input
+            type="number"
+            id="yearFrom"
+            name="yearFrom"
+            value={filters.yearFrom}
+            onChange={handleFilterChange}
+            className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label htmlFor="yearTo" className="block text-xs font-medium text-gray-700 mb-1">Year to</label>
+          <input
+            type="number"
+            id="yearTo"
+            name="yearTo"
+            value={filters.yearTo}
+            onChange={handleFilterChange}
+            className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            className="flex-1 bg-blue-600 text-white py-2 px-3 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            Apply
+          </button>
+          <button
+            type="button"
+            onClick={clearFilters}
+            className="flex-1 bg-gray-300 text-gray-700 py-2 px-3 rounded-md text-sm hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+          >
+            Clear
+          </button>
         </div>
       </div>
+      {cloudTags.length > 0 && (
+        <div className="flex flex-wrap items-baseline gap-2 mt-4">
+          <span className="text-xs font-medium text-gray-700">Tags</span>
+          {cloudTags.map((tag) => {
+            const isActive = activeTags.includes(tag.name)
+            // More used tags are drawn larger
+            const size = tag.count / maxCount > 0.66 ? 'text-base' : tag.count / maxCount > 0.33 ? 'text-sm' : 'text-xs'
+            return (
+              <button
+                key={tag.name}
+                type="button"
+                onClick={() => toggleTag(tag.name)}
+                aria-pressed={isActive}
+                title={`${tag.count} book${tag.count !== 1 ? 's' : ''}`}
+                className={`${size} px-2 py-0.5 rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                  isActive ? 'bg-blue-600 text-white' : 'text-blue-700 hover:bg-blue-50'
+                }`}
+              >
+                #{tag.name}
+              </button>
+            )
+          })}
+        </div>
+      )}
+    </form>
+  )
+}
+
+// Changes to every selected book at once, each sent as one batch request.
+// With "All or nothing" a single failure leaves every book as it was;
+// otherwise the books that failed stay selected so they can be retried.
+const BulkActions = ({ books, selectedBooks, genres, canDelete, onBatch, onSelectionChange }) => {
+  const [genre, setGenre] = useState('')
+  const [tag, setTag] = useState('')
+  const [atomic, setAtomic] = useState(false)
+  const [running, setRunning] = useState(false)
+  const [outcome, setOutcome] = useState(null)
+
+  const count = selectedBooks.length
+  const allSelected = count === books.length
+
+  const titleOf = (bookId) => books.find(book => book.id === bookId)?.title ?? `Book ${bookId}`
+
+  const run = async (operations, doneMessage) => {
+    if (operations.length === 0) {
+      setOutcome({ success: true, message: doneMessage, failures: [] })
+      return
+    }
+
+    setRunning(true)
+    setOutcome(null)
+    const result = await onBatch(operations, atomic)
+    setRunning(false)
+
+    const failed = (result.report?.results || []).filter(item => item.status === 'failed')
+    setOutcome({
+      success: result.success && failed.length === 0,
+      message: result.success ? result.message : result.error,
+      failures: failed.map(item => `${titleOf(item.id)}: ${item.errors?.[0]?.msg || item.message}`)
+    })
+    if (result.success) {
+      onSelectionChange(failed.map(item => item.id))
+    }
+  }
+
+  const changeGenre = () => {
+    run(
+      selectedBooks
+        .filter(book => book.genre !== genre)
+        .map(book => ({ op: 'update', id: book.id, version: book.version, data: { genre } })),
+      `The selected books are already in ${genre}`
+    )
+  }
+
+  const addTag = (e) => {
+    e.preventDefault()
+    const newTag = normalizeTag(tag)
+    if (!newTag) {
+      return
+    }
+    run(
+      selectedBooks
+        .filter(book => !(book.tags || []).includes(newTag))
+        .map(book => ({ op: 'update', id: book.id, version: book.version, data: { tags: [...(book.tags || []), newTag] } })),
+      `The selected books already have the tag "${newTag}"`
+    )
+    setTag('')
+  }
+
+  const deleteSelected = () => {
+    if (window.confirm(`Move ${count} book${count !== 1 ? 's' : ''} to the trash?`)) {
+      run(selectedBooks.map(book => ({ op: 'delete', id: book.id, version: book.version })))
+    }
+  }
+
+  const controlClassName = 'px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500'
+  const buttonClassName = 'py-1 px-3 rounded-md text-sm focus:outline-none focus:ring-2 disabled:opacity-50 disabled:cursor-not-allowed'
 
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {books.map((book) => (
-          <BookCard
-            key={book.id}
-            book={book}
-            onEdit={onEdit}
-            onDelete={onDelete}
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={allSelected}
+            onChange={() => onSelectionChange(allSelected ? [] : books.map(book => book.id))}
           />
-        ))}
+          <span>{count > 0 ? `${count} selected` : 'Select all on this page'}</span>
+        </label>
+
+        {count > 0 && (
+          <>
+            <div className="flex items-center space-x-2">
+              <select
+                value={genre}
+                onChange={(e) => setGenre(e.target.value)}
+                aria-label="New genre"
+                className={controlClassName}
+              >
+                <option value="">Choose a genre</option>
+                <GenreOptions genres={genres} />
+              </select>
+              <button
+                type="button"
+                onClick={changeGenre}
+                disabled={!genre || running}
+                className={`${buttonClassName} bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-500`}
+              >
+                Change Genre
+              </button>
+            </div>
+            <form onSubmit={addTag} className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={tag}
+                onChange={(e) => setTag(e.target.value)}
+                placeholder="Tag"
+                aria-label="Tag to add"
+                className={controlClassName}
+              />
+              <button
+                type="submit"
+                disabled={!tag.trim() || running}
+                className={`${buttonClassName} bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-500`}
+              >
+                Add Tag
+              </button>
+            </form>
+            {canDelete && (
+              <button
+                type="button"
+                onClick={deleteSelected}
+                disabled={running}
+                className={`${buttonClassName} bg-red-600 text-white hover:bg-red-700 focus:ring-red-500`}
+              >
+                Delete
+              </button>
+            )}
+            <label className="flex items-center space-x-2 text-sm text-gray-700" title="Only apply the changes if every book can be changed">
+              <input type="checkbox" checked={atomic} onChange={(e) => setAtomic(e.target.checked)} />
+              <span>All or nothing</span>
+            </label>
+            <button
+              type="button"
+              onClick={() => onSelectionChange([])}
+              className={`${buttonClassName} bg-gray-200 text-gray-700 hover:bg-gray-300 focus:ring-gray-500`}
+            >
+              Clear Selection
+            </button>
+            {running && <span className="text-sm text-gray-500">Applying...</span>}
+          </>
+        )}
       </div>
+
+      {outcome && (
+        <div className={`mt-3 text-sm ${outcome.success ? 'text-green-700' : 'text-red-700'}`}>
+          <p>{outcome.message}</p>
+          {outcome.failures.length > 0 && (
+            <ul className="list-disc list-inside mt-1">
+              {outcome.failures.map((failure, index) => (
+                <li key={index}>{failure}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const Pager = ({ pagination, onPageChange }) => {
+  return (
+    <div className="flex justify-between items-center mt-8">
+      <button
+        onClick={() => onPageChange(pagination.page - 1)}
+        disabled={!pagination.hasPrevPage}
+        className="bg-white border border-gray-300 text-gray-700 py-2 px-4 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Previous
+      </button>
+      <span className="text-sm text-gray-600">
+        Page {pagination.page} of {pagination.totalPages}
+      </span>
+      <button
+        onClick={() => onPageChange(pagination.page + 1)}
+        disabled={!pagination.hasNextPage}
+        className="bg-white border border-gray-300 text-gray-700 py-2 px-4 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Next
+      </button>
     </div>
   )
 }
 
-const BookCard = ({ book, onEdit, onDelete }) => {
+// Also used by CollectionView, which adds its own reordering controls
+export const BookCard = ({ book, authors, onAuthorSelect, onEdit, onDelete, onTagSelect, onRemoveTag, onHistory, onCopies, reviewControls, collections = [], onAddToCollection, onPatch, selected = false, onSelect }) => {
+  const [showReviews, setShowReviews] = useState(false)
+  
+  // A book added offline has no server ID until it's synced, so its history,
+  // copies, reviews and collections aren't available yet
+  const onServer = !isLocalId(book.id)
+  
+  // Collections the user can add this book to
+  const addableCollections = onServer ? collections.filter(collection =>
+    collection.editable && !collection.bookIds.includes(book.id)
+  ) : []
+
+  // Inline edits of a single field, when the card allows them
+  const inlineSave = (field) => onPatch ? (value) => onPatch(book.id, { [field]: value }) : null
+
   return (
-    <div className="bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow duration-200">
+    <div className={`relative bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow duration-200 ${selected ? 'ring-2 ring-blue-500' : ''}`}>
+      {onSelect && (
+        <input
+          type="checkbox"
+          checked={selected}
+          onChange={() => onSelect(book.id)}
+          aria-label={`Select ${book.title}`}
+          className="absolute top-3 left-3 w-5 h-5 cursor-pointer"
+        />
+      )}
+      {book.pendingSync && (
+        <span
+          title="Changed while offline; sent to the server once the connection returns"
+          className="absolute top-3 right-3 text-xs bg-amber-100 text-amber-800 px-2 py-0.5 rounded-full"
+        >
+          Not synced
+        </span>
+      )}
+      <BookCover book={book} className="w-full h-48 rounded-t-lg" />
       <div className="p-6">
         {/* Book Title */}
-        <h3 className="text-xl font-semibold text-gray-800 mb-2 line-clamp-2">
-          {book.title}
-        </h3>
+        <InlineEdit value={book.title} label="Title" onSave={inlineSave('title')} className="mb-2">
+          <h3 className="text-xl font-semibold text-gray-800 line-clamp-2">
+            {book.title}
+          </h3>
+        </InlineEdit>
         
-        {/* Author */}
+        {/* Authors, each linking to their author page */}
         <p className="text-gray-600 mb-2">
-          <span className="font-medium">by</span> {book.author}
+          <span className="font-medium">by</span>{' '}
+          {onAuthorSelect ? bookCredits(book, authors).map((credit, index) => (
+            <span key={credit.id ?? index}>
+              {index > 0 && AUTHOR_SEPARATOR}
+              {credit.id ? (
+                <button
+                  type="button"
+                  onClick={() => onAuthorSelect(credit.id)}
+                  className="hover:text-blue-700 hover:underline focus:outline-none focus:underline"
+                >
+                  {credit.name}
+                </button>
+              ) : credit.name}
+            </span>
+          )) : book.author}
         </p>
         
         {/* Genre and Year */}
@@ -55,30 +550,116 @@ const BookCard = ({ book, onEdit, onDelete }) => {
           <span className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">
             {book.genre}
           </span>
-          <span className="text-sm text-gray-500">
-            {book.publicationYear}
+          <InlineEdit value={book.publicationYear} label="Publication year" type="number" onSave={inlineSave('publicationYear')}>
+            <span className="text-sm text-gray-500">
+              {book.publicationYear}
+            </span>
+          </InlineEdit>
+        </div>
+        
+        {/* Average rating; opens the reviews */}
+        <div className="flex items-center justify-between mb-3 text-sm">
+          <span className="flex items-center text-gray-600">
+            <StarRating rating={book.averageRating} className="mr-2" />
+            {book.reviewCount > 0
+              ? `${book.averageRating} (${book.reviewCount} review${book.reviewCount === 1 ? '' : 's'})`
+              : 'No reviews'}
           </span>
+          {reviewControls && onServer && (
+            <button
+              type="button"
+              onClick={() => setShowReviews(!showReviews)}
+              className="text-blue-600 hover:text-blue-800 focus:outline-none focus:underline"
+            >
+              {showReviews ? 'Hide reviews' : 'Reviews'}
+            </button>
+          )}
         </div>
         
+        {showReviews && onServer && <BookReviews book={book} {...reviewControls} />}
+        
+        {/* Availability, once the library holds copies */}
+        {book.availability?.total > 0 && (
+          <p className="mb-3">
+            <span className={`inline-block text-xs px-2 py-1 rounded-full ${
+              book.availability.available > 0
+                ? 'bg-green-100 text-green-800'
+                : 'bg-red-100 text-red-800'
+            }`}>
+              {book.availability.available > 0
+                ? `${book.availability.available} of ${book.availability.total} available`
+                : 'All copies on loan'}
+            </span>
+          </p>
+        )}
+        
+        {/* ISBN */}
+        {book.isbn && (
+          <p className="text-xs text-gray-500 mb-3">ISBN {book.isbn}</p>
+        )}
+        
+        {/* Tags */}
+        <TagList
+          tags={book.tags}
+          onSelect={onTagSelect}
+          onRemove={onRemoveTag ? (tag) => onRemoveTag(book.id, tag) : null}
+          className="mb-3"
+        />
+        
         {/* Description */}
-        <p className="text-gray-700 text-sm mb-4 line-clamp-3">
-          {book.description}
-        </p>
+        <InlineEdit value={book.description} label="Description" type="textarea" onSave={inlineSave('description')} className="mb-4">
+          <p className="text-gray-700 text-sm line-clamp-3">
+            {book.description}
+          </p>
+        </InlineEdit>
+        
+        {/* Add to collection */}
+        {onAddToCollection && addableCollections.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => onAddToCollection(parseInt(e.target.value), book.id)}
+            aria-label={`Add ${book.title} to a collection`}
+            className="w-full mb-3 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Add to collection…</option>
+            {addableCollections.map((collection) => (
+              <option key={collection.id} value={collection.id}>{collection.name}</option>
+            ))}
+          </select>
+        )}
         
         {/* Action Buttons */}
         <div className="flex space-x-2">
+          {onHistory && onServer && (
+            <button
+              onClick={() => onHistory(book)}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 px-3 rounded-md text-sm hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500 transition-colors"
+            >
+              History
+            </button>
+          )}
+          {onCopies && onServer && (
+            <button
+              onClick={() => onCopies(book)}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 px-3 rounded-md text-sm hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500 transition-colors"
+            >
+              Copies
+            </button>
+          )}
           <button
             onClick={() => onEdit(book)}
             className="flex-1 bg-blue-600 text-white py-2 px-3 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors"
           >
             Edit
           </button>
-          <button
-            onClick={() => onDelete(book.id)}
-            className="flex-1 bg-red-600 text-white py-2 px-3 rounded-md text-sm hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 transition-colors"
-          >
-            Delete
-          </button>
+          {onDelete && (
+            <button
+              onClick={() => onDelete(book.id)}
+              className="flex-1 bg-red-600 text-white py-2 px-3 rounded-md text-sm hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 transition-colors"
+            >
+              Delete
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,170 @@
+import { useState, useEffect, useCallback } from 'react'
+import StarRating from './StarRating'
+
+const emptyReview = { rating: 0, text: '' }
+
+// Reviews shown inside a book card. Readers add or edit their own review;
+// admins can also hide reviews from other readers or delete them.
+const BookReviews = ({ book, currentActor, onLoadReviews, onSaveReview, onDeleteReview, onModerate, canModerate }) => {
+  const [reviews, setReviews] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [draft, setDraft] = useState(emptyReview)
+  const [editingId, setEditingId] = useState(null)
+  const [formError, setFormError] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const loadReviews = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    const result = await onLoadReviews(book.id)
+    if (result.success) {
+      setReviews(result.reviews)
+    } else {
+      setError(result.error)
+    }
+    setLoading(false)
+  }, [book.id, onLoadReviews])
+
+  useEffect(() => {
+    loadReviews()
+  }, [loadReviews])
+
+  const ownReview = reviews.find(review => review.createdBy === currentActor)
+  const showForm = !ownReview || editingId === ownReview.id
+
+  // Run an action, then refresh the reviews
+  const runAction = async (action, failureMessage) => {
+    setBusy(true)
+    const result = await action()
+    setBusy(false)
+
+    if (result.success) {
+      await loadReviews()
+    } else {
+      alert(failureMessage + result.error)
+    }
+    return result
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!draft.rating) {
+      setFormError('Pick a rating from 1 to 5 stars')
+      return
+    }
+
+    setFormError(null)
+    const result = await runAction(
+      () => onSaveReview(book.id, editingId, draft),
+      'Error saving review: '
+    )
+    if (result.success) {
+      setDraft(emptyReview)
+      setEditingId(null)
+    }
+  }
+
+  const startEditing = (review) => {
+    setDraft({ rating: review.rating, text: review.text })
+    setEditingId(review.id)
+  }
+
+  const handleDelete = (review) => {
+    if (window.confirm('Delete this review?')) {
+      runAction(() => onDeleteReview(book.id, review.id), 'Error deleting review: ')
+    }
+  }
+
+  return (
+    <div className="border-t border-gray-100 pt-3 mb-4">
+      {loading && <p className="text-sm text-gray-600">Loading reviews...</p>}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {!loading && !error && reviews.length === 0 && (
+        <p className="text-sm text-gray-500 mb-2">No reviews yet.</p>
+      )}
+
+      <ul className="space-y-3 mb-3">
+        {reviews.map((review) => (
+          <li key={review.id} className={`text-sm ${review.hidden ? 'opacity-60' : ''}`}>
+            <div className="flex justify-between items-center">
+              <span>
+                <StarRating rating={review.rating} className="mr-2" />
+                <span className="font-medium text-gray-800">{review.reviewer}</span>
+                {review.hidden && <span className="ml-2 text-xs text-red-700">hidden</span>}
+              </span>
+              <span className="text-xs text-gray-500">
+                {new Date(review.createdAt).toLocaleDateString()}
+                {review.updatedAt !== review.createdAt && ' (edited)'}
+              </span>
+            </div>
+            {review.text && <p className="text-gray-700 mt-1 whitespace-pre-line">{review.text}</p>}
+            <div className="flex space-x-3 mt-1 text-xs">
+              {review.createdBy === currentActor && (
+                <button onClick={() => startEditing(review)} disabled={busy} className="text-blue-600 hover:text-blue-800">
+                  Edit
+                </button>
+              )}
+              {(review.createdBy === currentActor || canModerate) && (
+                <button onClick={() => handleDelete(review)} disabled={busy} className="text-red-600 hover:text-red-800">
+                  Delete
+                </button>
+              )}
+              {canModerate && (
+                <button
+                  onClick={() => runAction(() => onModerate(book.id, review.id, !review.hidden), 'Error moderating review: ')}
+                  disabled={busy}
+                  className="text-gray-600 hover:text-gray-800"
+                >
+                  {review.hidden ? 'Show' : 'Hide'}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {!loading && showForm && (
+        <form onSubmit={handleSubmit}>
+          <div className="flex items-center mb-2">
+            <span className="text-sm text-gray-700 mr-2">{editingId ? 'Edit your review' : 'Your rating'}</span>
+            <StarRating rating={draft.rating} onChange={(rating) => setDraft(prev => ({ ...prev, rating }))} />
+          </div>
+          <textarea
+            value={draft.text}
+            onChange={(e) => setDraft(prev => ({ ...prev, text: e.target.value }))}
+            rows={2}
+            placeholder="What did you think? (optional)"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 mb-2"
+          />
+          <div className="flex items-center space-x-2">
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-blue-600 text-white py-1 px-3 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {editingId ? 'Save Review' : 'Post Review'}
+            </button>
+            {editingId && (
+              <button
+                type="button"
+                onClick={() => {
+                  setEditingId(null)
+                  setDraft(emptyReview)
+                }}
+                className="bg-gray-300 text-gray-700 py-1 px-3 rounded-md text-sm hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+              >
+                Cancel
+              </button>
+            )}
+            {formError && <p className="text-sm text-red-600">{formError}</p>}
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default BookReviews
@@ -0,0 +1,216 @@
+import { useState, useEffect, useCallback } from 'react'
+
+const LOAN_FILTERS = [
+  { value: 'active', label: 'On loan' },
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'returned', label: 'Returned' }
+]
+
+const formatDate = (value) => new Date(value).toLocaleDateString()
+
+const CirculationDesk = ({ onLoadLoans, onCheckout, onCheckin, onRenew }) => {
+  const [desk, setDesk] = useState({ barcode: '', borrower: '', dueDate: '' })
+  const [status, setStatus] = useState('active')
+  const [loans, setLoans] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const loadLoans = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    const result = await onLoadLoans(status)
+    if (result.success) {
+      setLoans(result.loans)
+    } else {
+      setError(result.error)
+    }
+    setLoading(false)
+  }, [status, onLoadLoans])
+
+  useEffect(() => {
+    loadLoans()
+  }, [loadLoans])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setDesk(prev => ({ ...prev, [name]: value }))
+  }
+
+  // Run a desk action, report its outcome and refresh the loan list
+  const runAction = async (action) => {
+    setBusy(true)
+    setNotice(null)
+    const result = await action()
+    setBusy(false)
+
+    if (result.success) {
+      setNotice({ type: 'success', text: result.message })
+      setDesk(prev => ({ ...prev, barcode: '', dueDate: '' }))
+      await loadLoans()
+    } else {
+      setNotice({ type: 'error', text: result.error })
+    }
+  }
+
+  const handleCheckout = (e) => {
+    e.preventDefault()
+
+    if (!desk.barcode.trim() || !desk.borrower.trim()) {
+      setNotice({ type: 'error', text: 'Barcode and borrower are required to check out' })
+      return
+    }
+
+    runAction(() => onCheckout(desk.barcode, desk.borrower, desk.dueDate || undefined))
+  }
+
+  const requireBarcode = (action) => {
+    if (!desk.barcode.trim()) {
+      setNotice({ type: 'error', text: 'Scan or enter a barcode first' })
+      return
+    }
+
+    runAction(() => action(desk.barcode))
+  }
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold text-gray-800 mb-6">Circulation</h2>
+
+      <form onSubmit={handleCheckout} className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          <div>
+            <label htmlFor="barcode" className="block text-sm font-medium text-gray-700 mb-1">
+              Barcode
+            </label>
+            <input
+              type="text"
+              id="barcode"
+              name="barcode"
+              value={desk.barcode}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              autoFocus
+            />
+          </div>
+          <div>
+            <label htmlFor="borrower" className="block text-sm font-medium text-gray-700 mb-1">
+              Borrower
+            </label>
+            <input
+              type="text"
+              id="borrower"
+              name="borrower"
+              value={desk.borrower}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="dueDate" className="block text-sm font-medium text-gray-700 mb-1">
+              Due date <span className="text-gray-400">(optional)</span>
+            </label>
+            <input
+              type="date"
+              id="dueDate"
+              name="dueDate"
+              value={desk.dueDate}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        </div>
+
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            disabled={busy}
+            className="bg-blue-600 text-white py-2 px-4 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Check Out
+          </button>
+          <button
+            type="button"
+            onClick={() => requireBarcode(onCheckin)}
+            disabled={busy}
+            className="bg-green-600 text-white py-2 px-4 rounded-md text-sm hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Check In
+          </button>
+          <button
+            type="button"
+            onClick={() => requireBarcode((barcode) => onRenew(barcode, desk.dueDate || undefined))}
+            disabled={busy}
+            className="bg-gray-200 text-gray-700 py-2 px-4 rounded-md text-sm hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Renew
+          </button>
+        </div>
+
+        {notice && (
+          <p className={`text-sm mt-3 ${notice.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>
+            {notice.text}
+          </p>
+        )}
+      </form>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-800">Loans</h3>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {LOAN_FILTERS.map(filter => (
+              <option key={filter.value} value={filter.value}>{filter.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading && <p className="text-gray-600">Loading loans...</p>}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {!loading && !error && loans.length === 0 && (
+          <p className="text-gray-500">No loans to show.</p>
+        )}
+
+        {!loading && loans.length > 0 && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-medium pb-1">Book</th>
+                <th className="font-medium pb-1">Barcode</th>
+                <th className="font-medium pb-1">Borrower</th>
+                <th className="font-medium pb-1">Checked out</th>
+                <th className="font-medium pb-1">{status === 'returned' ? 'Returned' : 'Due'}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loans.map((loan) => (
+                <tr key={loan.id} className="align-top border-t border-gray-100">
+                  <td className="py-2 pr-2 text-gray-800">
+                    {loan.book ? loan.book.title : <span className="text-gray-400">Deleted book</span>}
+                  </td>
+                  <td className="py-2 pr-2 font-mono text-gray-700">{loan.barcode}</td>
+                  <td className="py-2 pr-2 text-gray-700">{loan.borrower}</td>
+                  <td className="py-2 pr-2 text-gray-700">{formatDate(loan.checkedOutAt)}</td>
+                  <td className={`py-2 ${loan.overdue ? 'text-red-700 font-medium' : 'text-gray-700'}`}>
+                    {formatDate(loan.returnedAt || loan.dueDate)}
+                    {loan.overdue && ` · ${loan.daysOverdue} day(s) overdue`}
+                    {loan.renewals > 0 && !loan.returnedAt && (
+                      <span className="text-gray-500 font-normal"> · renewed {loan.renewals}×</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CirculationDesk
@@ -0,0 +1,120 @@
+import { useState } from 'react'
+
+const emptyCollection = { name: '', description: '', visibility: 'private' }
+
+const CollectionList = ({ collections, onSelect, onCreate }) => {
+  const [newCollection, setNewCollection] = useState(emptyCollection)
+  const [formError, setFormError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setNewCollection(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!newCollection.name.trim()) {
+      setFormError('Name is required')
+      return
+    }
+
+    setSaving(true)
+    setFormError(null)
+    const result = await onCreate(newCollection)
+    setSaving(false)
+
+    if (result.success) {
+      setNewCollection(emptyCollection)
+    } else {
+      setFormError(result.error)
+    }
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">Collections</h2>
+        <div className="text-sm text-gray-600">
+          {collections.length} collection{collections.length !== 1 ? 's' : ''}
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <input
+            type="text"
+            name="name"
+            value={newCollection.name}
+            onChange={handleChange}
+            placeholder="New collection, e.g. Sprint reading"
+            className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <select
+            name="visibility"
+            value={newCollection.visibility}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="private">Private</option>
+            <option value="public">Public</option>
+          </select>
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 text-white py-2 px-4 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Creating...' : 'Create'}
+          </button>
+        </div>
+        <input
+          type="text"
+          name="description"
+          value={newCollection.description}
+          onChange={handleChange}
+          placeholder="Description (optional)"
+          className="w-full mt-3 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        {formError && <p className="text-sm text-red-600 mt-2">{formError}</p>}
+      </form>
+
+      {collections.length === 0 ? (
+        <p className="text-center text-gray-500 py-12">
+          No collections yet. Create one, then add books to it from their cards.
+        </p>
+      ) : (
+        <ul className="bg-white rounded-lg shadow-md divide-y divide-gray-100">
+          {collections.map((collection) => (
+            <li key={collection.id}>
+              <button
+                onClick={() => onSelect(collection.id)}
+                className="w-full flex justify-between items-center px-4 py-3 text-left hover:bg-gray-50 focus:outline-none focus:bg-gray-50"
+              >
+                <span>
+                  <span className="font-medium text-gray-800">{collection.name}</span>
+                  <span className={`ml-2 text-xs px-2 py-1 rounded-full ${
+                    collection.visibility === 'public' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                  }`}>
+                    {collection.visibility}
+                  </span>
+                  {!collection.editable && (
+                    <span className="ml-2 text-sm text-gray-500">by {collection.owner.replace(/^user:/, '')}</span>
+                  )}
+                  {collection.description && (
+                    <span className="block text-sm text-gray-600">{collection.description}</span>
+                  )}
+                </span>
+                <span className="text-sm text-gray-500">
+                  {collection.bookCount} book{collection.bookCount !== 1 ? 's' : ''}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default CollectionList
@@ -0,0 +1,264 @@
+import { useState, useEffect, useCallback } from 'react'
+import { BookCard } from './BookList'
+
+const CollectionView = ({ collectionId, authors, onLoadCollection, onUpdate, onDelete, onReorder, onRemoveBook, onEditBook, onAuthorSelect, onClose }) => {
+  const [collection, setCollection] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [editing, setEditing] = useState(false)
+  const [formData, setFormData] = useState({ name: '', description: '', visibility: 'private' })
+  const [formError, setFormError] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const loadCollection = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    const result = await onLoadCollection(collectionId)
+    if (result.success) {
+      setCollection(result.collection)
+    } else {
+      setError(result.error)
+    }
+    setLoading(false)
+  }, [collectionId, onLoadCollection])
+
+  useEffect(() => {
+    loadCollection()
+  }, [loadCollection])
+
+  const startEditing = () => {
+    setFormData({
+      name: collection.name,
+      description: collection.description,
+      visibility: collection.visibility
+    })
+    setFormError(null)
+    setEditing(true)
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+
+    if (!formData.name.trim()) {
+      setFormError('Name is required')
+      return
+    }
+
+    setBusy(true)
+    const result = await onUpdate(collection.id, formData)
+    setBusy(false)
+
+    if (result.success) {
+      setCollection(prev => ({ ...prev, ...result.collection }))
+      setEditing(false)
+    } else {
+      setFormError(result.error)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the collection "${collection.name}"? Its books stay in the catalog.`)) {
+      return
+    }
+
+    const result = await onDelete(collection.id)
+    if (!result.success) {
+      alert('Error deleting collection: ' + result.error)
+    }
+  }
+
+  // Swap a book with its neighbour and save the new order
+  const moveBook = async (index, offset) => {
+    const reordered = [...collection.books]
+    const [book] = reordered.splice(index, 1)
+    reordered.splice(index + offset, 0, book)
+
+    setBusy(true)
+    const result = await onReorder(collection.id, reordered.map(other => other.id))
+    setBusy(false)
+
+    if (result.success) {
+      setCollection(prev => ({ ...prev, books: reordered }))
+    } else {
+      alert('Error reordering collection: ' + result.error)
+    }
+  }
+
+  const handleRemove = async (book) => {
+    setBusy(true)
+    const result = await onRemoveBook(collection.id, book.id)
+    setBusy(false)
+
+    if (result.success) {
+      setCollection(prev => ({ ...prev, books: prev.books.filter(other => other.id !== book.id) }))
+    } else {
+      alert('Error removing book: ' + result.error)
+    }
+  }
+
+  if (loading) {
+    return <p className="text-center text-gray-600 py-12">Loading collection...</p>
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-sm text-red-600 mb-4">{error}</p>
+        <button onClick={onClose} className="text-blue-600 hover:text-blue-800">Back to collections</button>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        {editing ? (
+          <form onSubmit={handleSave} className="space-y-3">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <select
+                name="visibility"
+                value={formData.visibility}
+                onChange={handleChange}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="private">Private</option>
+                <option value="public">Public</option>
+              </select>
+            </div>
+            <input
+              type="text"
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              placeholder="Description (optional)"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <div className="flex items-center space-x-2">
+              <button
+                type="submit"
+                disabled={busy}
+                className="bg-blue-600 text-white py-2 px-4 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={() => setEditing(false)}
+                className="bg-gray-300 text-gray-700 py-2 px-4 rounded-md text-sm hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+              >
+                Cancel
+              </button>
+              {formError && <p className="text-sm text-red-600">{formError}</p>}
+            </div>
+          </form>
+        ) : (
+          <div className="flex justify-between items-start">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-800">
+                {collection.name}
+                <span className={`ml-3 align-middle text-xs font-normal px-2 py-1 rounded-full ${
+                  collection.visibility === 'public' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                }`}>
+                  {collection.visibility}
+                </span>
+              </h2>
+              {collection.description && <p className="text-gray-600 mt-1">{collection.description}</p>}
+              <p className="text-sm text-gray-500 mt-1">
+                {collection.books.length} book{collection.books.length !== 1 ? 's' : ''}
+                {' · '}curated by {collection.owner.replace(/^user:/, '')}
+              </p>
+            </div>
+            <div className="flex space-x-2">
+              {collection.editable && (
+                <>
+                  <button
+                    onClick={startEditing}
+                    className="bg-blue-600 text-white py-2 px-4 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={handleDelete}
+                    className="bg-red-600 text-white py-2 px-4 rounded-md text-sm hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500"
+                  >
+                    Delete
+                  </button>
+                </>
+              )}
+              <button
+                onClick={onClose}
+                className="bg-gray-300 text-gray-700 py-2 px-4 rounded-md text-sm hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+              >
+                Back
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {collection.books.length === 0 ? (
+        <div className="text-center py-12">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">This collection is empty</h3>
+          <p className="text-gray-500">Use "Add to collection" on a book card to add books.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {collection.books.map((book, index) => (
+            <div key={book.id}>
+              {collection.editable && (
+                <div className="flex justify-between items-center mb-1 text-sm text-gray-600">
+                  <span className="font-medium">#{index + 1}</span>
+                  <span className="space-x-3">
+                    <button
+                      onClick={() => moveBook(index, -1)}
+                      disabled={busy || index === 0}
+                      aria-label="Move earlier"
+                      className="hover:text-blue-700 disabled:opacity-30"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => moveBook(index, 1)}
+                      disabled={busy || index === collection.books.length - 1}
+                      aria-label="Move later"
+                      className="hover:text-blue-700 disabled:opacity-30"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      onClick={() => handleRemove(book)}
+                      disabled={busy}
+                      className="text-red-600 hover:text-red-800 disabled:opacity-30"
+                    >
+                      Remove
+                    </button>
+                  </span>
+                </div>
+              )}
+              <BookCard
+                book={book}
+                authors={authors}
+                onAuthorSelect={onAuthorSelect}
+                onEdit={onEditBook}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CollectionView
@@ -0,0 +1,61 @@
+import { useState } from 'react'
+
+const EXPORT_OPTIONS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+  { value: 'bibtex', label: 'BibTeX' },
+  { value: 'marcxml', label: 'MARCXML' }
+]
+
+// Export button with a format picker; params carries the active filters or search
+const ExportMenu = ({ onExport, params }) => {
+  const [format, setFormat] = useState('csv')
+  const [isExporting, setIsExporting] = useState(false)
+
+  const handleExport = async () => {
+    setIsExporting(true)
+    
+    const result = await onExport({ ...params, format })
+    setIsExporting(false)
+    
+    if (!result.success) {
+      alert('Export failed: ' + result.error)
+      return
+    }
+    
+    // Hand the file to the browser as a download
+    const url = URL.createObjectURL(result.blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = result.filename
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="flex items-center space-x-2">
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        aria-label="Export format"
+        className="px-2 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {EXPORT_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={handleExport}
+        disabled={isExporting}
+        className="bg-white border border-gray-300 text-gray-700 py-2 px-4 rounded-md text-sm hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isExporting ? 'Exporting...' : 'Export'}
+      </button>
+    </div>
+  )
+}
+
+export default ExportMenu
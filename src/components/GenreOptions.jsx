@@ -0,0 +1,11 @@
+// <option> elements for a genre <select>, indenting subgenres under their parent.
+// Expects genres in the hierarchy order returned by GET /api/genres.
+const GenreOptions = ({ genres }) => {
+  return genres.map((genre) => (
+    <option key={genre.id} value={genre.name}>
+      {'\u00a0\u00a0'.repeat(genre.depth || 0)}{genre.name}
+    </option>
+  ))
+}
+
+export default GenreOptions
@@ -0,0 +1,241 @@
+import { useState } from 'react'
+
+const STATUS_STYLES = {
+  created: 'bg-green-100 text-green-800',
+  skipped: 'bg-yellow-100 text-yellow-800',
+  rejected: 'bg-red-100 text-red-800'
+}
+
+// Guess the format from the file name, falling back to sniffing the content
+const detectFormat = (fileName, content) => {
+  if (/\.json$/i.test(fileName)) return 'json'
+  if (/\.csv$/i.test(fileName)) return 'csv'
+  return /^\s*[[{]/.test(content) ? 'json' : 'csv'
+}
+
+const ImportWizard = ({ onImport, onDone }) => {
+  const [step, setStep] = useState('select')
+  const [fileName, setFileName] = useState('')
+  const [content, setContent] = useState('')
+  const [format, setFormat] = useState('csv')
+  const [report, setReport] = useState(null)
+  const [error, setError] = useState(null)
+  const [isWorking, setIsWorking] = useState(false)
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+    
+    const reader = new FileReader()
+    reader.onload = () => {
+      setFileName(file.name)
+      setContent(reader.result)
+      setFormat(detectFormat(file.name, reader.result))
+      setError(null)
+    }
+    reader.onerror = () => setError('Could not read the selected file')
+    reader.readAsText(file)
+  }
+
+  const runImport = async (dryRun) => {
+    if (!content.trim()) {
+      setError('Choose a file or paste some data first')
+      return
+    }
+    
+    setIsWorking(true)
+    setError(null)
+    
+    const result = await onImport(content, format, dryRun)
+    setIsWorking(false)
+    
+    if (result.success) {
+      setReport(result.report)
+      setStep(dryRun ? 'preview' : 'done')
+    } else {
+      setError(result.error)
+    }
+  }
+
+  const startOver = () => {
+    setStep('select')
+    setFileName('')
+    setContent('')
+    setReport(null)
+    setError(null)
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Import Books</h2>
+        <p className="text-sm text-gray-600 mb-6">
+          {step === 'select' && 'Step 1 of 3: choose a CSV or JSON file'}
+          {step === 'preview' && 'Step 2 of 3: check what will be imported'}
+          {step === 'done' && 'Step 3 of 3: import complete'}
+        </p>
+
+        {step === 'select' && (
+          <div className="space-y-6">
+            <div>
+              <label htmlFor="importFile" className="block text-sm font-medium text-gray-700 mb-2">
+                File
+              </label>
+              <input
+                type="file"
+                id="importFile"
+                accept=".csv,.json,text/csv,application/json"
+                onChange={handleFileChange}
+                className="block w-full text-sm text-gray-700"
+              />
+              {fileName && <p className="mt-1 text-xs text-gray-500">Loaded {fileName}</p>}
+            </div>
+
+            <div>
+              <label htmlFor="importContent" className="block text-sm font-medium text-gray-700 mb-2">
+                Or paste data
+              </label>
+              <textarea
+                id="importContent"
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                rows="8"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder={'title,author,genre,publicationYear,description\nDune,Frank Herbert,Science Fiction,1965,"Politics, religion and sandworms"'}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="importFormat" className="block text-sm font-medium text-gray-700 mb-2">
+                Format
+              </label>
+              <select
+                id="importFormat"
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="csv">CSV (header row required)</option>
+                <option value="json">JSON (array of books)</option>
+              </select>
+            </div>
+
+            <div className="bg-blue-50 border border-blue-200 rounded-md p-4 text-sm text-blue-700">
+              Columns: title, author, genre, publicationYear (or year) and description.
+              Each row is checked with the same rules as the Add Book form.
+            </div>
+          </div>
+        )}
+
+        {report && step !== 'select' && <ImportReport report={report} />}
+
+        {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+
+        <div className="flex space-x-4 mt-6">
+          {step === 'select' && (
+            <button
+              onClick={() => runImport(true)}
+              disabled={isWorking}
+              className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isWorking ? 'Checking...' : 'Preview Import'}
+            </button>
+          )}
+          {step === 'preview' && (
+            <button
+              onClick={() => runImport(false)}
+              disabled={isWorking || report.summary.created === 0}
+              className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isWorking ? 'Importing...' : `Import ${report.summary.created} Book${report.summary.created !== 1 ? 's' : ''}`}
+            </button>
+          )}
+          {step === 'done' && (
+            <button
+              onClick={onDone}
+              className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              View Books
+            </button>
+          )}
+          {step !== 'select' && (
+            <button
+              onClick={startOver}
+              disabled={isWorking}
+              className="flex-1 bg-gray-300 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+            >
+              Start Over
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+const ImportReport = ({ report }) => {
+  const { summary, rows, dryRun } = report
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-4 mb-6">
+        <div className="bg-green-50 rounded-md p-4 text-center">
+          <p className="text-2xl font-bold text-green-800">{summary.created}</p>
+          <p className="text-sm text-green-700">{dryRun ? 'will be created' : 'created'}</p>
+        </div>
+        <div className="bg-yellow-50 rounded-md p-4 text-center">
+          <p className="text-2xl font-bold text-yellow-800">{summary.skipped}</p>
+          <p className="text-sm text-yellow-700">skipped (duplicates)</p>
+        </div>
+        <div className="bg-red-50 rounded-md p-4 text-center">
+          <p className="text-2xl font-bold text-red-800">{summary.rejected}</p>
+          <p className="text-sm text-red-700">rejected (invalid)</p>
+        </div>
+      </div>
+
+      <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-md">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr className="text-left text-gray-600">
+              <th className="px-3 py-2 font-medium">Row</th>
+              <th className="px-3 py-2 font-medium">Status</th>
+              <th className="px-3 py-2 font-medium">Book</th>
+              <th className="px-3 py-2 font-medium">Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => {
+              const book = row.book || row.input || {}
+              return (
+                <tr key={row.row} className="border-t border-gray-100 align-top">
+                  <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                  <td className="px-3 py-2">
+                    <span className={`inline-block text-xs px-2 py-1 rounded-full ${STATUS_STYLES[row.status]}`}>
+                      {row.status}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2 text-gray-800">
+                    {book.title || <span className="text-gray-400">(no title)</span>}
+                    {book.author && <span className="text-gray-500"> by {book.author}</span>}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">
+                    {row.message}
+                    {row.errors && (
+                      <ul className="text-red-700">
+                        {row.errors.map((error, index) => (
+                          <li key={index}>{error.msg}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default ImportWizard
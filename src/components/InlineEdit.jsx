@@ -0,0 +1,119 @@
+import { useState } from 'react'
+
+// Shows children normally, with a pencil button that swaps them for an input
+// to change a single value in place. onSave(value) returns { success, error };
+// Enter saves (Ctrl+Enter in a textarea) and Escape cancels.
+const InlineEdit = ({ value, label, type = 'text', onSave, children, className = '' }) => {
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  if (!onSave) {
+    return <div className={className}>{children}</div>
+  }
+
+  const startEditing = () => {
+    setDraft(String(value ?? ''))
+    setError(null)
+    setEditing(true)
+  }
+
+  const save = async () => {
+    const text = draft.trim()
+    if (!text) {
+      setError(`${label} is required`)
+      return
+    }
+
+    const newValue = type === 'number' ? parseInt(text) : text
+    if (newValue === value) {
+      setEditing(false)
+      return
+    }
+
+    setSaving(true)
+    const result = await onSave(newValue)
+    setSaving(false)
+
+    if (result.success) {
+      setEditing(false)
+    } else {
+      setError(result.error)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setEditing(false)
+    } else if (e.key === 'Enter' && (type !== 'textarea' || e.ctrlKey || e.metaKey)) {
+      e.preventDefault()
+      save()
+    }
+  }
+
+  if (!editing) {
+    return (
+      <div className={`group relative pr-6 ${className}`}>
+        {children}
+        <button
+          type="button"
+          onClick={startEditing}
+          aria-label={`Edit ${label.toLowerCase()}`}
+          title={`Edit ${label.toLowerCase()}`}
+          className="absolute top-0 right-0 px-1 text-gray-400 bg-white rounded opacity-0 group-hover:opacity-100 focus:opacity-100 hover:text-blue-700"
+        >
+          ✎
+        </button>
+      </div>
+    )
+  }
+
+  const inputClassName = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+  return (
+    <div className={className}>
+      {type === 'textarea' ? (
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          rows={4}
+          aria-label={label}
+          className={inputClassName}
+          autoFocus
+        />
+      ) : (
+        <input
+          type={type}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          aria-label={label}
+          className={inputClassName}
+          autoFocus
+        />
+      )}
+      <div className="flex items-center space-x-2 mt-1">
+        <button
+          type="button"
+          onClick={save}
+          disabled={saving}
+          className="bg-blue-600 text-white py-1 px-2 rounded-md text-xs hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setEditing(false)}
+          className="bg-gray-200 text-gray-700 py-1 px-2 rounded-md text-xs hover:bg-gray-300"
+        >
+          Cancel
+        </button>
+        {error && <p className="text-xs text-red-600">{error}</p>}
+      </div>
+    </div>
+  )
+}
+
+export default InlineEdit
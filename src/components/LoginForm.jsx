@@ -0,0 +1,118 @@
+import { useState } from 'react'
+
+const LoginForm = ({ onLogin, onRegister }) => {
+  const [mode, setMode] = useState('login')
+  const [formData, setFormData] = useState({
+    username: '',
+    password: ''
+  })
+  const [error, setError] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const isRegistering = mode === 'register'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    
+    if (!formData.username.trim() || !formData.password) {
+      setError('Username and password are required')
+      return
+    }
+    
+    setIsSubmitting(true)
+    setError(null)
+    
+    try {
+      const submit = isRegistering ? onRegister : onLogin
+      const result = await submit(formData.username.trim(), formData.password)
+      
+      if (!result.success) {
+        setError(result.error)
+      }
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }))
+  }
+
+  const toggleMode = () => {
+    setMode(isRegistering ? 'login' : 'register')
+    setError(null)
+  }
+
+  return (
+    <div className="max-w-md mx-auto">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-gray-800 mb-6">
+          {isRegistering ? 'Create an Account' : 'Sign In'}
+        </h2>
+        
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {/* Username */}
+          <div>
+            <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-2">
+              Username
+            </label>
+            <input
+              type="text"
+              id="username"
+              name="username"
+              autoComplete="username"
+              value={formData.username}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Enter your username"
+            />
+          </div>
+
+          {/* Password */}
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+              Password
+            </label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              autoComplete={isRegistering ? 'new-password' : 'current-password'}
+              value={formData.password}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder={isRegistering ? 'At least 8 characters' : 'Enter your password'}
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Please wait...' : (isRegistering ? 'Create Account' : 'Sign In')}
+          </button>
+        </form>
+
+        <p className="mt-6 text-sm text-gray-600 text-center">
+          {isRegistering ? 'Already have an account?' : "Don't have an account?"}{' '}
+          <button
+            type="button"
+            onClick={toggleMode}
+            className="text-blue-600 hover:text-blue-800 font-medium"
+          >
+            {isRegistering ? 'Sign in' : 'Create one'}
+          </button>
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default LoginForm
@@ -0,0 +1,133 @@
+import { useState } from 'react'
+
+const PROPOSAL_FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'author', label: 'Author' },
+  { name: 'genre', label: 'Genre' },
+  { name: 'publicationYear', label: 'Publication Year' },
+  { name: 'isbn', label: 'ISBN' },
+  { name: 'description', label: 'Description' }
+]
+
+// Fields worth offering: the provider has a value and it differs from the form
+const changedFields = (candidate, formData) => {
+  return PROPOSAL_FIELDS.filter(({ name }) =>
+    candidate[name] !== null &&
+    candidate[name] !== undefined &&
+    String(candidate[name]) !== String(formData[name])
+  )
+}
+
+// Shows what an autofill lookup found and lets the user pick which values to apply
+const MetadataProposal = ({ provider, candidates, formData, onApply, onDismiss }) => {
+  const [selectedIndex, setSelectedIndex] = useState(candidates.length === 1 ? 0 : null)
+  const [selectedFields, setSelectedFields] = useState(() =>
+    candidates.length === 1 ? changedFields(candidates[0], formData).map(field => field.name) : []
+  )
+
+  const candidate = selectedIndex !== null ? candidates[selectedIndex] : null
+  const fields = candidate ? changedFields(candidate, formData) : []
+
+  const chooseCandidate = (index) => {
+    setSelectedIndex(index)
+    setSelectedFields(changedFields(candidates[index], formData).map(field => field.name))
+  }
+
+  const toggleField = (name) => {
+    setSelectedFields(prev =>
+      prev.includes(name) ? prev.filter(field => field !== name) : [...prev, name]
+    )
+  }
+
+  const applySelected = () => {
+    const values = {}
+    selectedFields.forEach(name => {
+      values[name] = String(candidate[name])
+    })
+    onApply(values)
+  }
+
+  return (
+    <div className="border border-blue-200 bg-blue-50 rounded-md p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-sm font-medium text-blue-800">
+          Autofill suggestions <span className="font-normal text-blue-600">from {provider}</span>
+        </h3>
+        <button type="button" onClick={onDismiss} className="text-sm text-blue-700 hover:text-blue-900">
+          Dismiss
+        </button>
+      </div>
+
+      {candidates.length === 0 && (
+        <p className="text-sm text-gray-700">No matching books were found. Try the ISBN or a different title.</p>
+      )}
+
+      {candidates.length > 1 && (
+        <div className="space-y-1 mb-3">
+          {candidates.map((option, index) => (
+            <label key={index} className="flex items-start space-x-2 text-sm text-gray-800">
+              <input
+                type="radio"
+                name="metadataCandidate"
+                checked={selectedIndex === index}
+                onChange={() => chooseCandidate(index)}
+                className="mt-1"
+              />
+              <span>
+                {option.title}
+                {option.author && <span className="text-gray-600"> by {option.author}</span>}
+                {option.publicationYear && <span className="text-gray-500"> ({option.publicationYear})</span>}
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {candidate && fields.length === 0 && (
+        <p className="text-sm text-gray-700">The form already matches this book.</p>
+      )}
+
+      {candidate && fields.length > 0 && (
+        <>
+          <table className="w-full text-sm mb-3">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="pb-1 w-8"></th>
+                <th className="pb-1 font-medium">Field</th>
+                <th className="pb-1 font-medium">Current</th>
+                <th className="pb-1 font-medium">Proposed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map(({ name, label }) => (
+                <tr key={name} className="align-top border-t border-blue-100">
+                  <td className="py-1">
+                    <input
+                      type="checkbox"
+                      checked={selectedFields.includes(name)}
+                      onChange={() => toggleField(name)}
+                      aria-label={`Apply ${label}`}
+                    />
+                  </td>
+                  <td className="py-1 pr-2 text-gray-700">{label}</td>
+                  <td className="py-1 pr-2 text-gray-500 break-words">{formData[name] || '—'}</td>
+                  <td className="py-1 text-gray-900 break-words">{String(candidate[name])}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            type="button"
+            onClick={applySelected}
+            disabled={selectedFields.length === 0}
+            className="bg-blue-600 text-white py-1 px-3 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Apply Selected
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default MetadataProposal
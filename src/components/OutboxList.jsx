@@ -0,0 +1,154 @@
+import { useState } from 'react'
+import BookConflict from './BookConflict'
+import { bookToFormData, formDataToFields } from '../utils/bookForm'
+
+const OPERATION_LABELS = {
+  create: 'Add',
+  update: 'Edit',
+  delete: 'Delete'
+}
+
+const STATUS_STYLES = {
+  pending: { label: 'Waiting to sync', className: 'bg-gray-100 text-gray-700' },
+  conflict: { label: 'Conflict', className: 'bg-amber-100 text-amber-800' },
+  failed: { label: 'Not saved', className: 'bg-red-100 text-red-800' }
+}
+
+// Changes made offline that haven't reached the server yet, and the ones
+// the server refused. A conflicting edit (someone else changed the book
+// first) is settled by merging both versions field by field, and a
+// conflicting delete by deleting anyway; either can also be dropped in
+// favour of the server's version. A failed change can be retried or dropped.
+const OutboxList = ({ entries, authors, offline, syncing, onSync, onResolve, onClose }) => {
+  const [comparing, setComparing] = useState(null)
+
+  const bookTitle = (entry) => entry.data?.title || entry.current?.title || entry.base?.title || 'Untitled book'
+
+  const pendingCount = entries.filter(entry => entry.status === 'pending').length
+
+  const resolveComparison = (merged) => {
+    onResolve(comparing, 'overwrite', formDataToFields(merged))
+    setComparing(null)
+  }
+
+  const buttonClassName = 'py-1 px-3 rounded-md text-sm focus:outline-none focus:ring-2'
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      {comparing && (
+        <BookConflict
+          base={bookToFormData(comparing.base, authors)}
+          theirs={bookToFormData(comparing.current, authors)}
+          mine={bookToFormData({ ...comparing.base, ...comparing.data }, authors)}
+          intro="Another user changed this book before your offline edits reached the server. Choose which value to keep for each field; the result is sent on the next sync."
+          onResolve={resolveComparison}
+          onCancel={() => setComparing(null)}
+          cancelLabel="Cancel"
+        />
+      )}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-2xl font-bold text-gray-800">Unsynced Changes</h2>
+          <button
+            onClick={onClose}
+            className="bg-gray-300 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+          >
+            Back
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          {offline
+            ? 'You are offline. Changes are saved on this device and sent to the server once you are back online.'
+            : syncing
+              ? 'Sending changes to the server...'
+              : pendingCount > 0
+                ? `${pendingCount} change${pendingCount !== 1 ? 's are' : ' is'} waiting to be sent.`
+                : 'Everything that could be sent has reached the server.'}
+        </p>
+        <button
+          onClick={onSync}
+          disabled={syncing || pendingCount === 0}
+          className="mb-6 bg-blue-600 text-white py-2 px-4 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {syncing ? 'Syncing...' : 'Sync Now'}
+        </button>
+
+        {entries.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No unsynced changes.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {entries.map((entry) => {
+              const status = STATUS_STYLES[entry.status]
+              return (
+                <li key={entry.id} className="py-4">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <p className="font-medium text-gray-800">
+                        {OPERATION_LABELS[entry.op]}: {bookTitle(entry)}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        Changed {new Date(entry.queuedAt).toLocaleString()}
+                        {entry.op === 'update' && ` (${Object.keys(entry.data).join(', ')})`}
+                      </p>
+                      {entry.message && entry.status !== 'pending' && (
+                        <p className="text-sm text-gray-700 mt-1">{entry.message}</p>
+                      )}
+                    </div>
+                    <span className={`text-xs px-2 py-1 rounded-full whitespace-nowrap ${status.className}`}>
+                      {status.label}
+                    </span>
+                  </div>
+
+                  {entry.status === 'conflict' && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {entry.op === 'update' ? (
+                        <button
+                          onClick={() => setComparing(entry)}
+                          className={`${buttonClassName} bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-500`}
+                        >
+                          Compare Versions
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => onResolve(entry, 'overwrite')}
+                          className={`${buttonClassName} bg-red-600 text-white hover:bg-red-700 focus:ring-red-500`}
+                        >
+                          Delete Anyway
+                        </button>
+                      )}
+                      <button
+                        onClick={() => onResolve(entry, 'discard')}
+                        className={`${buttonClassName} bg-gray-200 text-gray-700 hover:bg-gray-300 focus:ring-gray-500`}
+                      >
+                        {entry.op === 'delete' ? 'Keep the Book' : 'Use Their Version'}
+                      </button>
+                    </div>
+                  )}
+
+                  {entry.status === 'failed' && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      <button
+                        onClick={() => onResolve(entry, 'retry')}
+                        className={`${buttonClassName} bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-500`}
+                      >
+                        Retry
+                      </button>
+                      <button
+                        onClick={() => onResolve(entry, 'discard')}
+                        className={`${buttonClassName} bg-gray-200 text-gray-700 hover:bg-gray-300 focus:ring-gray-500`}
+                      >
+                        Discard Change
+                      </button>
+                    </div>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default OutboxList
@@ -1,9 +1,15 @@
 import { useState } from 'react'
+import ExportMenu from './ExportMenu'
+import TagList from './TagList'
+import BookCover from './BookCover'
 
-const SearchBooks = ({ onSearch, searchResults }) => {
+const SearchBooks = ({ onSearch, searchResults, onExport }) => {
   const [searchTerm, setSearchTerm] = useState('')
   const [isSearching, setIsSearching] = useState(false)
   const [hasSearched, setHasSearched] = useState(false)
+  const [searchError, setSearchError] = useState(null)
+  // Offline results come from a plain text match on the cached catalog
+  const [searchedOffline, setSearchedOffline] = useState(false)
 
   const handleSearch = async (e) => {
     e.preventDefault()
@@ -13,11 +19,29 @@ const SearchBooks = ({ onSearch, searchResults }) => {
       return
     }
     
+    await runSearch(searchTerm.trim())
+  }
+
+  // Narrow the current search to books carrying a tag
+  const searchByTag = async (tag) => {
+    const term = `${searchTerm.trim()} tag:"${tag}"`.trim()
+    setSearchTerm(term)
+    await runSearch(term)
+  }
+
+  const runSearch = async (term) => {
     setIsSearching(true)
-    setHasSearched(true)
+    setSearchError(null)
     
     try {
-      await onSearch(searchTerm.trim())
+      const result = await onSearch(term)
+      if (result && !result.success) {
+        setSearchError(result.error)
+        setHasSearched(false)
+        return
+      }
+      setHasSearched(true)
+      setSearchedOffline(Boolean(result?.offline))
     } catch (error) {
       alert('Search failed: ' + error.message)
     } finally {
@@ -28,6 +52,7 @@ const SearchBooks = ({ onSearch, searchResults }) => {
   const clearSearch = () => {
     setSearchTerm('')
     setHasSearched(false)
+    setSearchError(null)
   }
 
   return (
@@ -43,7 +68,7 @@ const SearchBooks = ({ onSearch, searchResults }) => {
                 type="text"
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
-                placeholder="Search by title, author, or genre..."
+                placeholder='e.g. orwell, or author:orwell genre:"Dystopian Fiction" year:>1940 -animal'
                 className="w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               />
             </div>
@@ -54,7 +79,7 @@ const SearchBooks = ({ onSearch, searchResults }) => {
             >
               {isSearching ? 'Searching...' : 'Search'}
             </button>
-            {hasSearched && (
+            {(hasSearched || searchError) && (
               <button
                 type="button"
                 onClick={clearSearch}
@@ -64,6 +89,9 @@ const SearchBooks = ({ onSearch, searchResults }) => {
               </button>
             )}
           </div>
+          {searchError && (
+            <p className="mt-2 text-sm text-red-600">{searchError}</p>
+          )}
         </form>
 
         {/* Search Instructions */}
@@ -74,7 +102,15 @@ const SearchBooks = ({ onSearch, searchResults }) => {
               <li>• Search by book title (e.g., "Great Gatsby")</li>
               <li>• Search by author name (e.g., "Harper Lee")</li>
               <li>• Search by genre (e.g., "Fiction")</li>
-              <li>• Search is case-insensitive and matches partial text</li>
+              <li>• Use several words to narrow results - every word must match</li>
+              <li>• Words match by prefix, so "orw" finds "Orwell"</li>
+              <li>• Results are ranked, with title matches counting most</li>
+              <li>• Limit a word to one field: title:, author:, genre:, description: or isbn:</li>
+              <li>• Paste an ISBN-10 or ISBN-13, with or without hyphens</li>
+              <li>• Quote exact phrases: genre:"Dystopian Fiction"</li>
+              <li>• Filter by year: year:1949, year:&gt;1940, year:1900..1950</li>
+              <li>• Filter by tag: tag:onboarding, tag:"signed copy"</li>
+              <li>• Exclude with a minus (-animal), combine with OR and group with ( )</li>
             </ul>
           </div>
         )}
@@ -87,11 +123,21 @@ const SearchBooks = ({ onSearch, searchResults }) => {
             <h3 className="text-lg font-semibold text-gray-800">
               Search Results
             </h3>
-            <span className="text-sm text-gray-600">
-              {searchResults.length} result{searchResults.length !== 1 ? 's' : ''} found
-              {searchTerm && ` for "${searchTerm}"`}
-            </span>
+            <div className="flex items-center space-x-4">
+              <span className="text-sm text-gray-600">
+                {searchResults.length} result{searchResults.length !== 1 ? 's' : ''} found
+                {searchTerm && ` for "${searchTerm}"`}
+              </span>
+              {onExport && searchResults.length > 0 && !searchedOffline && (
+                <ExportMenu onExport={onExport} params={{ q: searchTerm.trim() }} />
+              )}
+            </div>
           </div>
+          {searchedOffline && (
+            <p className="text-sm text-amber-700 mb-4">
+              You are offline, so these results are a plain text match on the books saved on this device.
+            </p>
+          )}
 
           {searchResults.length === 0 ? (
             <div className="text-center py-8">
@@ -108,7 +154,7 @@ const SearchBooks = ({ onSearch, searchResults }) => {
           ) : (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
               {searchResults.map((book) => (
-                <SearchResultCard key={book.id} book={book} searchTerm={searchTerm} />
+                <SearchResultCard key={book.id} book={book} searchTerm={searchTerm} onTagSelect={searchByTag} />
               ))}
             </div>
           )}
@@ -118,16 +164,24 @@ const SearchBooks = ({ onSearch, searchResults }) => {
   )
 }
 
-const SearchResultCard = ({ book, searchTerm }) => {
-  // Helper function to highlight search terms
+const SearchResultCard = ({ book, searchTerm, onTagSelect }) => {
+  // Helper function to highlight words starting with any search term,
+  // ignoring operators, excluded words and year and tag filters
   const highlightText = (text, term) => {
-    if (!term) return text
+    const words = term
+      .replace(/[()"]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && word !== 'OR' && word !== 'AND' && !word.startsWith('-') && !word.startsWith('year:') && !word.startsWith('tag:'))
+      .map(word => word.slice(word.indexOf(':') + 1))
+      .filter(Boolean)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    if (words.length === 0) return text
     
-    const regex = new RegExp(`(${term})`, 'gi')
+    const regex = new RegExp(`\\b(${words.join('|')})`, 'gi')
     const parts = text.split(regex)
     
     return parts.map((part, index) => 
-      regex.test(part) ? (
+      index % 2 === 1 ? (
         <mark key={index} className="bg-yellow-200 px-1 rounded">
           {part}
         </mark>
@@ -138,27 +192,43 @@ const SearchResultCard = ({ book, searchTerm }) => {
   }
 
   return (
-    <div className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow">
-      <h4 className="font-semibold text-gray-800 mb-2">
-        {highlightText(book.title, searchTerm)}
-      </h4>
-      
-      <p className="text-gray-600 text-sm mb-2">
-        <span className="font-medium">by</span> {highlightText(book.author, searchTerm)}
-      </p>
-      
-      <div className="flex items-center justify-between mb-2">
-        <span className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">
-          {highlightText(book.genre, searchTerm)}
-        </span>
-        <span className="text-xs text-gray-500">
-          {book.publicationYear}
-        </span>
+    <div className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow flex gap-4">
+      <BookCover book={book} size="small" className="w-16 h-24 flex-shrink-0 rounded" />
+      <div className="flex-1 min-w-0">
+        <div className="flex items-start justify-between gap-2 mb-2">
+          <h4 className="font-semibold text-gray-800">
+            {highlightText(book.title, searchTerm)}
+          </h4>
+          {book.score !== undefined && (
+            <span className="text-xs text-gray-500 whitespace-nowrap" title="Relevance score">
+              Score {book.score.toFixed(2)}
+            </span>
+          )}
+        </div>
+        
+        <p className="text-gray-600 text-sm mb-2">
+          <span className="font-medium">by</span> {highlightText(book.author, searchTerm)}
+        </p>
+        
+        <div className="flex items-center justify-between mb-2">
+          <span className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">
+            {highlightText(book.genre, searchTerm)}
+          </span>
+          <span className="text-xs text-gray-500">
+            {book.publicationYear}
+          </span>
+        </div>
+        
+        {book.isbn && (
+          <p className="text-xs text-gray-500 mb-2">ISBN {book.isbn}</p>
+        )}
+        
+        <TagList tags={book.tags} onSelect={onTagSelect} className="mb-2" />
+        
+        <p className="text-gray-700 text-sm line-clamp-2">
+          {book.description}
+        </p>
       </div>
-      
-      <p className="text-gray-700 text-sm line-clamp-2">
-        {book.description}
-      </p>
     </div>
   )
 }
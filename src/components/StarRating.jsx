@@ -0,0 +1,29 @@
+const STARS = [1, 2, 3, 4, 5]
+
+// Five stars filled up to the (rounded) rating. With onChange the stars
+// become buttons for picking a rating.
+const StarRating = ({ rating, onChange, className = '' }) => {
+  const filled = Math.round(rating || 0)
+
+  return (
+    <span className={`inline-flex text-yellow-500 ${className}`}>
+      {STARS.map((star) => (
+        onChange ? (
+          <button
+            key={star}
+            type="button"
+            onClick={() => onChange(star)}
+            aria-label={`${star} star${star > 1 ? 's' : ''}`}
+            className="px-0.5 text-lg leading-none hover:scale-110 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+          >
+            {star <= filled ? '★' : '☆'}
+          </button>
+        ) : (
+          <span key={star} aria-hidden="true">{star <= filled ? '★' : '☆'}</span>
+        )
+      ))}
+    </span>
+  )
+}
+
+export default StarRating
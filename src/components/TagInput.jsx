@@ -0,0 +1,75 @@
+import { useState } from 'react'
+import TagList from './TagList'
+
+// Same normalization as the backend: lowercase with single spaces
+const normalizeTag = (tag) => tag.trim().replace(/\s+/g, ' ').toLowerCase()
+
+// Chip-style tag editor. Enter or comma adds the typed tag; existing tags
+// are offered as autocomplete suggestions, most used first.
+const TagInput = ({ id, tags, suggestions = [], onChange }) => {
+  const [draft, setDraft] = useState('')
+
+  // Pasted text may hold several comma or semicolon separated tags
+  const addTag = (value) => {
+    const newTags = value.split(/[,;]/)
+      .map(normalizeTag)
+      .filter((tag, index, list) => tag && !tags.includes(tag) && list.indexOf(tag) === index)
+    if (newTags.length > 0) {
+      onChange([...tags, ...newTags])
+    }
+    setDraft('')
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault()
+      addTag(draft)
+    } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+      onChange(tags.slice(0, -1))
+    }
+  }
+
+  const handleChange = (e) => {
+    const { value } = e.target
+    // Picking a suggestion from the list (rather than typing) adds it straight away
+    const { inputType } = e.nativeEvent
+    const picked = inputType === undefined || inputType === 'insertReplacementText'
+    if (picked && suggestions.some(suggestion => suggestion.name === value)) {
+      addTag(value)
+    } else {
+      setDraft(value)
+    }
+  }
+
+  return (
+    <div className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus-within:ring-2 focus-within:ring-blue-500">
+      <TagList
+        tags={tags}
+        onRemove={(tag) => onChange(tags.filter(other => other !== tag))}
+        className="mb-2"
+      />
+      <input
+        type="text"
+        id={id}
+        list={`${id}-suggestions`}
+        value={draft}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => draft && addTag(draft)}
+        placeholder="Add a tag and press Enter"
+        className="w-full text-sm focus:outline-none"
+      />
+      <datalist id={`${id}-suggestions`}>
+        {suggestions
+          .filter(suggestion => !tags.includes(suggestion.name))
+          .map((suggestion) => (
+            <option key={suggestion.name} value={suggestion.name}>
+              {suggestion.count} book{suggestion.count !== 1 ? 's' : ''}
+            </option>
+          ))}
+      </datalist>
+    </div>
+  )
+}
+
+export default TagInput
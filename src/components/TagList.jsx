@@ -0,0 +1,43 @@
+// Tag chips. Clicking a chip calls onSelect (e.g. to filter by that tag);
+// with onRemove each chip also gets a remove button.
+const TagList = ({ tags = [], onSelect, onRemove, className = '' }) => {
+  if (tags.length === 0) {
+    return null
+  }
+
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {tags.map((tag) => (
+        <span
+          key={tag}
+          className="inline-flex items-center bg-gray-100 text-gray-700 text-xs rounded-full"
+        >
+          {onSelect ? (
+            <button
+              type="button"
+              onClick={() => onSelect(tag)}
+              title={`Show books tagged "${tag}"`}
+              className="px-2 py-1 rounded-full hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              #{tag}
+            </button>
+          ) : (
+            <span className="px-2 py-1">#{tag}</span>
+          )}
+          {onRemove && (
+            <button
+              type="button"
+              onClick={() => onRemove(tag)}
+              aria-label={`Remove tag ${tag}`}
+              className="pr-2 text-gray-400 hover:text-red-600 focus:outline-none"
+            >
+              ×
+            </button>
+          )}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+export default TagList
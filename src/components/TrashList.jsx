@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback } from 'react'
+
+const TrashList = ({ onLoadTrash, onRestore, onPurge, onEmptyTrash, canManage }) => {
+  const [trashedBooks, setTrashedBooks] = useState([])
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+
+  const loadTrash = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    const result = await onLoadTrash()
+    if (result.success) {
+      setTrashedBooks(result.books)
+      setRetentionDays(result.retentionDays)
+    } else {
+      setError(result.error)
+    }
+    setLoading(false)
+  }, [onLoadTrash])
+
+  useEffect(() => {
+    loadTrash()
+  }, [loadTrash])
+
+  // Run an action against one book, then refresh the trash
+  const runAction = async (bookId, action, failureMessage) => {
+    setBusyId(bookId)
+    const result = await action()
+    setBusyId(null)
+    
+    if (result.success) {
+      await loadTrash()
+    } else {
+      alert(failureMessage + result.error)
+    }
+  }
+
+  const handlePurge = (book) => {
+    if (window.confirm(`Permanently delete "${book.title}"? This cannot be undone.`)) {
+      runAction(book.id, () => onPurge(book.id), 'Error deleting book: ')
+    }
+  }
+
+  const handleEmptyTrash = () => {
+    if (window.confirm('Permanently delete every book in the trash? This cannot be undone.')) {
+      runAction('all', onEmptyTrash, 'Error emptying trash: ')
+    }
+  }
+
+  if (loading) {
+    return <p className="text-center text-gray-600 py-12">Loading trash...</p>
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">Trash</h2>
+          {retentionDays && (
+            <p className="text-sm text-gray-600">
+              Books are permanently deleted {retentionDays} days after being moved here.
+            </p>
+          )}
+        </div>
+        {canManage && trashedBooks.length > 0 && (
+          <button
+            onClick={handleEmptyTrash}
+            disabled={busyId !== null}
+            className="bg-red-600 text-white py-2 px-4 rounded-md text-sm hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Empty Trash
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {!error && trashedBooks.length === 0 ? (
+        <div className="text-center py-12">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">The trash is empty</h3>
+          <p className="text-gray-500">Deleted books will appear here until they are purged.</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-md divide-y divide-gray-200">
+          {trashedBooks.map((book) => (
+            <div key={book.id} className="p-4 flex justify-between items-center">
+              <div>
+                <h3 className="font-semibold text-gray-800">{book.title}</h3>
+                <p className="text-sm text-gray-600">
+                  <span className="font-medium">by</span> {book.author}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Deleted {new Date(book.deletedAt).toLocaleString()}
+                  {' · '}purged after {new Date(book.purgeAt).toLocaleDateString()}
+                </p>
+              </div>
+              {canManage && (
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => runAction(book.id, () => onRestore(book.id), 'Error restoring book: ')}
+                    disabled={busyId !== null}
+                    className="bg-blue-600 text-white py-2 px-3 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handlePurge(book)}
+                    disabled={busyId !== null}
+                    className="bg-red-600 text-white py-2 px-3 rounded-md text-sm hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Delete Forever
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TrashList
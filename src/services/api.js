@@ -1,31 +1,113 @@
 // API service for Book Management System
 const API_BASE_URL = 'http://localhost:3001/api';
+const AUTH_TOKEN_KEY = 'bookApp.authToken';
+const API_KEY_KEY = 'bookApp.apiKey';
+
+// Session token storage
+export const getAuthToken = () => localStorage.getItem(AUTH_TOKEN_KEY);
+
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  }
+};
+
+// API key storage. The key is entered by the user at runtime (never built
+// into the bundle, where anyone loading the app could read it)
+export const getApiKey = () => localStorage.getItem(API_KEY_KEY);
+
+export const setApiKey = (key) => {
+  if (key) {
+    localStorage.setItem(API_KEY_KEY, key);
+  } else {
+    localStorage.removeItem(API_KEY_KEY);
+  }
+};
+
+// Called when the server rejects our session, so the app can show the login screen
+let unauthorizedHandler = null;
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// Called with the server's message when it rejects the stored API key
+let apiKeyRejectedHandler = null;
+export const setApiKeyRejectedHandler = (handler) => {
+  apiKeyRejectedHandler = handler;
+};
+
+// Credentials sent with every request
+const authHeaders = () => {
+  const token = getAuthToken();
+  const apiKey = getApiKey();
+  return {
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...(apiKey ? { 'X-API-Key': apiKey } : {}),
+  };
+};
 
 // Helper function to handle API responses
 const handleResponse = async (response) => {
   const data = await response.json();
   
   if (!response.ok) {
-    throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    // The server refuses a bad API key outright, so a stored key that stopped
+    // working (expired or revoked) is dropped first; if the session was the
+    // problem, the next request signs out
+    if (response.status === 401 && getApiKey()) {
+      setApiKey(null);
+      if (apiKeyRejectedHandler) {
+        apiKeyRejectedHandler(data.message);
+      }
+    } else if (response.status === 401 && getAuthToken()) {
+      setAuthToken(null);
+      if (unauthorizedHandler) {
+        unauthorizedHandler();
+      }
+    }
+    
+    const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    // Some errors carry details, such as the current book on a 412 conflict
+    // or the individual messages of a failed validation
+    error.data = data.data;
+    error.errors = data.errors;
+    throw error;
   }
   
   return data;
 };
 
+// fetch, marking the error it rejects with when the server can't be reached
+// at all, so callers can tell that apart from error responses and bugs
+const fetchFromServer = async (url, options) => {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      error.network = true;
+    }
+    throw error;
+  }
+};
+
 // Helper function to make API requests
 const apiRequest = async (endpoint, options = {}) => {
   const url = `${API_BASE_URL}${endpoint}`;
   
   const config = {
+    ...options,
     headers: {
       'Content-Type': 'application/json',
+      ...authHeaders(),
       ...options.headers,
     },
-    ...options,
   };
   
   try {
-    const response = await fetch(url, config);
+    const response = await fetchFromServer(url, config);
     return await handleResponse(response);
   } catch (error) {
     console.error('API request failed:', error);
@@ -33,14 +115,42 @@ const apiRequest = async (endpoint, options = {}) => {
   }
 };
 
+// URL of a book's cover image (small, medium, large or original), or null
+// without a cover. The version makes the URL change with every upload, so
+// browsers can cache covers indefinitely.
+export const coverUrl = (book, size = 'medium') => {
+  return book.cover
+    ? `${API_BASE_URL}/books/${book.id}/cover/${size}?v=${book.cover.version}`
+    : null;
+};
+
+// Makes a change conditional on the book's version; the server answers 412
+// if someone else changed the book first
+const ifMatch = (version) => (version ? { 'If-Match': `"${version}"` } : {});
+
+// Helper function to build a query string, skipping empty values
+const buildQueryString = (params = {}) => {
+  const searchParams = new URLSearchParams();
+  
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      searchParams.append(key, value);
+    }
+  });
+  
+  const queryString = searchParams.toString();
+  return queryString ? `?${queryString}` : '';
+};
+
 // Book API functions
 export const bookAPI = {
-  // Get all books
-  getAllBooks: async () => {
-    const response = await apiRequest('/books');
+  // Get a page of books (supports page, limit, sort, order and filters)
+  getAllBooks: async (params = {}) => {
+    const response = await apiRequest(`/books${buildQueryString(params)}`);
     return {
       success: true,
-      books: response.data
+      books: response.data,
+      pagination: response.pagination
     };
   },
 
@@ -66,10 +176,11 @@ export const bookAPI = {
     };
   },
 
-  // Update an existing book
-  updateBook: async (id, bookData) => {
+  // Update an existing book, optionally only if it is still at the given version
+  updateBook: async (id, bookData, { version } = {}) => {
     const response = await apiRequest(`/books/${id}`, {
       method: 'PUT',
+      headers: ifMatch(version),
       body: JSON.stringify(bookData),
     });
     return {
@@ -79,10 +190,217 @@ export const bookAPI = {
     };
   },
 
-  // Delete a book
-  deleteBook: async (id) => {
+  // Change some fields of a book (a JSON Merge Patch, e.g. { description }),
+  // optionally only if it is still at the given version
+  patchBook: async (id, changes, { version } = {}) => {
+    const response = await apiRequest(`/books/${id}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/merge-patch+json',
+        ...ifMatch(version),
+      },
+      body: JSON.stringify(changes),
+    });
+    return {
+      success: true,
+      book: response.data,
+      message: response.message
+    };
+  },
+
+  // Add tags to a book
+  addBookTags: async (id, tags) => {
+    const response = await apiRequest(`/books/${id}/tags`, {
+      method: 'POST',
+      body: JSON.stringify({ tags }),
+    });
+    return {
+      success: true,
+      book: response.data,
+      message: response.message
+    };
+  },
+
+  // Remove a tag from a book
+  removeBookTag: async (id, tag) => {
+    const response = await apiRequest(`/books/${id}/tags/${encodeURIComponent(tag)}`, {
+      method: 'DELETE',
+    });
+    return {
+      success: true,
+      book: response.data,
+      message: response.message
+    };
+  },
+
+  // Move a book to the trash, optionally only if it is still at the given version
+  deleteBook: async (id, { version } = {}) => {
     const response = await apiRequest(`/books/${id}`, {
       method: 'DELETE',
+      headers: ifMatch(version),
+    });
+    return {
+      success: true,
+      book: response.data,
+      message: response.message
+    };
+  },
+
+  // Download the catalog (format: csv, json, bibtex or marcxml), honouring
+  // the same filters as getAllBooks plus an optional search query q
+  exportBooks: async (params = {}) => {
+    const response = await fetchFromServer(`${API_BASE_URL}/books/export${buildQueryString(params)}`, {
+      headers: authHeaders(),
+    });
+    
+    if (!response.ok) {
+      await handleResponse(response);
+    }
+    
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    return {
+      success: true,
+      blob: await response.blob(),
+      filename: match ? match[1] : `books.${params.format || 'csv'}`
+    };
+  },
+
+  // Every book in the catalog, for the offline cache
+  getCatalog: async () => {
+    const response = await fetchFromServer(`${API_BASE_URL}/books/export?format=json`, {
+      headers: authHeaders(),
+    });
+    
+    if (!response.ok) {
+      await handleResponse(response);
+    }
+    
+    return {
+      success: true,
+      books: await response.json()
+    };
+  },
+
+  // Upload a cover image (a File or Blob of type image/jpeg, png or webp)
+  uploadCover: async (id, file) => {
+    const response = await apiRequest(`/books/${id}/cover`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': file.type,
+      },
+      body: file,
+    });
+    return {
+      success: true,
+      book: response.data,
+      message: response.message
+    };
+  },
+
+  // Remove a book's cover image
+  removeCover: async (id) => {
+    const response = await apiRequest(`/books/${id}/cover`, {
+      method: 'DELETE',
+    });
+    return {
+      success: true,
+      book: response.data,
+      message: response.message
+    };
+  },
+
+  // Import books from CSV or JSON text; with dryRun nothing is saved
+  importBooks: async (content, format, { dryRun = false } = {}) => {
+    const response = await apiRequest(`/books/import${buildQueryString({ format, dryRun })}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': format === 'csv' ? 'text/csv' : 'application/json',
+      },
+      body: content,
+    });
+    return {
+      success: true,
+      report: response.data,
+      message: response.message
+    };
+  },
+
+  // Apply a list of create, update and delete operations in one request;
+  // with atomic, either all of them are applied or none. An atomic batch that
+  // fails throws with the per-operation report as error.data.
+  batchBooks: async (operations, { atomic = false } = {}) => {
+    const response = await apiRequest('/books/batch', {
+      method: 'POST',
+      body: JSON.stringify({ operations, atomic }),
+    });
+    return {
+      success: true,
+      report: response.data,
+      message: response.message
+    };
+  },
+
+  // List books in the trash
+  getTrash: async () => {
+    const response = await apiRequest('/trash');
+    return {
+      success: true,
+      books: response.data,
+      retentionDays: response.retentionDays
+    };
+  },
+
+  // Bring a book back out of the trash
+  restoreBook: async (id) => {
+    const response = await apiRequest(`/books/${id}/restore`, {
+      method: 'POST',
+    });
+    return {
+      success: true,
+      book: response.data,
+      message: response.message
+    };
+  },
+
+  // Permanently delete a book from the trash
+  purgeBook: async (id) => {
+    const response = await apiRequest(`/trash/${id}`, {
+      method: 'DELETE',
+    });
+    return {
+      success: true,
+      book: response.data,
+      message: response.message
+    };
+  },
+
+  // Permanently delete everything in the trash
+  emptyTrash: async () => {
+    const response = await apiRequest('/trash', {
+      method: 'DELETE',
+    });
+    return {
+      success: true,
+      count: response.count,
+      message: response.message
+    };
+  },
+
+  // Get a book's revision history, newest first
+  getBookHistory: async (id) => {
+    const response = await apiRequest(`/books/${id}/history`);
+    return {
+      success: true,
+      revisions: response.data
+    };
+  },
+
+  // Restore a book to an earlier revision
+  revertBook: async (id, revisionId) => {
+    const response = await apiRequest(`/books/${id}/revert`, {
+      method: 'POST',
+      body: JSON.stringify({ revisionId }),
     });
     return {
       success: true,
@@ -106,6 +424,25 @@ export const bookAPI = {
     };
   },
 
+  // Validate an ISBN and get its ISBN-13 and ISBN-10 forms
+  lookupIsbn: async (isbn) => {
+    const response = await apiRequest(`/isbn/${encodeURIComponent(isbn)}`);
+    return {
+      success: true,
+      isbn: response.data
+    };
+  },
+
+  // Look up proposed book details by { isbn } or { title }
+  lookupMetadata: async (params) => {
+    const response = await apiRequest(`/metadata/lookup${buildQueryString(params)}`);
+    return {
+      success: true,
+      provider: response.data.provider,
+      candidates: response.data.candidates
+    };
+  },
+
   // Health check
   healthCheck: async () => {
     const response = await apiRequest('/health');
@@ -113,9 +450,613 @@ export const bookAPI = {
   }
 };
 
+// Authentication API functions
+export const authAPI = {
+  // Create an account and start a session
+  register: async (username, password) => {
+    const response = await apiRequest('/auth/register', {
+      method: 'POST',
+      body: JSON.stringify({ username, password }),
+    });
+    setAuthToken(response.data.token);
+    return {
+      success: true,
+      user: response.data.user
+    };
+  },
+
+  // Sign in with existing credentials
+  login: async (username, password) => {
+    const response = await apiRequest('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password }),
+    });
+    setAuthToken(response.data.token);
+    return {
+      success: true,
+      user: response.data.user
+    };
+  },
+
+  // End the current session
+  logout: async () => {
+    try {
+      await apiRequest('/auth/logout', { method: 'POST' });
+    } finally {
+      setAuthToken(null);
+    }
+    return { success: true };
+  },
+
+  // Get the user for the stored token
+  getCurrentUser: async () => {
+    const response = await apiRequest('/auth/me');
+    return {
+      success: true,
+      user: response.data
+    };
+  }
+};
+
+// Author API functions
+export const authorAPI = {
+  // Get all authors (or those matching q), by sort name
+  getAuthors: async (params = {}) => {
+    const response = await apiRequest(`/authors${buildQueryString(params)}`);
+    return {
+      success: true,
+      authors: response.data
+    };
+  },
+
+  // Get an author with their books
+  getAuthor: async (id) => {
+    const response = await apiRequest(`/authors/${id}`);
+    return {
+      success: true,
+      author: response.data
+    };
+  },
+
+  // Create an author
+  createAuthor: async (authorData) => {
+    const response = await apiRequest('/authors', {
+      method: 'POST',
+      body: JSON.stringify(authorData),
+    });
+    return {
+      success: true,
+      author: response.data,
+      message: response.message
+    };
+  },
+
+  // Update an author (a new name also updates their books)
+  updateAuthor: async (id, authorData) => {
+    const response = await apiRequest(`/authors/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(authorData),
+    });
+    return {
+      success: true,
+      author: response.data,
+      message: response.message
+    };
+  },
+
+  // Delete an author no book credits
+  deleteAuthor: async (id) => {
+    const response = await apiRequest(`/authors/${id}`, {
+      method: 'DELETE',
+    });
+    return {
+      success: true,
+      message: response.message
+    };
+  },
+
+  // Merge duplicate authors into this one
+  mergeAuthors: async (id, sourceIds) => {
+    const response = await apiRequest(`/authors/${id}/merge`, {
+      method: 'POST',
+      body: JSON.stringify({ sourceIds }),
+    });
+    return {
+      success: true,
+      author: response.data,
+      message: response.message
+    };
+  }
+};
+
+// Review API functions
+export const reviewAPI = {
+  // Get a book's reviews, newest first, with its average rating
+  getReviews: async (bookId) => {
+    const response = await apiRequest(`/books/${bookId}/reviews`);
+    return {
+      success: true,
+      reviews: response.data,
+      averageRating: response.averageRating,
+      reviewCount: response.reviewCount
+    };
+  },
+
+  // Review a book ({ rating, reviewer, text })
+  createReview: async (bookId, reviewData) => {
+    const response = await apiRequest(`/books/${bookId}/reviews`, {
+      method: 'POST',
+      body: JSON.stringify(reviewData),
+    });
+    return {
+      success: true,
+      review: response.data,
+      message: response.message
+    };
+  },
+
+  // Edit a review
+  updateReview: async (bookId, reviewId, reviewData) => {
+    const response = await apiRequest(`/books/${bookId}/reviews/${reviewId}`, {
+      method: 'PUT',
+      body: JSON.stringify(reviewData),
+    });
+    return {
+      success: true,
+      review: response.data,
+      message: response.message
+    };
+  },
+
+  // Delete a review
+  deleteReview: async (bookId, reviewId) => {
+    const response = await apiRequest(`/books/${bookId}/reviews/${reviewId}`, {
+      method: 'DELETE',
+    });
+    return {
+      success: true,
+      message: response.message
+    };
+  },
+
+  // Hide a review from readers (or show it again)
+  moderateReview: async (bookId, reviewId, hidden) => {
+    const response = await apiRequest(`/books/${bookId}/reviews/${reviewId}/moderation`, {
+      method: 'PUT',
+      body: JSON.stringify({ hidden }),
+    });
+    return {
+      success: true,
+      review: response.data,
+      message: response.message
+    };
+  }
+};
+
+// Circulation API functions
+export const circulationAPI = {
+  // Get a book's copies with their loan status
+  getCopies: async (bookId) => {
+    const response = await apiRequest(`/books/${bookId}/copies`);
+    return {
+      success: true,
+      copies: response.data
+    };
+  },
+
+  // Add a copy of a book
+  addCopy: async (bookId, copyData) => {
+    const response = await apiRequest(`/books/${bookId}/copies`, {
+      method: 'POST',
+      body: JSON.stringify(copyData),
+    });
+    return {
+      success: true,
+      copy: response.data,
+      message: response.message
+    };
+  },
+
+  // Change a copy's barcode or location
+  updateCopy: async (copyId, copyData) => {
+    const response = await apiRequest(`/copies/${copyId}`, {
+      method: 'PUT',
+      body: JSON.stringify(copyData),
+    });
+    return {
+      success: true,
+      copy: response.data,
+      message: response.message
+    };
+  },
+
+  // Remove a copy that is not on loan
+  removeCopy: async (copyId) => {
+    const response = await apiRequest(`/copies/${copyId}`, {
+      method: 'DELETE',
+    });
+    return {
+      success: true,
+      message: response.message
+    };
+  },
+
+  // Check a copy out to a borrower (dueDate defaults to the loan period)
+  checkout: async (barcode, borrower, dueDate) => {
+    const response = await apiRequest('/circulation/checkout', {
+      method: 'POST',
+      body: JSON.stringify({ barcode, borrower, dueDate }),
+    });
+    return {
+      success: true,
+      loan: response.data,
+      message: response.message
+    };
+  },
+
+  // Check a copy back in
+  checkin: async (barcode) => {
+    const response = await apiRequest('/circulation/checkin', {
+      method: 'POST',
+      body: JSON.stringify({ barcode }),
+    });
+    return {
+      success: true,
+      loan: response.data,
+      message: response.message
+    };
+  },
+
+  // Renew a loan
+  renew: async (barcode, dueDate) => {
+    const response = await apiRequest('/circulation/renew', {
+      method: 'POST',
+      body: JSON.stringify({ barcode, dueDate }),
+    });
+    return {
+      success: true,
+      loan: response.data,
+      message: response.message
+    };
+  },
+
+  // Get loans (status: active, overdue or returned; borrower)
+  getLoans: async (params = {}) => {
+    const response = await apiRequest(`/loans${buildQueryString(params)}`);
+    return {
+      success: true,
+      loans: response.data
+    };
+  },
+
+  // Get the overdue report, most overdue first
+  getOverdueLoans: async () => {
+    const response = await apiRequest('/loans/overdue');
+    return {
+      success: true,
+      loans: response.data
+    };
+  }
+};
+
+// Acquisition request API functions
+export const requestAPI = {
+  // Get acquisition requests, most upvoted first (optionally by status)
+  getRequests: async (params = {}) => {
+    const response = await apiRequest(`/requests${buildQueryString(params)}`);
+    return {
+      success: true,
+      requests: response.data
+    };
+  },
+
+  // Suggest a book ({ title, author, reason })
+  createRequest: async (requestData) => {
+    const response = await apiRequest('/requests', {
+      method: 'POST',
+      body: JSON.stringify(requestData),
+    });
+    return {
+      success: true,
+      request: response.data,
+      message: response.message
+    };
+  },
+
+  // Add or withdraw an upvote
+  setUpvote: async (id, upvoted) => {
+    const response = await apiRequest(`/requests/${id}/upvote`, {
+      method: upvoted ? 'POST' : 'DELETE',
+    });
+    return {
+      success: true,
+      request: response.data
+    };
+  },
+
+  // Approve a request, creating the book from the request and bookData
+  approveRequest: async (id, bookData) => {
+    const response = await apiRequest(`/requests/${id}/approve`, {
+      method: 'POST',
+      body: JSON.stringify(bookData),
+    });
+    return {
+      success: true,
+      request: response.data.request,
+      book: response.data.book,
+      message: response.message
+    };
+  },
+
+  // Mark an approved request as ordered, or reject a pending one
+  decideRequest: async (id, decision, note) => {
+    const response = await apiRequest(`/requests/${id}/${decision}`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+    return {
+      success: true,
+      request: response.data,
+      message: response.message
+    };
+  }
+};
+
+// Collection API functions
+export const collectionAPI = {
+  // Get the public collections and your own
+  getCollections: async () => {
+    const response = await apiRequest('/collections');
+    return {
+      success: true,
+      collections: response.data
+    };
+  },
+
+  // Get a collection with its books in order
+  getCollection: async (id) => {
+    const response = await apiRequest(`/collections/${id}`);
+    return {
+      success: true,
+      collection: response.data
+    };
+  },
+
+  // Create a collection ({ name, description, visibility })
+  createCollection: async (collectionData) => {
+    const response = await apiRequest('/collections', {
+      method: 'POST',
+      body: JSON.stringify(collectionData),
+    });
+    return {
+      success: true,
+      collection: response.data,
+      message: response.message
+    };
+  },
+
+  // Rename a collection or change its description or visibility
+  updateCollection: async (id, collectionData) => {
+    const response = await apiRequest(`/collections/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(collectionData),
+    });
+    return {
+      success: true,
+      collection: response.data,
+      message: response.message
+    };
+  },
+
+  // Delete a collection
+  deleteCollection: async (id) => {
+    const response = await apiRequest(`/collections/${id}`, {
+      method: 'DELETE',
+    });
+    return {
+      success: true,
+      message: response.message
+    };
+  },
+
+  // Add a book to the end of a collection
+  addBook: async (id, bookId) => {
+    const response = await apiRequest(`/collections/${id}/books`, {
+      method: 'POST',
+      body: JSON.stringify({ bookId }),
+    });
+    return {
+      success: true,
+      collection: response.data,
+      message: response.message
+    };
+  },
+
+  // Remove a book from a collection
+  removeBook: async (id, bookId) => {
+    const response = await apiRequest(`/collections/${id}/books/${bookId}`, {
+      method: 'DELETE',
+    });
+    return {
+      success: true,
+      collection: response.data,
+      message: response.message
+    };
+  },
+
+  // Save a new order for a collection's books
+  reorderBooks: async (id, bookIds) => {
+    const response = await apiRequest(`/collections/${id}/books`, {
+      method: 'PUT',
+      body: JSON.stringify({ bookIds }),
+    });
+    return {
+      success: true,
+      collection: response.data,
+      message: response.message
+    };
+  }
+};
+
+// Tag API functions
+export const tagAPI = {
+  // Get tags in use with their book counts, most used first
+  getTags: async (params = {}) => {
+    const response = await apiRequest(`/tags${buildQueryString(params)}`);
+    return {
+      success: true,
+      tags: response.data
+    };
+  }
+};
+
+// Genre API functions
+export const genreAPI = {
+  // Get all genres, parents before their subgenres
+  getGenres: async () => {
+    const response = await apiRequest('/genres');
+    return {
+      success: true,
+      genres: response.data
+    };
+  }
+};
+
+// Reconnect delays after the live event stream drops, doubling up to the max
+const EVENT_RETRY_MIN_MS = 1000;
+const EVENT_RETRY_MAX_MS = 30000;
+
+// Split a Server-Sent Events block into { id, type, data }, or null for
+// heartbeat comments
+const parseServerEvent = (block) => {
+  const event = { id: null, type: 'message', data: '' };
+
+  block.split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      return;
+    }
+    const field = line.slice(0, separator);
+    const value = line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'id') {
+      event.id = value;
+    } else if (field === 'event') {
+      event.type = value;
+    } else if (field === 'data') {
+      event.data += value;
+    }
+  });
+
+  return event.data ? { ...event, data: JSON.parse(event.data) } : null;
+};
+
+// Live catalog events. EventSource can't send the Authorization header, so
+// the stream is read with fetch instead.
+export const eventsAPI = {
+  // Subscribe to book.created, book.updated and book.deleted events.
+  // Handlers: onEvent(type, data) for each event, onResync() when events
+  // were missed and the caller should reload, and onStatusChange(status)
+  // with 'connecting', 'live' or 'reconnecting'. After a drop the stream
+  // reconnects with backoff and resumes from the last event received.
+  // Returns a function that closes the subscription.
+  subscribe: ({ onEvent, onResync, onStatusChange }) => {
+    let lastEventId = null;
+    let controller = null;
+    let retryTimer = null;
+    let retryDelay = EVENT_RETRY_MIN_MS;
+    let closed = false;
+
+    const dispatch = (event) => {
+      if (event.id !== null) {
+        lastEventId = event.id;
+      }
+      if (event.type === 'resync') {
+        onResync();
+      } else if (event.type.startsWith('book.')) {
+        onEvent(event.type, event.data);
+      }
+    };
+
+    const scheduleReconnect = () => {
+      if (closed) {
+        return;
+      }
+      onStatusChange('reconnecting');
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, EVENT_RETRY_MAX_MS);
+    };
+
+    const connect = async () => {
+      controller = new AbortController();
+      try {
+        const response = await fetchFromServer(`${API_BASE_URL}/events`, {
+          headers: {
+            Accept: 'text/event-stream',
+            ...authHeaders(),
+            ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+          },
+          signal: controller.signal,
+        });
+
+        // A refused API key is dropped and the stream retried without it; a
+        // refused session signs out, so there's nothing to retry
+        if (response.status === 401) {
+          const keyRefused = Boolean(getApiKey());
+          await handleResponse(response).catch(() => {});
+          if (keyRefused) {
+            scheduleReconnect();
+          }
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        onStatusChange('live');
+        retryDelay = EVENT_RETRY_MIN_MS;
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) {
+            break;
+          }
+          buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          blocks.map(parseServerEvent).filter(Boolean).forEach(dispatch);
+        }
+      } catch (error) {
+        if (closed) {
+          return;
+        }
+        console.error('Live updates disconnected:', error);
+      }
+      scheduleReconnect();
+    };
+
+    onStatusChange('connecting');
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (controller) {
+        controller.abort();
+      }
+    };
+  }
+};
+
 // Error handling helper
+// Whether a request failed because the server couldn't be reached at all,
+// rather than with an error response or a bug in our own code
+export const isNetworkError = (error) => error.network === true;
+
 export const handleAPIError = (error) => {
-  if (error.name === 'TypeError' && error.message.includes('fetch')) {
+  if (isNetworkError(error)) {
     return {
       success: false,
       error: 'Unable to connect to the server. Please make sure the backend is running.'
@@ -0,0 +1,100 @@
+// Local storage for working offline, kept in IndexedDB:
+// - books: the catalog as last seen from the server, plus changes made offline
+// - outbox: changes made offline, waiting to be sent (see offlineSync.js)
+// - snapshots: other lists the UI needs offline (genres, authors, tags)
+// - meta: which user the data above belongs to
+const DB_NAME = 'bookApp';
+const DB_VERSION = 2;
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const database = request.result;
+        if (event.oldVersion < 1) {
+          database.createObjectStore('books', { keyPath: 'id' });
+          database.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+          database.createObjectStore('snapshots');
+        }
+        if (event.oldVersion < 2) {
+          database.createObjectStore('meta');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+// Helper function to run work against some stores in one transaction.
+// work(stores) may return an IDBRequest, whose result is resolved once the
+// transaction has committed.
+const withStores = async (names, mode, work) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(names, mode);
+    const stores = Object.fromEntries(names.map(name => [name, transaction.objectStore(name)]));
+    const request = work(stores);
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const offlineStore = {
+  // Every cached book, including ones created offline
+  getBooks: () => withStores(['books'], 'readonly', ({ books }) => books.getAll()),
+
+  // Replace the cached catalog with a fresh copy from the server, keeping
+  // the local versions of books with changes still in the outbox
+  replaceBooks: (serverBooks, keepIds = []) => withStores(['books'], 'readwrite', ({ books }) => {
+    const request = books.getAll();
+    request.onsuccess = () => {
+      const kept = request.result.filter(book => keepIds.includes(book.id));
+      books.clear();
+      serverBooks
+        .filter(book => !keepIds.includes(book.id))
+        .concat(kept)
+        .forEach(book => books.put(book));
+    };
+  }),
+
+  putBooks: (changedBooks) => withStores(['books'], 'readwrite', ({ books }) => {
+    changedBooks.forEach(book => books.put(book));
+  }),
+
+  removeBook: (id) => withStores(['books'], 'readwrite', ({ books }) => books.delete(id)),
+
+  // Queued changes, oldest first
+  getOutbox: () => withStores(['outbox'], 'readonly', ({ outbox }) => outbox.getAll()),
+
+  // Add an entry (without an id) or replace an existing one
+  saveOutboxEntry: (entry) => withStores(['outbox'], 'readwrite', ({ outbox }) => outbox.put(entry)),
+
+  removeOutboxEntry: (id) => withStores(['outbox'], 'readwrite', ({ outbox }) => outbox.delete(id)),
+
+  getSnapshot: (name) => withStores(['snapshots'], 'readonly', ({ snapshots }) => snapshots.get(name)),
+
+  saveSnapshot: (name, value) => withStores(['snapshots'], 'readwrite', ({ snapshots }) => snapshots.put(value, name)),
+
+  // ID of the user the cached data belongs to (undefined if not recorded)
+  getOwner: () => withStores(['meta'], 'readonly', ({ meta }) => meta.get('owner')),
+
+  // Forget everything, e.g. when signing out, and record who the store
+  // belongs to from now on (if anyone)
+  clear: (owner) => withStores(['books', 'outbox', 'snapshots', 'meta'], 'readwrite', (stores) => {
+    Object.values(stores).forEach(store => store.clear());
+    if (owner !== undefined) {
+      stores.meta.put(owner, 'owner');
+    }
+  }),
+};
+
+export default offlineStore;
@@ -0,0 +1,357 @@
+// Working offline. The catalog is cached in IndexedDB (see offlineStore.js)
+// so it can be browsed and searched without the server, and creates, edits
+// and deletes made offline are applied to the cache and queued in an outbox.
+// When the server can be reached again the outbox is sent as one batch
+// (POST /api/books/batch); changes the server refuses stay in the outbox as
+// conflicts or failures until the user settles them.
+//
+// Outbox entries look like:
+// { id, op: 'create'|'update'|'delete', bookId, data, version, base,
+//   status: 'pending'|'conflict'|'failed', message, current, queuedAt }
+// where data holds the new or changed fields, version and base are the book
+// as it was when first changed offline, and current is the server's copy
+// when someone else changed the book in the meantime.
+import { bookAPI, isNetworkError } from './api';
+import { offlineStore } from './offlineStore';
+
+// Books created offline have a temporary ID until the server assigns one
+const LOCAL_ID_PREFIX = 'local-';
+
+// The fields a queued change may set (the ones PATCH accepts)
+const BOOK_FIELDS = ['title', 'author', 'authorIds', 'genre', 'publicationYear', 'description', 'isbn', 'tags'];
+
+// The server's limit on operations per batch
+const MAX_BATCH_OPERATIONS = 500;
+
+export const isLocalId = (id) => typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+
+const newLocalId = () => `${LOCAL_ID_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Whether two field values are the same, counting every empty value
+// (missing, null, '' or []) as the same
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+const isSameValue = (a, b) => (isEmpty(a) && isEmpty(b)) || JSON.stringify(a) === JSON.stringify(b);
+
+// The editable fields of data whose values differ from the book's
+const changedFields = (book, data) => Object.fromEntries(
+  Object.entries(data).filter(([field, value]) => BOOK_FIELDS.includes(field) && !isSameValue(value, book[field]))
+);
+
+// A book with changes applied, as it will look once they are synced. A new
+// author string without IDs names authors that aren't linked yet.
+const withChanges = (book, changes) => {
+  const changed = { ...book, ...changes, updatedAt: new Date().toISOString(), pendingSync: true };
+  if (changes.author && !changes.authorIds) {
+    delete changed.authorIds;
+  }
+  return changed;
+};
+
+const withoutSyncFlag = (book) => {
+  const { pendingSync: _pendingSync, ...serverBook } = book;
+  return serverBook;
+};
+
+// The list query (page, sort and filters) run against the cached books,
+// mirroring GET /api/books
+export const queryCachedBooks = (books, { page = 1, limit = 12, sort = 'createdAt', order = 'asc', genre, author, yearFrom, yearTo, tags }) => {
+  const genreFilter = genre ? genre.trim().toLowerCase() : null;
+  const authorFilter = author ? author.trim().toLowerCase() : null;
+  const from = yearFrom ? parseInt(yearFrom) : null;
+  const to = yearTo ? parseInt(yearTo) : null;
+  const wantedTags = tags ? tags.split(',') : [];
+  const direction = order === 'desc' ? -1 : 1;
+
+  const matching = books
+    .filter(book =>
+      (!genreFilter || book.genre.toLowerCase() === genreFilter) &&
+      (!authorFilter || book.author.toLowerCase().includes(authorFilter)) &&
+      (from === null || book.publicationYear >= from) &&
+      (to === null || book.publicationYear <= to) &&
+      wantedTags.every(tag => (book.tags || []).includes(tag))
+    )
+    .sort((a, b) => {
+      const left = a[sort];
+      const right = b[sort];
+      const result = typeof left === 'string' && typeof right === 'string'
+        ? left.localeCompare(right, undefined, { sensitivity: 'base' })
+        : left < right ? -1 : left > right ? 1 : 0;
+      return (result || String(a.id).localeCompare(String(b.id), undefined, { numeric: true })) * direction;
+    });
+
+  const total = matching.length;
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+  const start = (page - 1) * limit;
+
+  return {
+    books: matching.slice(start, start + limit),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+// Offline search: books whose title, author, genre, description, ISBN or
+// tags contain every word of the query. The server's query syntax (fields,
+// OR, phrases) needs the server.
+export const searchCachedBooks = (books, query) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return books.filter(book => {
+    const text = [book.title, book.author, book.genre, book.description, book.isbn, ...(book.tags || [])]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+};
+
+// The cache and outbox belong to the user who was signed in when they were
+// filled. Signing in as anyone else clears them first, so nobody sees another
+// user's unsynced changes or sends them with their own session. The same user
+// signing back in (e.g. after their session expired) keeps them.
+export const claimOfflineData = async (userId) => {
+  try {
+    if ((await offlineStore.getOwner()) !== userId) {
+      await offlineStore.clear(userId);
+    }
+  } catch (error) {
+    console.error('Failed to check offline data:', error);
+  }
+};
+
+// Store books fetched from the server, except ones with queued changes,
+// whose local copy shows those changes
+export const cacheBooks = async (books) => {
+  try {
+    const queuedIds = (await offlineStore.getOutbox()).map(entry => entry.bookId);
+    await offlineStore.putBooks(books.filter(book => !queuedIds.includes(book.id)));
+  } catch (error) {
+    console.error('Failed to cache books:', error);
+  }
+};
+
+// Keep the cache in step with a live book event
+export const cacheBookEvent = async (type, bookId, book) => {
+  try {
+    const queued = (await offlineStore.getOutbox()).some(entry => entry.bookId === bookId);
+    if (queued) {
+      return;
+    }
+    if (type === 'book.deleted') {
+      await offlineStore.removeBook(bookId);
+    } else {
+      await offlineStore.putBooks([book]);
+    }
+  } catch (error) {
+    console.error('Failed to cache book event:', error);
+  }
+};
+
+// Replace the cached catalog with the server's. Books with queued changes
+// keep their local copy, and books deleted offline stay out.
+export const refreshCatalog = async () => {
+  const response = await bookAPI.getCatalog();
+  const outbox = await offlineStore.getOutbox();
+  const deletedIds = outbox.filter(entry => entry.op === 'delete').map(entry => entry.bookId);
+  const changedIds = outbox.filter(entry => entry.op !== 'delete').map(entry => entry.bookId);
+  await offlineStore.replaceBooks(
+    response.books.filter(book => !deletedIds.includes(book.id)),
+    changedIds
+  );
+};
+
+// Apply a change to the cached catalog and queue it for the server.
+// change is { op: 'create', data }, { op: 'update', book, data } or
+// { op: 'delete', book }, with book as shown to the user. Changes to the same
+// book are folded into one outbox entry, so a batch never touches a book
+// twice: edits to a book created offline become part of its create, and
+// deleting it drops it altogether; further edits merge into a queued edit,
+// and a delete replaces it, both keeping the version the first change was
+// made against. Returns the book as it now looks (null once deleted).
+export const queueChange = async ({ op, book, data }) => {
+  const queued = book && (await offlineStore.getOutbox()).find(entry => entry.bookId === book.id);
+  const queuedAt = new Date().toISOString();
+
+  if (op === 'create') {
+    const fields = changedFields({}, data);
+    const localBook = withChanges({ id: newLocalId(), createdAt: queuedAt }, fields);
+    await offlineStore.putBooks([localBook]);
+    await offlineStore.saveOutboxEntry({ op, bookId: localBook.id, data: fields, status: 'pending', queuedAt });
+    return localBook;
+  }
+
+  if (op === 'delete') {
+    await offlineStore.removeBook(book.id);
+    if (queued?.op === 'create') {
+      await offlineStore.removeOutboxEntry(queued.id);
+    } else if (queued) {
+      // A delete is a new change, so it waits to be sent even if the edit
+      // it replaces had been refused
+      const { data: _data, ...entry } = queued;
+      await offlineStore.saveOutboxEntry({ ...entry, op, status: 'pending', message: null, current: null });
+    } else {
+      await offlineStore.saveOutboxEntry({
+        op, bookId: book.id, version: book.version, base: withoutSyncFlag(book), status: 'pending', queuedAt
+      });
+    }
+    return null;
+  }
+
+  const changes = changedFields(book, data);
+  if (Object.keys(changes).length === 0) {
+    return book;
+  }
+
+  const localBook = withChanges(book, changes);
+  await offlineStore.putBooks([localBook]);
+  // A failed change is sent again with the new edits; a conflict still
+  // needs settling first
+  await offlineStore.saveOutboxEntry(queued
+    ? { ...queued, data: { ...queued.data, ...changes }, ...(queued.status === 'failed' && { status: 'pending', message: null }) }
+    : { op, bookId: book.id, data: changes, version: book.version, base: withoutSyncFlag(book), status: 'pending', queuedAt });
+  return localBook;
+};
+
+const toOperation = (entry) => {
+  if (entry.op === 'create') {
+    return { op: 'create', data: entry.data };
+  }
+  return {
+    op: entry.op,
+    id: entry.bookId,
+    version: entry.version,
+    ...(entry.op === 'update' && { data: entry.data })
+  };
+};
+
+// Record how the server took one outbox entry
+const settleEntry = async (entry, result) => {
+  if (result.status === 'failed') {
+    // Only version conflicts come back with the server's copy of the book
+    await offlineStore.saveOutboxEntry({
+      ...entry,
+      status: result.book ? 'conflict' : 'failed',
+      message: result.errors?.[0]?.msg || result.message,
+      current: result.book ?? null
+    });
+    return;
+  }
+
+  await offlineStore.removeOutboxEntry(entry.id);
+  if (entry.op === 'create') {
+    await offlineStore.removeBook(entry.bookId);
+  }
+  if (result.status === 'deleted') {
+    await offlineStore.removeBook(result.book.id);
+  } else {
+    await offlineStore.putBooks([result.book]);
+  }
+};
+
+const sendOutbox = async () => {
+  const pending = (await offlineStore.getOutbox()).filter(entry => entry.status === 'pending');
+  const summary = { sent: 0, failed: 0 };
+
+  for (let start = 0; start < pending.length; start += MAX_BATCH_OPERATIONS) {
+    const entries = pending.slice(start, start + MAX_BATCH_OPERATIONS);
+    let response;
+    try {
+      response = await bookAPI.batchBooks(entries.map(toOperation));
+    } catch (error) {
+      // Sending again won't help when the server refuses the whole batch
+      // (say with a 400 or 403), so its entries fail and show in the outbox.
+      // Unreachable or failing servers and ended sessions are retried later.
+      const refused = !isNetworkError(error) && error.status >= 400 && error.status < 500 && error.status !== 401;
+      if (!refused) {
+        throw error;
+      }
+      const result = { status: 'failed', message: error.message, errors: error.errors };
+      for (const entry of entries) {
+        await settleEntry(entry, result);
+      }
+      summary.failed += entries.length;
+      continue;
+    }
+
+    for (const [index, result] of response.report.results.entries()) {
+      await settleEntry(entries[index], result);
+      summary[result.status === 'failed' ? 'failed' : 'sent'] += 1;
+    }
+  }
+  return summary;
+};
+
+let syncInProgress = null;
+
+// Send the pending outbox entries, resolving with how many went through and
+// how many the server refused. Entries that went through leave the outbox
+// and the cache takes the server's copy of their book. Rejects (with the
+// outbox left as it was) if the server can't be reached, answers with a
+// server error or ends the session. Calls made while a sync is running
+// share it.
+export const syncOutbox = () => {
+  if (!syncInProgress) {
+    syncInProgress = sendOutbox().finally(() => {
+      syncInProgress = null;
+    });
+  }
+  return syncInProgress;
+};
+
+// Settle an outbox entry the server refused:
+// - 'retry' sends it again as it is
+// - 'overwrite' sends it again against the server's current version, with
+//   data (when given, e.g. after merging) replacing the queued changes
+// - 'discard' drops the change, and the cache takes the server's copy (as
+//   does an overwrite that no longer changes anything)
+export const resolveOutboxEntry = async (entry, action, data) => {
+  const { message: _message, current, ...rest } = entry;
+
+  const changes = action === 'overwrite' && data ? changedFields(current, data) : entry.data;
+  if (action === 'discard' || (entry.op === 'update' && Object.keys(changes).length === 0)) {
+    await offlineStore.removeOutboxEntry(entry.id);
+    const serverBook = current || entry.base;
+    if (entry.op === 'create') {
+      await offlineStore.removeBook(entry.bookId);
+    } else if (serverBook) {
+      await offlineStore.putBooks([serverBook]);
+    }
+    return;
+  }
+
+  if (action === 'overwrite') {
+    if (entry.op === 'update') {
+      await offlineStore.putBooks([withChanges(current, changes)]);
+    }
+    await offlineStore.saveOutboxEntry({
+      ...rest,
+      ...(entry.op === 'update' && { data: changes }),
+      version: current.version,
+      base: current,
+      status: 'pending'
+    });
+    return;
+  }
+
+  await offlineStore.saveOutboxEntry({ ...rest, status: 'pending' });
+};
+
+// Load a list from the server, keeping a copy to fall back on offline
+export const withSnapshot = async (name, load) => {
+  try {
+    const value = await load();
+    offlineStore.saveSnapshot(name, value).catch(error => console.error(`Failed to cache ${name}:`, error));
+    return value;
+  } catch (error) {
+    const saved = isNetworkError(error) ? await offlineStore.getSnapshot(name).catch(() => undefined) : undefined;
+    if (saved === undefined) {
+      throw error;
+    }
+    return saved;
+  }
+};
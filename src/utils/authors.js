@@ -0,0 +1,48 @@
+// Helpers for working with author records on the client
+
+// Co-authors in a book's author string are joined with " & "
+export const AUTHOR_SEPARATOR = ' & '
+
+// Split an author string ("A & B", "A; B" or "A and B") into names
+export const splitAuthorNames = (text) => {
+  return String(text ?? '')
+    .split(/\s*;\s*|\s+&\s+|\s+and\s+/i)
+    .map(name => name.trim())
+    .filter(Boolean)
+}
+
+// Find an existing author by name or sort name, ignoring case
+export const matchAuthor = (authors, name) => {
+  const wanted = name.trim().toLowerCase()
+  return authors.find(author =>
+    author.name.toLowerCase() === wanted || author.sortName.toLowerCase() === wanted
+  )
+}
+
+// The { id, name } credits of a book, in order. Names come from the loaded
+// author records, falling back to the book's own author string.
+export const bookCredits = (book, authors = []) => {
+  const names = book.author.split(AUTHOR_SEPARATOR)
+  const ids = book.authorIds || []
+  if (ids.length === 0) {
+    return [{ id: null, name: book.author }]
+  }
+  return ids.map((id, index) => ({
+    id,
+    name: authors.find(author => author.id === id)?.name || names[index] || book.author
+  }))
+}
+
+// "1903–1950", "b. 1960" or nothing
+export const formatLifespan = (author) => {
+  if (author.birthYear && author.deathYear) {
+    return `${author.birthYear}–${author.deathYear}`
+  }
+  if (author.birthYear) {
+    return `b. ${author.birthYear}`
+  }
+  if (author.deathYear) {
+    return `d. ${author.deathYear}`
+  }
+  return ''
+}
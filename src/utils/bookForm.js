@@ -0,0 +1,23 @@
+// Converting between stored books and the values the book form edits
+import { AUTHOR_SEPARATOR, bookCredits } from './authors'
+
+// A stored book as form values
+export const bookToFormData = (book, authors) => ({
+  title: book.title,
+  authors: bookCredits(book, authors),
+  genre: book.genre,
+  publicationYear: book.publicationYear.toString(),
+  description: book.description,
+  isbn: book.isbn || '',
+  tags: book.tags || []
+})
+
+// Form values as book fields, without creating any authors: authors that
+// have no record yet are only named in the author string, and the server
+// creates their records when the book is saved
+export const formDataToFields = ({ authors, publicationYear, ...values }) => ({
+  ...values,
+  publicationYear: parseInt(publicationYear),
+  author: authors.map(author => author.name).join(AUTHOR_SEPARATOR),
+  ...(authors.every(author => author.id !== null) && { authorIds: authors.map(author => author.id) })
+})